@@ -21,10 +21,157 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+/**
+ * Live telemetry relay
+ * The browser holding an erg's Bluetooth connection POSTs its telemetry (see
+ * src/relay.js); coach and spectator screens subscribe to a room over
+ * server-sent events and get the current snapshot first, then every update.
+ *
+ *   POST   /relay/:room/:erg          publish { athlete, telemetry }
+ *   DELETE /relay/:room/:erg          the erg left the room
+ *   GET    /relay/:room               JSON snapshot of the room
+ *   GET    /relay/:room/events[?erg=] event stream: snapshot, telemetry, leave
+ */
+
+// Room and erg IDs
+const RELAY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Ergs that have not published for this long are dropped from their room
+const RELAY_ERG_TIMEOUT = 5 * 60 * 1000;
+// Comment line sent to keep idle event streams open through proxies
+const RELAY_KEEPALIVE_INTERVAL = 15 * 1000;
+
+// room -> { ergs: Map(erg -> entry), clients: Set({ res, erg }) }
+const relayRooms = new Map();
+
+function relayRoom(id) {
+    if (!relayRooms.has(id)) {
+        relayRooms.set(id, { ergs: new Map(), clients: new Set() });
+    }
+    return relayRooms.get(id);
+}
+
+function relaySnapshot(id, erg = undefined) {
+    const room = relayRooms.get(id);
+    const ergs = room ? [...room.ergs.values()] : [];
+    // now lets subscribers age the entries without comparing clocks
+    return { room: id, ergs: erg ? ergs.filter(entry => entry.erg === erg) : ergs, now: Date.now() };
+}
+
+function sendRelayEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcastRelayEvent(id, erg, event, data) {
+    const room = relayRooms.get(id);
+    if (!room) {
+        return;
+    }
+
+    for (const client of room.clients) {
+        if (!client.erg || client.erg === erg) {
+            sendRelayEvent(client.res, event, data);
+        }
+    }
+}
+
+function removeRelayErg(id, erg) {
+    const room = relayRooms.get(id);
+    if (!room || !room.ergs.delete(erg)) {
+        return false;
+    }
+
+    broadcastRelayEvent(id, erg, 'leave', { room: id, erg });
+    if (room.ergs.size === 0 && room.clients.size === 0) {
+        relayRooms.delete(id);
+    }
+    return true;
+}
+
+app.param(['room', 'erg'], (req, res, next, value) => {
+    if (!RELAY_ID_PATTERN.test(value)) {
+        res.status(400).json({ error: `Invalid ID "${value}": use up to 64 letters, digits, - or _` });
+        return;
+    }
+    next();
+});
+
+app.post('/relay/:room/:erg', express.json({ limit: '16kb' }), (req, res) => {
+    const { room, erg } = req.params;
+    const { athlete, telemetry } = req.body || {};
+
+    if (!telemetry || typeof telemetry !== 'object' || Array.isArray(telemetry)) {
+        res.status(400).json({ error: 'Body must be { athlete, telemetry }' });
+        return;
+    }
+
+    const entry = {
+        room,
+        erg,
+        athlete: typeof athlete === 'string' ? athlete : '',
+        telemetry,
+        updated_at: Date.now()
+    };
+    relayRoom(room).ergs.set(erg, entry);
+    broadcastRelayEvent(room, erg, 'telemetry', entry);
+    res.status(204).end();
+});
+
+app.delete('/relay/:room/:erg', (req, res) => {
+    const { room, erg } = req.params;
+    res.status(removeRelayErg(room, erg) ? 204 : 404).end();
+});
+
+app.get('/relay/:room', (req, res) => {
+    res.json(relaySnapshot(req.params.room));
+});
+
+app.get('/relay/:room/events', (req, res) => {
+    const { room } = req.params;
+    const erg = typeof req.query.erg === 'string' && req.query.erg ? req.query.erg : null;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    // Late joiners start from the current state of the room
+    sendRelayEvent(res, 'snapshot', relaySnapshot(room, erg));
+
+    const client = { res, erg };
+    relayRoom(room).clients.add(client);
+
+    req.on('close', () => {
+        const current = relayRooms.get(room);
+        if (!current) {
+            return;
+        }
+        current.clients.delete(client);
+        if (current.ergs.size === 0 && current.clients.size === 0) {
+            relayRooms.delete(room);
+        }
+    });
+});
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [id, room] of relayRooms) {
+        for (const entry of room.ergs.values()) {
+            if (now - entry.updated_at > RELAY_ERG_TIMEOUT) {
+                removeRelayErg(id, entry.erg);
+            }
+        }
+        for (const client of room.clients) {
+            client.res.write(': keepalive\n\n');
+        }
+    }
+}, RELAY_KEEPALIVE_INTERVAL);
+
 app.listen(PORT, () => {
     console.log(`PM5 Bluetooth Demo server running at:`);
     console.log(`  Local: http://localhost:${PORT}`);
     console.log(`  Network: http://[your-local-ip]:${PORT}`);
+    console.log(`  Spectator view: http://localhost:${PORT}/viewer.html`);
     console.log('');
     console.log('⚠️  Important: Web Bluetooth requires HTTPS in production!');
     console.log('   For testing with real PM5 devices, consider using:');
@@ -0,0 +1,77 @@
+/**
+ * Row the simulated PM5 in Node and print the data PM5Device receives
+ *
+ *   npm run simulate                                # demo workout in real time
+ *   npm run simulate -- --speed 20
+ *   npm run simulate -- --record session.jsonl      # save a capture of the session
+ *   npm run simulate -- --replay session.jsonl      # play a capture back instead
+ *   npm run simulate -- --verbose                   # include PM5Device's own logging
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { PM5Device, PM5_EVENTS } from './src/device.js';
+import { SimulatedPM5 } from './src/simulator.js';
+import { RecordingTransport, ReplayTransport, parseCapture } from './src/recording.js';
+
+const args = process.argv.slice(2);
+
+function option(name) {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+}
+
+const speed = Number(option('--speed') || 1);
+const recordPath = option('--record');
+const replayPath = option('--replay');
+
+const print = console.log.bind(console);
+if (!args.includes('--verbose')) {
+    console.log = () => {};
+}
+
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+const transport = replayPath
+    ? new ReplayTransport(parseCapture(await readFile(replayPath, 'utf8')), { speed })
+    : new SimulatedPM5({ speed });
+const recorder = recordPath ? new RecordingTransport(transport) : null;
+
+const pm5 = new PM5Device(recorder || transport);
+
+pm5
+    .on(PM5_EVENTS.STROKE, (stroke) => {
+        print(`stroke ${stroke.stroke_count}  ${formatTime(stroke.elapsed_time)}  ${stroke.distance.toFixed(1)} m`);
+    })
+    .on(PM5_EVENTS.ADDITIONAL_STATUS, (status) => {
+        if (status.stroke_rate > 0) {
+            print(`  ${status.stroke_rate} spm  ${formatTime(status.current_pace)}/500m  ${status.heart_rate} bpm`);
+        }
+    })
+    .on(PM5_EVENTS.SPLIT, (split) => {
+        print(`split ${split.split_number}  ${formatTime(split.split_time)}  ${split.split_distance.toFixed(1)} m  rest ${split.rest_time} s`);
+    })
+    .on(PM5_EVENTS.ERROR, ({ error, source }) => {
+        print(`error from ${source}: ${error.message}`);
+    });
+
+await pm5.connect();
+print(`Connected to ${pm5.transport.name} (speed x${speed})`);
+await pm5.startRowingDataNotifications();
+
+if (replayPath) {
+    await new Promise(resolve => transport.addEventListener('ended', resolve, { once: true }));
+    print('Replay finished');
+} else {
+    const summary = await pm5.once(PM5_EVENTS.WORKOUT_COMPLETE);
+    print('Workout complete:', summary);
+}
+
+await pm5.disconnect();
+
+if (recorder) {
+    await writeFile(recordPath, recorder.toJSONL());
+    print(`Saved ${recorder.records.length} records to ${recordPath}`);
+}
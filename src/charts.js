@@ -0,0 +1,552 @@
+/**
+ * Live telemetry charts
+ * Draws a metric from a WorkoutSession's samples on a canvas, over the last
+ * minutes or the whole workout, with interval starts and rest marked; and
+ * each stroke's force curve over the strokes before it.
+ */
+
+import { SESSION_EVENTS } from './session.js';
+import { PM5_EVENTS } from './device.js';
+import { WORKOUT_STATES } from './constants.js';
+
+/**
+ * Metrics that can be charted, keyed by Sample field
+ * Pace is drawn inverted so that faster is higher.
+ */
+export const CHART_METRICS = {
+    pace: { label: 'Pace', unit: '/500m', color: '#007bff', inverted: true },
+    stroke_rate: { label: 'Stroke Rate', unit: 'spm', color: '#28a745' },
+    power: { label: 'Power', unit: 'W', color: '#fd7e14' },
+    heart_rate: { label: 'Heart Rate', unit: 'bpm', color: '#dc3545' }
+};
+
+/**
+ * Chart windows in seconds; WORKOUT shows everything since the first sample
+ */
+export const CHART_WINDOWS = {
+    MINUTE: 60,
+    FIVE_MINUTES: 300,
+    WORKOUT: Infinity
+};
+
+const PADDING = { top: 20, right: 10, bottom: 18, left: 48 };
+
+/**
+ * Line chart of one metric, redrawn at most once per animation frame
+ *
+ * Samples are bucketed per pixel column and each column drawn as its min-max
+ * range, so the cost of a redraw depends on the canvas width rather than on
+ * how long the workout has been going.
+ *
+ * Example:
+ *   const session = new WorkoutSession({ sampleInterval: 0.1 }).attach(pm5);
+ *   const chart = new TelemetryChart(canvas, { metric: 'power', window: CHART_WINDOWS.MINUTE }).attach(session);
+ */
+export class TelemetryChart {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {string} options.metric - Key of CHART_METRICS (default 'pace')
+     * @param {number} options.window - Seconds shown, see CHART_WINDOWS (default MINUTE)
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.metric = options.metric || 'pace';
+        this.window = options.window || CHART_WINDOWS.MINUTE;
+        if (!CHART_METRICS[this.metric]) {
+            throw new Error(`Unknown chart metric: ${this.metric}`);
+        }
+
+        this.session = null;
+        this.sessionListener = null;
+        this.frame = null;
+    }
+
+    /**
+     * Follow a WorkoutSession's samples
+     */
+    attach(session) {
+        this.detach();
+
+        this.session = session;
+        this.sessionListener = () => this.scheduleDraw();
+        session.on(SESSION_EVENTS.SAMPLE, this.sessionListener);
+        this.scheduleDraw();
+        return this;
+    }
+
+    detach() {
+        if (!this.session) {
+            return;
+        }
+
+        this.session.off(SESSION_EVENTS.SAMPLE, this.sessionListener);
+        this.session = null;
+        this.sessionListener = null;
+    }
+
+    setWindow(seconds) {
+        this.window = seconds;
+        this.scheduleDraw();
+    }
+
+    scheduleDraw() {
+        if (this.frame) {
+            return;
+        }
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    draw() {
+        const canvas = this.canvas;
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+
+        const context = canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        const { label, unit, color, inverted } = CHART_METRICS[this.metric];
+        const samples = this.session ? this.session.samples : [];
+        context.font = '12px Arial, sans-serif';
+        context.fillStyle = '#333';
+        context.textBaseline = 'top';
+        context.fillText(label, PADDING.left, 2);
+
+        const plot = {
+            left: PADDING.left,
+            top: PADDING.top,
+            width: width - PADDING.left - PADDING.right,
+            height: height - PADDING.top - PADDING.bottom
+        };
+        if (samples.length === 0 || plot.width <= 0 || plot.height <= 0) {
+            return;
+        }
+
+        const end = samples[samples.length - 1].time;
+        const start = Math.max(samples[0].time, end - this.window);
+        const columns = bucketSamples(samples, this.metric, start, end, Math.floor(plot.width));
+
+        // Value range with a little headroom so the line stays off the edges
+        let min = Infinity;
+        let max = -Infinity;
+        for (const column of columns) {
+            if (column.count > 0) {
+                min = Math.min(min, column.min);
+                max = Math.max(max, column.max);
+            }
+        }
+        if (min === Infinity) {
+            min = 0;
+            max = 1;
+        }
+        const margin = Math.max((max - min) * 0.1, inverted ? 1 : 0.5);
+        min -= margin;
+        max += margin;
+
+        const y = (value) => {
+            const fraction = (value - min) / (max - min);
+            return plot.top + (inverted ? fraction : 1 - fraction) * plot.height;
+        };
+
+        // Rest shading and interval starts
+        context.fillStyle = 'rgba(108, 117, 125, 0.15)';
+        for (const column of columns) {
+            if (column.resting) {
+                context.fillRect(plot.left + column.index, plot.top, 1, plot.height);
+            }
+        }
+        context.strokeStyle = '#6c757d';
+        context.setLineDash([4, 3]);
+        context.beginPath();
+        for (const column of columns) {
+            if (column.intervalStart) {
+                context.moveTo(plot.left + column.index + 0.5, plot.top);
+                context.lineTo(plot.left + column.index + 0.5, plot.top + plot.height);
+            }
+        }
+        context.stroke();
+        context.setLineDash([]);
+
+        // Min-max line per column, broken where there is no data
+        context.strokeStyle = color;
+        context.lineWidth = 1.5;
+        context.beginPath();
+        let drawing = false;
+        for (const column of columns) {
+            if (column.count === 0) {
+                drawing = false;
+                continue;
+            }
+            const columnX = plot.left + column.index + 0.5;
+            if (drawing) {
+                context.lineTo(columnX, y(column.first));
+            } else {
+                context.moveTo(columnX, y(column.first));
+                drawing = true;
+            }
+            context.lineTo(columnX, y(column.min));
+            context.lineTo(columnX, y(column.max));
+            context.lineTo(columnX, y(column.last));
+        }
+        context.stroke();
+        context.lineWidth = 1;
+
+        // Axes: value range on the left, time range underneath, latest value top right
+        const format = (value) => this.metric === 'pace' ? formatTime(value) : Math.round(value).toString();
+        context.fillStyle = '#666';
+        context.textAlign = 'right';
+        context.textBaseline = 'top';
+        context.fillText(format(inverted ? min : max), plot.left - 4, plot.top);
+        context.textBaseline = 'bottom';
+        context.fillText(format(inverted ? max : min), plot.left - 4, plot.top + plot.height);
+
+        context.textBaseline = 'top';
+        context.textAlign = 'left';
+        context.fillText(formatTime(start), plot.left, plot.top + plot.height + 4);
+        context.textAlign = 'right';
+        context.fillText(formatTime(end), plot.left + plot.width, plot.top + plot.height + 4);
+
+        const latest = samples[samples.length - 1][this.metric];
+        context.fillStyle = color;
+        context.font = 'bold 14px monospace';
+        context.fillText(latest !== null ? `${format(latest)} ${unit}` : `-- ${unit}`, plot.left + plot.width, 2);
+        context.textAlign = 'left';
+    }
+}
+
+/**
+ * Force curve x axes: handle position along the drive, or time into the drive
+ */
+export const FORCE_CURVE_AXES = {
+    POSITION: 'position',
+    TIME: 'time'
+};
+
+/**
+ * Force curve of the latest stroke over a faded overlay of the strokes before it
+ *
+ * The latest curve's peak force and where in the drive it came are marked. A
+ * reference stroke can be pinned and is drawn dashed for comparison until
+ * unpinned. Curves without matching stroke data (so without drive length or
+ * drive time) are spread over the width of the chart.
+ *
+ * Example:
+ *   const chart = new ForceCurveChart(canvas, { overlay: 5 }).attach(pm5);
+ *   pinButton.onclick = () => chart.pin();
+ */
+export class ForceCurveChart {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {number} options.overlay - Earlier strokes drawn behind the latest one (default 5)
+     * @param {string} options.axis - See FORCE_CURVE_AXES (default POSITION)
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.overlay = options.overlay !== undefined ? options.overlay : 5;
+        this.axis = options.axis || FORCE_CURVE_AXES.POSITION;
+
+        this.device = null;
+        this.deviceListener = null;
+        this.frame = null;
+        /** @type {ForceCurve[]} oldest first, the latest stroke last */
+        this.curves = [];
+        /** @type {ForceCurve|null} */
+        this.reference = null;
+    }
+
+    /**
+     * Listen to a PM5Device's force curves
+     */
+    attach(device) {
+        this.detach();
+
+        this.device = device;
+        this.deviceListener = (curve) => this.add(curve);
+        device.on(PM5_EVENTS.FORCE_CURVE, this.deviceListener);
+        return this;
+    }
+
+    detach() {
+        if (!this.device) {
+            return;
+        }
+
+        this.device.off(PM5_EVENTS.FORCE_CURVE, this.deviceListener);
+        this.device = null;
+        this.deviceListener = null;
+    }
+
+    /**
+     * Forget the strokes drawn so far; the reference stays pinned
+     */
+    reset() {
+        this.curves = [];
+        this.scheduleDraw();
+    }
+
+    add(curve) {
+        this.curves.push(curve);
+        if (this.curves.length > this.overlay + 1) {
+            this.curves.splice(0, this.curves.length - this.overlay - 1);
+        }
+        this.scheduleDraw();
+    }
+
+    /**
+     * Pin a stroke as the reference, by default the latest one
+     * @returns {ForceCurve|null} the pinned curve
+     */
+    pin(curve = this.curves[this.curves.length - 1] || null) {
+        this.reference = curve;
+        this.scheduleDraw();
+        return curve;
+    }
+
+    unpin() {
+        this.reference = null;
+        this.scheduleDraw();
+    }
+
+    setOverlay(count) {
+        this.overlay = count;
+        if (this.curves.length > count + 1) {
+            this.curves.splice(0, this.curves.length - count - 1);
+        }
+        this.scheduleDraw();
+    }
+
+    setAxis(axis) {
+        this.axis = axis;
+        this.scheduleDraw();
+    }
+
+    scheduleDraw() {
+        if (this.frame) {
+            return;
+        }
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    draw() {
+        const canvas = this.canvas;
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+
+        const context = canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        const plot = {
+            left: PADDING.left,
+            top: PADDING.top + 16,
+            width: width - PADDING.left - PADDING.right,
+            height: height - PADDING.top - 16 - PADDING.bottom
+        };
+        const curves = this.reference ? [this.reference, ...this.curves] : this.curves;
+        if (curves.length === 0 || plot.width <= 0 || plot.height <= 0) {
+            return;
+        }
+
+        // Shared scales: the longest drive and the highest force of every curve shown
+        const unit = this.axis === FORCE_CURVE_AXES.TIME ? 's' : 'm';
+        let maxX = 0;
+        let maxForce = 0;
+        for (const curve of curves) {
+            const last = curve.samples[curve.samples.length - 1];
+            if (last && last[this.axis] !== null) {
+                maxX = Math.max(maxX, last[this.axis]);
+            }
+            if (curve.peak) {
+                maxForce = Math.max(maxForce, curve.peak.force);
+            }
+        }
+        maxForce = maxForce * 1.1 || 1;
+
+        const x = (curve, sample, index) => {
+            const fraction = (sample[this.axis] !== null && maxX > 0)
+                ? sample[this.axis] / maxX
+                : index / Math.max(1, curve.samples.length - 1);
+            return plot.left + fraction * plot.width;
+        };
+        const y = (force) => plot.top + (1 - Math.max(0, force) / maxForce) * plot.height;
+
+        const trace = (curve) => {
+            context.beginPath();
+            curve.samples.forEach((sample, index) => {
+                if (index === 0) {
+                    context.moveTo(x(curve, sample, index), y(sample.force));
+                } else {
+                    context.lineTo(x(curve, sample, index), y(sample.force));
+                }
+            });
+            context.stroke();
+        };
+
+        // Axes
+        context.strokeStyle = '#dee2e6';
+        context.beginPath();
+        context.moveTo(plot.left, plot.top);
+        context.lineTo(plot.left, plot.top + plot.height);
+        context.lineTo(plot.left + plot.width, plot.top + plot.height);
+        context.stroke();
+
+        context.font = '12px Arial, sans-serif';
+        context.fillStyle = '#666';
+        context.textAlign = 'right';
+        context.textBaseline = 'top';
+        context.fillText(`${Math.round(maxForce)} lbf`, plot.left - 4, plot.top);
+        context.textBaseline = 'bottom';
+        context.fillText('0', plot.left - 4, plot.top + plot.height);
+        context.textBaseline = 'top';
+        context.fillText(maxX > 0 ? `${maxX.toFixed(2)} ${unit}` : 'end of drive', plot.left + plot.width, plot.top + plot.height + 4);
+        context.textAlign = 'left';
+        context.fillText(maxX > 0 ? `0 ${unit}` : 'catch', plot.left, plot.top + plot.height + 4);
+
+        // Earlier strokes, fading with age
+        const latest = this.curves[this.curves.length - 1] || null;
+        const earlier = this.curves.slice(0, -1);
+        context.strokeStyle = '#007bff';
+        context.lineWidth = 1.5;
+        earlier.forEach((curve, index) => {
+            context.globalAlpha = 0.1 + 0.3 * (index + 1) / earlier.length;
+            trace(curve);
+        });
+        context.globalAlpha = 1;
+
+        if (this.reference) {
+            context.strokeStyle = '#6c757d';
+            context.setLineDash([6, 4]);
+            trace(this.reference);
+            context.setLineDash([]);
+        }
+
+        if (latest) {
+            context.strokeStyle = '#007bff';
+            context.lineWidth = 3;
+            trace(latest);
+        }
+        context.lineWidth = 1;
+
+        // Peak of the latest stroke, and how it compares with the reference
+        context.font = '12px Arial, sans-serif';
+        context.textBaseline = 'top';
+        const describe = (curve) => {
+            const { peak } = curve;
+            const at = peak[this.axis] !== null
+                ? `${peak[this.axis].toFixed(2)} ${unit}`
+                : `${Math.round(peak.index / Math.max(1, curve.samples.length - 1) * 100)}% of the drive`;
+            const average = curve.stroke ? `, avg ${curve.stroke.average_drive_force.toFixed(0)} lbf` : '';
+            return `peak ${peak.force} lbf at ${at}${average}`;
+        };
+
+        if (latest && latest.peak) {
+            const peakSample = latest.samples[latest.peak.index];
+            const peakX = x(latest, peakSample, latest.peak.index);
+            const peakY = y(latest.peak.force);
+            context.fillStyle = '#c62828';
+            context.beginPath();
+            context.arc(peakX, peakY, 4, 0, Math.PI * 2);
+            context.fill();
+            context.strokeStyle = '#c62828';
+            context.setLineDash([2, 3]);
+            context.beginPath();
+            context.moveTo(peakX, peakY);
+            context.lineTo(peakX, plot.top + plot.height);
+            context.stroke();
+            context.setLineDash([]);
+
+            context.fillText(`Stroke: ${describe(latest)}`, plot.left, 2);
+        }
+        if (this.reference && this.reference.peak) {
+            context.fillStyle = '#6c757d';
+            context.fillText(`Reference: ${describe(this.reference)}`, plot.left, 18);
+        }
+    }
+}
+
+/**
+ * Bucket samples between start and end into pixel columns
+ * Each column has the count, first, last, min and max of the metric's non-null
+ * values, whether any sample in it was resting, and whether an interval started in it.
+ */
+function bucketSamples(samples, metric, start, end, count) {
+    const columns = [];
+    for (let index = 0; index < count; index++) {
+        columns.push({ index, count: 0, first: null, last: null, min: Infinity, max: -Infinity, resting: false, intervalStart: false });
+    }
+    if (count === 0) {
+        return columns;
+    }
+
+    const span = end - start || 1;
+    let previousInterval = null;
+    for (let index = firstSampleAt(samples, start); index < samples.length; index++) {
+        const sample = samples[index];
+        const column = columns[Math.min(count - 1, Math.floor((sample.time - start) / span * count))];
+
+        if (previousInterval !== null && sample.interval !== previousInterval) {
+            column.intervalStart = true;
+        }
+        previousInterval = sample.interval;
+
+        if (sample.workout_state === WORKOUT_STATES.INTERVAL_REST) {
+            column.resting = true;
+        }
+
+        const value = sample[metric];
+        if (value === null || value === undefined) {
+            continue;
+        }
+        if (column.count === 0) {
+            column.first = value;
+        }
+        column.count++;
+        column.last = value;
+        column.min = Math.min(column.min, value);
+        column.max = Math.max(column.max, value);
+    }
+    return columns;
+}
+
+/**
+ * Index of the first sample at or after time, by binary search
+ */
+function firstSampleAt(samples, time) {
+    let low = 0;
+    let high = samples.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (samples[middle].time < time) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = Math.floor(seconds % 60);
+    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+}
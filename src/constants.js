@@ -43,6 +43,14 @@ export const ROWING_CHARACTERISTICS = {
     MULTIPLEXED_INFORMATION: "ce060080-43e5-11e4-916c-0800200c9a66"
 };
 
+// General status sample rates written to GENERAL_STATUS_RATE
+export const SAMPLE_RATES = {
+    '1s': 0,
+    '500ms': 1,
+    '250ms': 2,
+    '100ms': 3
+};
+
 // PM5 device name pattern for discovery
 export const PM5_NAME_PATTERN = /.*PM5\s\d+\sRow/;
 
@@ -57,6 +65,109 @@ export const WORKOUT_STATES = {
     MANUAL_ROW: 7
 };
 
+// Workout types (workout_type in general status, CSAFE SET_WORKOUT_TYPE)
+export const WORKOUT_TYPES = {
+    JUST_ROW_NO_SPLITS: 0,
+    JUST_ROW_SPLITS: 1,
+    FIXED_DIST_NO_SPLITS: 2,
+    FIXED_DIST_SPLITS: 3,
+    FIXED_TIME_NO_SPLITS: 4,
+    FIXED_TIME_SPLITS: 5,
+    FIXED_TIME_INTERVAL: 6,
+    FIXED_DIST_INTERVAL: 7,
+    VARIABLE_INTERVAL: 8,
+    VARIABLE_UNDEFINED_REST_INTERVAL: 9,
+    FIXED_CALORIE: 10,
+    FIXED_WATT_MINUTES: 11,
+    FIXED_CALS_INTERVAL: 12
+};
+
+// Interval types (interval_type in general status, CSAFE SET_INTERVAL_TYPE)
+export const INTERVAL_TYPES = {
+    TIME: 0,
+    DIST: 1,
+    REST: 2,
+    TIME_REST_UNDEFINED: 3,
+    DIST_REST_UNDEFINED: 4,
+    REST_UNDEFINED: 5,
+    CALORIE: 6,
+    CALORIE_REST_UNDEFINED: 7,
+    WATT_MINUTE: 8,
+    WATT_MINUTE_REST_UNDEFINED: 9,
+    NONE: 255
+};
+
+// Duration types (workout_duration_type in general status, first byte of CSAFE durations)
+export const WORKOUT_DURATION_TYPES = {
+    TIME: 0x00,
+    CALORIES: 0x40,
+    DISTANCE: 0x80,
+    WATTS: 0xC0
+};
+
+// Erg machine types (erg_machine_type in additional end of workout summary 2)
+export const ERG_MACHINE_TYPES = {
+    STATIC_D: 0,
+    STATIC_C: 1,
+    STATIC_A: 2,
+    STATIC_B: 3,
+    STATIC_E: 5,
+    STATIC_SIMULATOR: 7,
+    STATIC_DYNAMIC: 8,
+    SLIDES_A: 16,
+    SLIDES_B: 17,
+    SLIDES_C: 18,
+    SLIDES_D: 19,
+    SLIDES_E: 20,
+    LINKED_DYNAMIC: 32,
+    STATIC_DYNO: 64,
+    STATIC_SKI: 128,
+    SKI_SIMULATOR: 143,
+    BIKE: 192,
+    BIKE_ARMS: 193,
+    BIKE_NOARMS: 194,
+    BIKE_SIMULATOR: 207,
+    MULTIERG_ROW: 224,
+    MULTIERG_SKI: 225,
+    MULTIERG_BIKE: 226
+};
+
+// Screen types and values for CSAFE SET_SCREEN_STATE
+export const SCREEN_TYPES = {
+    NONE: 0,
+    WORKOUT: 1,
+    RACE: 2,
+    CSAFE: 3,
+    DIAG: 4,
+    MFG: 5
+};
+
+export const WORKOUT_SCREEN_VALUES = {
+    NONE: 0,
+    PREPARE_TO_ROW_WORKOUT: 1,
+    TERMINATE_WORKOUT: 2,
+    REARM_WORKOUT: 3
+};
+
+// Race operations for CSAFE SET_RACE_OPERATION_TYPE
+export const RACE_OPERATION_TYPES = {
+    DISABLE: 0,
+    PARTICIPATION_REQUEST: 1,
+    SLEEP: 2,
+    ERG_INIT: 3,
+    PHY_ADDR_INIT: 4,
+    RACE_WARMUP: 5,
+    RACE_INIT: 6,
+    TIME_SYNC: 7,
+    RACE_WAIT_TO_START: 8,
+    START: 9,
+    FALSE_START: 10,
+    TERMINATE: 11,
+    IDLE: 12,
+    TACH_SIM_ENABLE: 13,
+    TACH_SIM_DISABLE: 14
+};
+
 // Rowing states  
 export const ROWING_STATES = {
     INACTIVE: 0,
@@ -71,3 +182,166 @@ export const STROKE_STATES = {
     DWELLING_AFTER_DRIVE: 3,
     RECOVERING: 4
 };
+
+/**
+ * CSAFE framing bytes
+ * Frames on the control characteristics are wrapped in F1 ... F2 with an XOR checksum
+ */
+export const CSAFE_FRAME = {
+    EXTENDED_START: 0xF0,
+    STANDARD_START: 0xF1,
+    STOP: 0xF2,
+    STUFF: 0xF3
+};
+
+// Maximum CSAFE frame size accepted by the PM5 (including start/stop bytes)
+export const CSAFE_MAX_FRAME_LENGTH = 120;
+
+// Maximum number of bytes written to the TX characteristic in a single write
+export const CSAFE_MAX_WRITE_LENGTH = 20;
+
+// Maximum payload of a PM5 notification, including the ID byte on the multiplexed characteristic
+export const MAX_NOTIFICATION_LENGTH = 20;
+
+// Maximum number of bytes returned by a single internal log memory read
+export const CSAFE_MAX_LOG_READ_LENGTH = 64;
+
+/**
+ * Layout of a logged workout record in the PM5's internal log, as read by
+ * PM5Device.downloadLoggedWorkout(). Records are stored back to back from the
+ * address reported by GET_INTERNAL_LOG_PARAMS.
+ *
+ *   0   logged workout data (0x3F layout: hash, internal log address)   12 bytes
+ *   12  record length in bytes, header included (UInt16 LE)             2
+ *   14  split count                                                      1
+ *   15  end of workout summary (0x39 layout)                             20
+ *   35  additional end of workout summary (0x3A layout)                  19
+ *   54  additional end of workout summary 2 (0x3C layout)                10
+ *   64  each split: split data (0x37 layout), additional split (0x38)    36
+ */
+export const LOGGED_WORKOUT_RECORD = {
+    HEADER_LENGTH: 15,
+    SUMMARY_OFFSET: 15,
+    ADDITIONAL_SUMMARY_OFFSET: 35,
+    ADDITIONAL_SUMMARY_2_OFFSET: 54,
+    SPLITS_OFFSET: 64,
+    SPLIT_LENGTH: 36,
+    ADDITIONAL_SPLIT_OFFSET: 18
+};
+
+/**
+ * Standard CSAFE commands
+ * Commands 0x80 and above are short commands (no data), below 0x80 are long commands
+ */
+export const CSAFE_COMMANDS = {
+    // Short commands
+    GET_STATUS: 0x80,
+    RESET: 0x81,
+    GO_IDLE: 0x82,
+    GO_HAVE_ID: 0x83,
+    GO_IN_USE: 0x85,
+    GO_FINISHED: 0x86,
+    GO_READY: 0x87,
+    BAD_ID: 0x88,
+    GET_VERSION: 0x91,
+    GET_ID: 0x92,
+    GET_UNITS: 0x93,
+    GET_SERIAL: 0x94,
+    GET_ODOMETER: 0x9B,
+    GET_ERROR_CODE: 0x9C,
+    GET_TWORK: 0xA0,
+    GET_HORIZONTAL: 0xA1,
+    GET_CALORIES: 0xA3,
+    GET_PROGRAM: 0xA4,
+    GET_PACE: 0xA6,
+    GET_CADENCE: 0xA7,
+    GET_USER_INFO: 0xAB,
+    GET_HEART_RATE: 0xB0,
+    GET_POWER: 0xB4,
+
+    // Long commands
+    AUTO_UPLOAD: 0x01,
+    ID_DIGITS: 0x10,
+    SET_TIME: 0x11,
+    SET_DATE: 0x12,
+    SET_TIMEOUT: 0x13,
+    SET_USER_CFG1: 0x1A,
+    SET_TWORK: 0x20,
+    SET_HORIZONTAL: 0x21,
+    SET_CALORIES: 0x23,
+    SET_PROGRAM: 0x24,
+    SET_POWER: 0x34,
+    GET_CAPS: 0x70,
+
+    // PM-specific wrapper commands
+    SET_PM_CFG: 0x76,
+    SET_PM_DATA: 0x77,
+    GET_PM_CFG: 0x7E,
+    GET_PM_DATA: 0x7F
+};
+
+/**
+ * PM-specific commands
+ * These are sent wrapped inside one of the CSAFE_COMMANDS PM wrapper commands
+ */
+export const CSAFE_PM_COMMANDS = {
+    // Wrapped in GET_PM_CFG
+    GET_FW_VERSION: 0x80,
+    GET_HW_VERSION: 0x81,
+    GET_HW_ADDRESS: 0x82,
+    GET_TICK_TIMEBASE: 0x83,
+    GET_HRM: 0x84,
+    GET_SCREEN_STATE_STATUS: 0x86,
+    GET_WORKOUT_TYPE: 0x89,
+    GET_WORKOUT_STATE: 0x8D,
+    GET_INTERVAL_TYPE: 0x8E,
+    GET_OPERATIONAL_STATE: 0x8F,
+    GET_ROWING_STATE: 0x93,
+    GET_BATTERY_LEVEL_PERCENT: 0x97,
+    GET_INTERNAL_LOG_PARAMS: 0x99,
+    GET_WORKOUT_INTERVAL_COUNT: 0x9F,
+
+    // Wrapped in GET_PM_DATA
+    GET_WORK_TIME: 0xA0,
+    GET_WORK_DISTANCE: 0xA3,
+    GET_DRAG_FACTOR: 0xC1,
+    GET_STROKE_STATE: 0xBF,
+    GET_INTERNAL_LOG_MEMORY: 0x6A,
+    GET_FORCE_PLOT_DATA: 0x6B,
+    GET_HEARTBEAT_DATA: 0x6C,
+
+    // Wrapped in SET_PM_CFG
+    SET_WORKOUT_TYPE: 0x01,
+    SET_WORKOUT_DURATION: 0x03,
+    SET_REST_DURATION: 0x04,
+    SET_SPLIT_DURATION: 0x05,
+    SET_TARGET_PACE_TIME: 0x06,
+    SET_SCREEN_STATE: 0x13,
+    CONFIGURE_WORKOUT: 0x14,
+    SET_INTERVAL_TYPE: 0x17,
+    SET_WORKOUT_INTERVAL_COUNT: 0x18,
+    SET_RACE_OPERATION_TYPE: 0x1E
+};
+
+/**
+ * CSAFE response status byte
+ * Bit 7: frame toggle, bits 5-4: previous frame status, bits 3-0: state machine state
+ */
+export const CSAFE_PREVIOUS_FRAME_STATUS = {
+    OK: 0,
+    REJECT: 1,
+    BAD: 2,
+    NOT_READY: 3
+};
+
+export const CSAFE_STATE_MACHINE_STATES = {
+    ERROR: 0,
+    READY: 1,
+    IDLE: 2,
+    HAVE_ID: 3,
+    IN_USE: 5,
+    PAUSE: 6,
+    FINISHED: 7,
+    MANUAL: 8,
+    OFFLINE: 9
+};
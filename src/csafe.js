@@ -0,0 +1,510 @@
+/**
+ * CSAFE frame encoding/decoding for the PM5 control characteristics
+ * Based on Concept2 PM CSAFE Communication Definition
+ */
+
+import {
+    CSAFE_FRAME,
+    CSAFE_MAX_FRAME_LENGTH,
+    CSAFE_COMMANDS,
+    CSAFE_PM_COMMANDS,
+    CSAFE_PREVIOUS_FRAME_STATUS
+} from './constants.js';
+
+// Wrapper commands whose data is itself a list of PM-specific commands
+const PM_WRAPPER_COMMANDS = new Set([
+    CSAFE_COMMANDS.SET_PM_CFG,
+    CSAFE_COMMANDS.SET_PM_DATA,
+    CSAFE_COMMANDS.GET_PM_CFG,
+    CSAFE_COMMANDS.GET_PM_DATA
+]);
+
+const PREVIOUS_FRAME_STATUS_NAMES = {
+    [CSAFE_PREVIOUS_FRAME_STATUS.OK]: 'OK',
+    [CSAFE_PREVIOUS_FRAME_STATUS.REJECT]: 'Rejected',
+    [CSAFE_PREVIOUS_FRAME_STATUS.BAD]: 'Bad frame',
+    [CSAFE_PREVIOUS_FRAME_STATUS.NOT_READY]: 'Not ready'
+};
+
+/**
+ * Resolve a command given by name or number to its byte value
+ */
+function resolveCommandId(command, table) {
+    if (typeof command === 'number') {
+        return command;
+    }
+
+    if (typeof command === 'string' && command in table) {
+        return table[command];
+    }
+
+    throw new Error(`Unknown CSAFE command: ${command}`);
+}
+
+/**
+ * Look up the name of a command byte, for logging and decoded responses
+ */
+function commandName(id, table) {
+    for (const [name, value] of Object.entries(table)) {
+        if (value === id) {
+            return name;
+        }
+    }
+    return null;
+}
+
+/**
+ * Encode a single command (and its data) into bytes
+ * Accepts a number, a name, or { command, data } / { command, commands } for PM wrappers
+ */
+function encodeCommand(command, table) {
+    const spec = (typeof command === 'object') ? command : { command };
+    const id = resolveCommandId(spec.command, table);
+
+    let data = spec.data ? Array.from(spec.data) : [];
+    if (spec.commands) {
+        data = spec.commands.flatMap(cmd => encodeCommand(cmd, CSAFE_PM_COMMANDS));
+    }
+
+    // Short commands carry no length byte or data
+    if (id >= 0x80) {
+        if (data.length > 0) {
+            throw new Error(`CSAFE short command 0x${id.toString(16)} cannot carry data`);
+        }
+        return [id];
+    }
+
+    if (data.length > 0xFF) {
+        throw new Error(`CSAFE command 0x${id.toString(16)} data too long: ${data.length} bytes`);
+    }
+
+    return [id, data.length, ...data];
+}
+
+/**
+ * XOR checksum over the frame contents
+ */
+export function csafeChecksum(bytes) {
+    return bytes.reduce((checksum, byte) => checksum ^ byte, 0);
+}
+
+/**
+ * Byte stuff frame contents so no reserved byte (0xF0-0xF3) appears inside a frame
+ */
+export function stuffBytes(bytes) {
+    const stuffed = [];
+    for (const byte of bytes) {
+        if (byte >= CSAFE_FRAME.EXTENDED_START && byte <= CSAFE_FRAME.STUFF) {
+            stuffed.push(CSAFE_FRAME.STUFF, byte - CSAFE_FRAME.EXTENDED_START);
+        } else {
+            stuffed.push(byte);
+        }
+    }
+    return stuffed;
+}
+
+/**
+ * Reverse byte stuffing
+ */
+export function unstuffBytes(bytes) {
+    const unstuffed = [];
+    for (let i = 0; i < bytes.length; i++) {
+        if (bytes[i] === CSAFE_FRAME.STUFF) {
+            if (i + 1 >= bytes.length || bytes[i + 1] > 0x03) {
+                throw new Error('Invalid CSAFE byte stuffing sequence');
+            }
+            unstuffed.push(CSAFE_FRAME.EXTENDED_START + bytes[i + 1]);
+            i++;
+        } else {
+            unstuffed.push(bytes[i]);
+        }
+    }
+    return unstuffed;
+}
+
+/**
+ * Build a standard CSAFE frame from a list of commands
+ *
+ * Example:
+ *   buildCsafeFrame(['GET_STATUS', { command: 'GET_PM_CFG', commands: ['GET_WORKOUT_TYPE'] }])
+ */
+export function buildCsafeFrame(commands) {
+    const contents = commands.flatMap(cmd => encodeCommand(cmd, CSAFE_COMMANDS));
+    const checksum = csafeChecksum(contents);
+    const frame = [
+        CSAFE_FRAME.STANDARD_START,
+        ...stuffBytes([...contents, checksum]),
+        CSAFE_FRAME.STOP
+    ];
+
+    if (frame.length > CSAFE_MAX_FRAME_LENGTH) {
+        throw new Error(`CSAFE frame too long: ${frame.length} bytes, maximum ${CSAFE_MAX_FRAME_LENGTH}`);
+    }
+
+    return new Uint8Array(frame);
+}
+
+/**
+ * Decode a list of response commands: [command, byte count, data...]*
+ */
+function decodeResponseCommands(bytes, table) {
+    const commands = [];
+    let i = 0;
+
+    while (i < bytes.length) {
+        if (i + 1 >= bytes.length) {
+            throw new Error('Truncated CSAFE response command');
+        }
+
+        const id = bytes[i];
+        const length = bytes[i + 1];
+        const data = bytes.slice(i + 2, i + 2 + length);
+
+        if (data.length !== length) {
+            throw new Error(`Truncated CSAFE response data for command 0x${id.toString(16)}`);
+        }
+
+        const command = {
+            command: id,
+            name: commandName(id, table),
+            data: data
+        };
+
+        if (table === CSAFE_COMMANDS && PM_WRAPPER_COMMANDS.has(id)) {
+            command.commands = decodeResponseCommands(data, CSAFE_PM_COMMANDS);
+        }
+
+        commands.push(command);
+        i += 2 + length;
+    }
+
+    return commands;
+}
+
+/**
+ * Parse the unstuffed contents of a response frame (status byte, commands, checksum)
+ */
+export function parseCsafeResponse(contents) {
+    if (contents.length < 2) {
+        throw new Error(`Invalid CSAFE response length: ${contents.length}`);
+    }
+
+    const body = contents.slice(0, -1);
+    const checksum = contents[contents.length - 1];
+
+    if (csafeChecksum(body) !== checksum) {
+        throw new Error(`CSAFE checksum mismatch: expected 0x${csafeChecksum(body).toString(16)}, got 0x${checksum.toString(16)}`);
+    }
+
+    const status = body[0];
+    const previousFrameStatus = (status >> 4) & 0x03;
+
+    return {
+        status: status,
+        frameToggle: (status >> 7) & 0x01,
+        previousFrameStatus: previousFrameStatus,
+        previousFrameStatusString: PREVIOUS_FRAME_STATUS_NAMES[previousFrameStatus],
+        stateMachineState: status & 0x0F,
+        commands: decodeResponseCommands(body.slice(1), CSAFE_COMMANDS)
+    };
+}
+
+/**
+ * Decode a list of request commands: short commands stand alone, long commands are [command, byte count, data...]
+ */
+function decodeRequestCommands(bytes, table) {
+    const commands = [];
+    let i = 0;
+
+    while (i < bytes.length) {
+        const id = bytes[i];
+        const command = {
+            command: id,
+            name: commandName(id, table),
+            data: []
+        };
+
+        if (id >= 0x80) {
+            i += 1;
+        } else {
+            if (i + 1 >= bytes.length) {
+                throw new Error('Truncated CSAFE command');
+            }
+
+            const length = bytes[i + 1];
+            command.data = bytes.slice(i + 2, i + 2 + length);
+            if (command.data.length !== length) {
+                throw new Error(`Truncated CSAFE data for command 0x${id.toString(16)}`);
+            }
+            i += 2 + length;
+        }
+
+        if (table === CSAFE_COMMANDS && PM_WRAPPER_COMMANDS.has(id)) {
+            command.commands = decodeRequestCommands(command.data, CSAFE_PM_COMMANDS);
+        }
+
+        commands.push(command);
+    }
+
+    return commands;
+}
+
+/**
+ * Parse a complete request frame (F1 ... F2) as sent to the TX characteristic
+ * Returns the commands in the same shape as parseCsafeResponse(), for simulators and logging
+ */
+export function parseCsafeFrame(frame) {
+    const bytes = Array.from(frame);
+
+    if (bytes[0] !== CSAFE_FRAME.STANDARD_START || bytes[bytes.length - 1] !== CSAFE_FRAME.STOP) {
+        throw new Error('CSAFE frame must start with 0xF1 and end with 0xF2');
+    }
+
+    const contents = unstuffBytes(bytes.slice(1, -1));
+    if (contents.length < 1) {
+        throw new Error('Empty CSAFE frame');
+    }
+
+    const body = contents.slice(0, -1);
+    const checksum = contents[contents.length - 1];
+
+    if (csafeChecksum(body) !== checksum) {
+        throw new Error(`CSAFE checksum mismatch: expected 0x${csafeChecksum(body).toString(16)}, got 0x${checksum.toString(16)}`);
+    }
+
+    return decodeRequestCommands(body, CSAFE_COMMANDS);
+}
+
+/**
+ * Encode a response command; unlike requests every response carries a byte count
+ */
+function encodeResponseCommand(command, table) {
+    const id = resolveCommandId(command.command, table);
+
+    let data = command.data ? Array.from(command.data) : [];
+    if (command.commands) {
+        data = command.commands.flatMap(cmd => encodeResponseCommand(cmd, CSAFE_PM_COMMANDS));
+    }
+
+    return [id, data.length, ...data];
+}
+
+/**
+ * Build a response frame as the PM sends it on the RX characteristic
+ *
+ * Example:
+ *   buildCsafeResponseFrame(0x81, [{ command: 'GET_PM_CFG', commands: [{ command: 'GET_WORKOUT_TYPE', data: [3] }] }])
+ */
+export function buildCsafeResponseFrame(status, commands = []) {
+    const contents = [status, ...commands.flatMap(cmd => encodeResponseCommand(cmd, CSAFE_COMMANDS))];
+    return new Uint8Array([
+        CSAFE_FRAME.STANDARD_START,
+        ...stuffBytes([...contents, csafeChecksum(contents)]),
+        CSAFE_FRAME.STOP
+    ]);
+}
+
+/**
+ * Find the data returned for a command in a parsed response
+ * Pass a PM command as well to look inside a PM wrapper command
+ */
+export function getCsafeResponseData(response, command, pmCommand = undefined) {
+    const id = resolveCommandId(command, CSAFE_COMMANDS);
+    const outer = response.commands.find(c => c.command === id);
+
+    if (!outer) {
+        return null;
+    }
+
+    if (pmCommand === undefined) {
+        return outer.data;
+    }
+
+    const pmId = resolveCommandId(pmCommand, CSAFE_PM_COMMANDS);
+    const inner = (outer.commands || []).find(c => c.command === pmId);
+    return inner ? inner.data : null;
+}
+
+/**
+ * Accumulates RX notification bytes and splits them into complete frames
+ * A single response may span several notifications
+ */
+export class CsafeFrameParser {
+    constructor() {
+        this.buffer = [];
+        this.inFrame = false;
+        this.extended = false;
+    }
+
+    /**
+     * Feed received bytes, returning any completed frames
+     * Each result is { response } or { error } for a frame that failed to decode
+     */
+    push(bytes) {
+        const results = [];
+
+        for (const byte of bytes) {
+            if (byte === CSAFE_FRAME.STANDARD_START || byte === CSAFE_FRAME.EXTENDED_START) {
+                if (this.inFrame && this.buffer.length > 0) {
+                    results.push({ error: new Error('CSAFE frame restarted before stop byte') });
+                }
+                this.inFrame = true;
+                this.extended = byte === CSAFE_FRAME.EXTENDED_START;
+                this.buffer = [];
+            } else if (byte === CSAFE_FRAME.STOP) {
+                if (this.inFrame) {
+                    results.push(this.decodeFrame());
+                }
+                this.inFrame = false;
+                this.buffer = [];
+            } else if (this.inFrame) {
+                this.buffer.push(byte);
+            }
+            // Bytes outside a frame are ignored
+        }
+
+        return results;
+    }
+
+    decodeFrame() {
+        try {
+            let contents = unstuffBytes(this.buffer);
+
+            // Extended frames carry destination and source addresses before the status byte
+            if (this.extended) {
+                contents = contents.slice(2);
+            }
+
+            return { response: parseCsafeResponse(contents) };
+        } catch (error) {
+            return { error };
+        }
+    }
+
+    reset() {
+        this.buffer = [];
+        this.inFrame = false;
+    }
+}
+
+/**
+ * Request/response correlation for the CSAFE control channel
+ * The PM5 answers one frame at a time, so commands are queued and sent in order
+ */
+export class CsafeClient {
+    /**
+     * @param {function(Uint8Array): Promise} write - Sends a complete frame to the TX characteristic
+     * @param {Object} options
+     * @param {number} options.timeout - Milliseconds to wait for each response
+     */
+    constructor(write, options = {}) {
+        this.write = write;
+        this.timeout = options.timeout || 1000;
+        this.parser = new CsafeFrameParser();
+        this.queue = [];
+        this.pending = null;
+    }
+
+    /**
+     * Send commands as one frame and resolve with the decoded response
+     */
+    send(commands, options = {}) {
+        let frame;
+        try {
+            frame = buildCsafeFrame(commands);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                frame,
+                timeout: options.timeout || this.timeout,
+                resolve,
+                reject
+            });
+            this.sendNext();
+        });
+    }
+
+    async sendNext() {
+        if (this.pending || this.queue.length === 0) {
+            return;
+        }
+
+        const request = this.queue.shift();
+        this.pending = request;
+
+        request.timer = setTimeout(() => {
+            this.finish(request, new Error(`CSAFE response timeout after ${request.timeout} ms`));
+        }, request.timeout);
+
+        try {
+            await this.write(request.frame);
+        } catch (error) {
+            this.finish(request, error);
+        }
+    }
+
+    /**
+     * Handle raw bytes from an RX notification
+     */
+    handleNotification(bytes) {
+        for (const result of this.parser.push(bytes)) {
+            if (!this.pending) {
+                if (result.error) {
+                    console.warn('Discarding invalid CSAFE frame:', result.error.message);
+                } else {
+                    console.warn('Received unsolicited CSAFE response:', result.response);
+                }
+                continue;
+            }
+
+            if (result.error) {
+                this.finish(this.pending, result.error);
+                continue;
+            }
+
+            const response = result.response;
+            if (response.previousFrameStatus !== CSAFE_PREVIOUS_FRAME_STATUS.OK) {
+                const error = new Error(`CSAFE command failed: ${response.previousFrameStatusString}`);
+                error.response = response;
+                this.finish(this.pending, error);
+            } else {
+                this.finish(this.pending, null, response);
+            }
+        }
+    }
+
+    finish(request, error, response) {
+        if (this.pending !== request) {
+            return;
+        }
+
+        clearTimeout(request.timer);
+        this.pending = null;
+
+        if (error) {
+            request.reject(error);
+        } else {
+            request.resolve(response);
+        }
+
+        this.sendNext();
+    }
+
+    /**
+     * Reject the outstanding and queued commands, e.g. after a disconnect
+     */
+    reset(reason = 'CSAFE channel reset') {
+        const requests = this.pending ? [this.pending, ...this.queue] : [...this.queue];
+        this.queue = [];
+        this.pending = null;
+        this.parser.reset();
+
+        for (const request of requests) {
+            clearTimeout(request.timer);
+            request.reject(new Error(reason));
+        }
+    }
+}
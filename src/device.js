@@ -8,20 +8,196 @@ import {
     CONTROL_CHARACTERISTICS,
     ROWING_CHARACTERISTICS,
     PM5_NAME_PATTERN,
+    SAMPLE_RATES,
     WORKOUT_STATES,
     ROWING_STATES,
-    STROKE_STATES
+    STROKE_STATES,
+    CSAFE_MAX_WRITE_LENGTH,
+    CSAFE_MAX_LOG_READ_LENGTH,
+    LOGGED_WORKOUT_RECORD
 } from './constants.js';
 
 import { 
     parseGeneralStatus, 
     parseAdditionalStatus, 
+    parseAdditionalStatus2,
     parseStrokeData,
+    parseAdditionalStrokeData,
     parseSplitIntervalData,
+    parseAdditionalSplitIntervalData,
+    parseEndOfWorkoutSummary,
+    parseAdditionalEndOfWorkoutSummary,
+    parseAdditionalEndOfWorkoutSummary2,
+    parseForceCurveData,
+    parseHeartRateBeltInformation,
+    parseLoggedWorkoutData,
+    parseLoggedWorkoutHeader,
+    parseLoggedWorkoutRecord,
     parseMultiplexedData,
     dataViewToHex 
 } from './parsers.js';
 
+import { encodeHeartRateBeltInformation } from './encoders.js';
+
+import { CsafeClient, getCsafeResponseData } from './csafe.js';
+
+import { WorkoutSummaryAssembler, buildWorkoutSummary } from './summary.js';
+
+import { ForceCurveAssembler } from './forcecurve.js';
+
+import { PM5EventTarget } from './events.js';
+
+import { WebBluetoothTransport } from './transport.js';
+
+import {
+    buildFixedDistanceWorkout,
+    buildFixedTimeWorkout,
+    buildFixedCalorieWorkout,
+    buildIntervalWorkout,
+    buildVariableIntervalWorkout,
+    expectedWorkoutType
+} from './workouts.js';
+
+
+/**
+ * Rowing characteristics subscribed by startRowingDataNotifications()
+ * Optional characteristics are skipped if the PM5 firmware does not offer them
+ */
+const ROWING_NOTIFICATIONS = [
+    {
+        uuid: ROWING_CHARACTERISTICS.GENERAL_STATUS,
+        name: 'General status',
+        type: 'general_status',
+        parse: parseGeneralStatus
+    },
+    {
+        uuid: ROWING_CHARACTERISTICS.ADDITIONAL_STATUS,
+        name: 'Additional status',
+        type: 'additional_status',
+        parse: parseAdditionalStatus
+    },
+    {
+        uuid: ROWING_CHARACTERISTICS.ADDITIONAL_STATUS_2,
+        name: 'Additional status 2',
+        type: 'additional_status_2',
+        parse: parseAdditionalStatus2,
+        optional: true
+    },
+    {
+        uuid: ROWING_CHARACTERISTICS.STROKE_DATA,
+        name: 'Stroke data',
+        type: 'stroke_data',
+        parse: parseStrokeData
+    },
+    {
+        uuid: ROWING_CHARACTERISTICS.ADDITIONAL_STROKE_DATA,
+        name: 'Additional stroke data',
+        type: 'additional_stroke_data',
+        parse: parseAdditionalStrokeData,
+        optional: true
+    },
+    {
+        uuid: ROWING_CHARACTERISTICS.SPLIT_INTERVAL_DATA,
+        name: 'Split data',
+        type: 'split_data',
+        parse: parseSplitIntervalData
+    },
+    {
+        uuid: ROWING_CHARACTERISTICS.ADDITIONAL_SPLIT_INTERVAL_DATA,
+        name: 'Additional split data',
+        type: 'additional_split_data',
+        parse: parseAdditionalSplitIntervalData,
+        optional: true
+    },
+    {
+        uuid: ROWING_CHARACTERISTICS.END_OF_WORKOUT_SUMMARY_DATA,
+        name: 'End of workout summary',
+        type: 'end_of_workout_summary',
+        parse: parseEndOfWorkoutSummary,
+        optional: true
+    },
+    {
+        uuid: ROWING_CHARACTERISTICS.ADDITIONAL_END_OF_WORKOUT_SUMMARY_DATA,
+        name: 'Additional end of workout summary',
+        type: 'additional_end_of_workout_summary',
+        parse: parseAdditionalEndOfWorkoutSummary,
+        optional: true
+    },
+    {
+        uuid: ROWING_CHARACTERISTICS.ADDITIONAL_END_OF_WORKOUT_SUMMARY_DATA_2,
+        name: 'Additional end of workout summary 2',
+        type: 'additional_end_of_workout_summary_2',
+        parse: parseAdditionalEndOfWorkoutSummary2,
+        optional: true
+    },
+    {
+        uuid: ROWING_CHARACTERISTICS.FORCE_CURVE_DATA,
+        name: 'Force curve data',
+        type: 'force_curve_data',
+        parse: parseForceCurveData,
+        optional: true
+    },
+    {
+        uuid: ROWING_CHARACTERISTICS.LOGGED_WORKOUT_DATA,
+        name: 'Logged workout',
+        type: 'logged_workout_data',
+        parse: parseLoggedWorkoutData,
+        optional: true
+    }
+];
+
+/**
+ * Events emitted by PM5Device (listen with on/off/once, addEventListener or events())
+ *
+ * generalstatus      parseGeneralStatus() data
+ * additionalstatus   parseAdditionalStatus() data
+ * additionalstatus2  parseAdditionalStatus2() data
+ * stroke             parseStrokeData() data
+ * additionalstroke   parseAdditionalStrokeData() data
+ * split              parseSplitIntervalData() data
+ * additionalsplit    parseAdditionalSplitIntervalData() data
+ * workoutcomplete    WorkoutSummary (see summary.js)
+ * forcecurve         ForceCurve (see forcecurve.js)
+ * heartratebelt      parseHeartRateBeltInformation() data
+ * loggedworkout      parseLoggedWorkoutData() data
+ * controlrx          { timestamp, hexString, bytes } for each RX control notification
+ * characteristic     { uuid, timestamp, hexString, bytes, raw } from subscribeToCharacteristic()
+ * disconnected       no detail; sent when the connection is closed or reconnecting gives up
+ * reconnecting       { attempt, delay } before each reconnection attempt
+ * reconnected        { attempts } once the connection and subscriptions are restored
+ * error              { error, source } for data that could not be handled
+ */
+export const PM5_EVENTS = {
+    GENERAL_STATUS: 'generalstatus',
+    ADDITIONAL_STATUS: 'additionalstatus',
+    ADDITIONAL_STATUS_2: 'additionalstatus2',
+    STROKE: 'stroke',
+    ADDITIONAL_STROKE: 'additionalstroke',
+    SPLIT: 'split',
+    ADDITIONAL_SPLIT: 'additionalsplit',
+    WORKOUT_COMPLETE: 'workoutcomplete',
+    FORCE_CURVE: 'forcecurve',
+    HEART_RATE_BELT: 'heartratebelt',
+    LOGGED_WORKOUT: 'loggedworkout',
+    CONTROL_RX: 'controlrx',
+    CHARACTERISTIC: 'characteristic',
+    DISCONNECTED: 'disconnected',
+    RECONNECTING: 'reconnecting',
+    RECONNECTED: 'reconnected',
+    ERROR: 'error'
+};
+
+// Event emitted for each parsed rowing data type
+const ROWING_DATA_EVENTS = {
+    general_status: PM5_EVENTS.GENERAL_STATUS,
+    additional_status: PM5_EVENTS.ADDITIONAL_STATUS,
+    additional_status_2: PM5_EVENTS.ADDITIONAL_STATUS_2,
+    stroke_data: PM5_EVENTS.STROKE,
+    additional_stroke_data: PM5_EVENTS.ADDITIONAL_STROKE,
+    split_data: PM5_EVENTS.SPLIT,
+    additional_split_data: PM5_EVENTS.ADDITIONAL_SPLIT,
+    heart_rate_belt_information: PM5_EVENTS.HEART_RATE_BELT
+};
 
 /**
  * Scan for PM5 devices
@@ -66,14 +242,30 @@ export async function scanForPM5Devices() {
 /**
  * PM5 Device class
  */
-export class PM5Device {
-    constructor(bluetoothDevice) {
-        this.device = bluetoothDevice;
-        this.server = null;
-        this.services = {};
-        this.characteristics = {};
+export class PM5Device extends PM5EventTarget {
+    /**
+     * @param {BluetoothDevice|Object} bluetoothDevice - A Web Bluetooth device, or a transport (see transport.js)
+     * @param {Object} options
+     * @param {boolean} options.autoReconnect - Reconnect when the connection drops (default true)
+     * @param {number} options.maxReconnectAttempts - Attempts before giving up (default 10)
+     * @param {number} options.reconnectDelay - Delay before the first attempt in ms, doubled each attempt (default 1000)
+     * @param {number} options.maxReconnectDelay - Upper bound for the delay in ms (default 30000)
+     */
+    constructor(bluetoothDevice, options = {}) {
+        super();
+        this.transport = bluetoothDevice.gatt ? new WebBluetoothTransport(bluetoothDevice) : bluetoothDevice;
         this.isConnected = false;
         
+        // Reconnection
+        this.reconnectOptions = {
+            autoReconnect: options.autoReconnect !== false,
+            maxReconnectAttempts: options.maxReconnectAttempts || 10,
+            reconnectDelay: options.reconnectDelay || 1000,
+            maxReconnectDelay: options.maxReconnectDelay || 30000
+        };
+        this.isReconnecting = false;
+        this.disconnectRequested = false;
+        
         // Device information
         this.deviceInfo = {
             model: null,
@@ -84,36 +276,56 @@ export class PM5Device {
             connectedMachineType: null
         };
         
-        // Event handlers
-        this.onDisconnected = null;
-        this.onWorkoutData = null;
-        this.onStrokeData = null;
-        this.onSplitData = null;
-        this.onControlRxData = null;
-        this.onCharacteristicData = null;
+        // Settings reapplied every time the device connects
+        this.settings = {
+            sampleRate: null
+        };
         
         // Discovered characteristics
         this.notifyCapableCharacteristics = [];
         this.activeCharacteristicSubscription = null;
         
+        // Active rowing data subscriptions, keyed by characteristic UUID
+        this.rowingNotificationHandlers = {};
+        this.multiplexedSubscription = null;
+        
+        // Merges the end-of-workout summary characteristics into one record
+        this.workoutSummaryAssembler = new WorkoutSummaryAssembler((summary) => {
+            console.log('Workout complete:', summary);
+            this.emit(PM5_EVENTS.WORKOUT_COMPLETE, summary);
+        });
+        
+        // Reassembles multi-packet force curves and pairs them with stroke data
+        this.forceCurveAssembler = new ForceCurveAssembler((curve) => {
+            this.emit(PM5_EVENTS.FORCE_CURVE, curve);
+        });
+        
+        // Logged workouts seen on this PM5, keyed by logged workout hash
+        this.loggedWorkouts = new Map();
+        
+        // CSAFE command channel over the TX/RX control characteristics
+        this.csafe = new CsafeClient((bytes) => this.writeControlBytes(bytes));
+        this.controlRxHandler = null;
+        
         // Bind disconnect handler
-        this.device.addEventListener('gattserverdisconnected', this.handleDisconnected.bind(this));
+        this.transport.addEventListener('disconnected', this.handleDisconnected.bind(this));
     }
 
     /**
      * Connect to the PM5 device
      */
     async connect() {
+        this.disconnectRequested = false;
+        
         try {
             console.log('Connecting to GATT server...');
-            this.server = await this.device.gatt.connect();
-            
-            console.log('Getting services...');
-            await this.getServices();
+            await this.transport.connect();
             
             console.log('Reading device information...');
             await this.readDeviceInformation();
             
+            await this.applySettings();
+            
             this.isConnected = true;
             console.log('PM5 device connected successfully');
             
@@ -127,8 +339,10 @@ export class PM5Device {
      * Disconnect from the PM5 device
      */
     async disconnect() {
-        if (this.server && this.server.connected) {
-            this.server.disconnect();
+        this.disconnectRequested = true;
+        
+        if (this.transport.connected) {
+            await this.transport.disconnect();
         }
     }
 
@@ -137,35 +351,118 @@ export class PM5Device {
      */
     handleDisconnected() {
         console.log('PM5 device disconnected');
+        
+        // Remember what was active so it can be restored after reconnecting
+        const subscriptions = {
+            rowing: Object.keys(this.rowingNotificationHandlers).length > 0,
+            multiplexed: this.multiplexedSubscription !== null,
+            controlRx: this.controlRxHandler !== null,
+            characteristic: this.activeCharacteristicSubscription ? this.activeCharacteristicSubscription.uuid : null
+        };
+        
         this.isConnected = false;
-        this.server = null;
-        this.services = {};
-        this.characteristics = {};
+        this.controlRxHandler = null;
+        this.rowingNotificationHandlers = {};
+        this.multiplexedSubscription = null;
+        this.activeCharacteristicSubscription = null;
+        this.workoutSummaryAssembler.reset();
+        this.forceCurveAssembler.reset();
+        this.csafe.reset('PM5 device disconnected');
         
-        if (this.onDisconnected) {
-            this.onDisconnected();
+        if (this.disconnectRequested || !this.reconnectOptions.autoReconnect || this.isReconnecting) {
+            if (!this.isReconnecting) {
+                this.emit(PM5_EVENTS.DISCONNECTED);
+            }
+            return;
         }
+        
+        this.reconnect(subscriptions);
     }
 
     /**
-     * Get all required services
+     * Retry the GATT connection with exponential backoff, then restore subscriptions
      */
-    async getServices() {
-        try {
-            // Get information service
-            this.services.information = await this.server.getPrimaryService(PM5_SERVICES.INFORMATION);
-            
-            // Get control service
-            this.services.control = await this.server.getPrimaryService(PM5_SERVICES.CONTROL);
-            
-            // Get rowing service
-            this.services.rowing = await this.server.getPrimaryService(PM5_SERVICES.ROWING);
+    async reconnect(subscriptions) {
+        const { maxReconnectAttempts, reconnectDelay, maxReconnectDelay } = this.reconnectOptions;
+        this.isReconnecting = true;
+        
+        for (let attempt = 1; attempt <= maxReconnectAttempts; attempt++) {
+            const delay = Math.min(reconnectDelay * 2 ** (attempt - 1), maxReconnectDelay);
+            console.log(`Reconnecting in ${delay} ms (attempt ${attempt}/${maxReconnectAttempts})...`);
+            this.emit(PM5_EVENTS.RECONNECTING, { attempt, delay });
             
-            console.log('All services obtained');
+            await new Promise(resolve => setTimeout(resolve, delay));
+            if (this.disconnectRequested) {
+                break;
+            }
             
-        } catch (error) {
-            console.error('Error getting services:', error);
-            throw error;
+            try {
+                await this.transport.connect();
+                await this.applySettings();
+                await this.restoreSubscriptions(subscriptions);
+                
+                this.isConnected = true;
+                this.isReconnecting = false;
+                console.log(`PM5 device reconnected after ${attempt} attempt(s)`);
+                this.emit(PM5_EVENTS.RECONNECTED, { attempts: attempt });
+                return true;
+            } catch (error) {
+                console.warn(`Reconnection attempt ${attempt} failed:`, error.message);
+                this.rowingNotificationHandlers = {};
+                this.multiplexedSubscription = null;
+                this.controlRxHandler = null;
+                this.activeCharacteristicSubscription = null;
+            }
+        }
+        
+        this.isReconnecting = false;
+        
+        if (!this.disconnectRequested) {
+            const error = new Error(`Could not reconnect after ${maxReconnectAttempts} attempts`);
+            console.error(error.message);
+            this.emit(PM5_EVENTS.ERROR, { error, source: 'reconnect' });
+        }
+        
+        // A link that came up but could not be restored is closed; handleDisconnected() reports it
+        if (this.transport.connected) {
+            this.disconnectRequested = true;
+            await this.transport.disconnect();
+            return false;
+        }
+        
+        this.emit(PM5_EVENTS.DISCONNECTED);
+        return false;
+    }
+
+    /**
+     * Resubscribe to everything that was active before the connection dropped
+     */
+    async restoreSubscriptions(subscriptions) {
+        if (subscriptions.rowing) {
+            await this.startRowingDataNotifications();
+        }
+        
+        if (subscriptions.multiplexed) {
+            await this.startMultiplexedNotifications();
+        }
+        
+        if (subscriptions.controlRx) {
+            await this.startControlRxNotifications();
+        }
+        
+        if (subscriptions.characteristic) {
+            await this.discoverNotifyCapableCharacteristics();
+            await this.subscribeToCharacteristic(subscriptions.characteristic);
+        }
+    }
+
+    /**
+     * Reapply settings made through this object (e.g. after reconnecting)
+     */
+    async applySettings() {
+        if (this.settings.sampleRate) {
+            console.log(`Reapplying sample rate: ${this.settings.sampleRate}`);
+            await this.writeSampleRate(this.settings.sampleRate);
         }
     }
 
@@ -177,8 +474,7 @@ export class PM5Device {
             // Read all device information characteristics
             const infoPromises = Object.entries(DEVICE_INFO_CHARACTERISTICS).map(async ([key, uuid]) => {
                 try {
-                    const characteristic = await this.services.information.getCharacteristic(uuid);
-                    const value = await characteristic.readValue();
+                    const value = await this.transport.readValue(PM5_SERVICES.INFORMATION, uuid);
                     const text = new TextDecoder().decode(value);
                     
                     const fieldName = key.toLowerCase().replace(/_([a-z])/g, (g) => g[1].toUpperCase());
@@ -203,121 +499,431 @@ export class PM5Device {
      */
     async startRowingDataNotifications() {
         try {
-            // Start general status notifications
-            const generalStatusChar = await this.services.rowing.getCharacteristic(
-                ROWING_CHARACTERISTICS.GENERAL_STATUS
-            );
-            
-            await generalStatusChar.startNotifications();
-            generalStatusChar.addEventListener('characteristicvaluechanged', (event) => {
-                console.log('General status notification received:', event.target.value.byteLength, 'bytes');
-                try {
-                    const data = parseGeneralStatus(event.target.value);
-                    data.type = 'general_status';
-                    console.log('Parsed general status:', data);
-                    if (this.onWorkoutData) {
-                        this.onWorkoutData(data);
+            for (const notification of ROWING_NOTIFICATIONS) {
+                if (this.rowingNotificationHandlers[notification.uuid]) {
+                    continue;
+                }
+                
+                const handler = (dataView) => {
+                    console.log(`${notification.name} notification received:`, dataView.byteLength, 'bytes');
+                    try {
+                        const data = notification.parse(dataView);
+                        data.type = notification.type;
+                        console.log(`Parsed ${notification.name.toLowerCase()}:`, data);
+                        this.dispatchRowingData(data);
+                    } catch (error) {
+                        console.error(`Error parsing ${notification.name.toLowerCase()}:`, error);
+                        this.emit(PM5_EVENTS.ERROR, { error, source: notification.type });
                     }
+                };
+                
+                try {
+                    await this.transport.startNotifications(PM5_SERVICES.ROWING, notification.uuid, handler);
                 } catch (error) {
-                    console.error('Error parsing general status:', error);
+                    if (!notification.optional) {
+                        throw error;
+                    }
+                    console.warn(`Skipping ${notification.name.toLowerCase()} notifications:`, error.message);
+                    continue;
                 }
-            });
+                
+                this.rowingNotificationHandlers[notification.uuid] = handler;
+            }
 
-            // Start additional status notifications
-            const additionalStatusChar = await this.services.rowing.getCharacteristic(
-                ROWING_CHARACTERISTICS.ADDITIONAL_STATUS
-            );
+            console.log('Started rowing data notifications');
             
-            await additionalStatusChar.startNotifications();
-            additionalStatusChar.addEventListener('characteristicvaluechanged', (event) => {
-                console.log('Additional status notification received:', event.target.value.byteLength, 'bytes');
+        } catch (error) {
+            console.error('Error starting notifications:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stop rowing data notifications
+     */
+    async stopRowingDataNotifications() {
+        try {
+            for (const notification of ROWING_NOTIFICATIONS) {
+                const handler = this.rowingNotificationHandlers[notification.uuid];
+                if (!handler) {
+                    continue;
+                }
+                
                 try {
-                    const data = parseAdditionalStatus(event.target.value);
-                    data.type = 'additional_status';
-                    console.log('Parsed additional status:', data);
-                    if (this.onWorkoutData) {
-                        this.onWorkoutData(data);
-                    }
+                    delete this.rowingNotificationHandlers[notification.uuid];
+                    await this.transport.stopNotifications(PM5_SERVICES.ROWING, notification.uuid, handler);
                 } catch (error) {
-                    console.error('Error parsing additional status:', error);
+                    console.warn(`Could not stop notifications for ${notification.uuid}:`, error.message);
                 }
-            });
+            }
 
-            // Start stroke data notifications
-            const strokeDataChar = await this.services.rowing.getCharacteristic(
-                ROWING_CHARACTERISTICS.STROKE_DATA
-            );
+            console.log('Stopped rowing data notifications');
             
-            await strokeDataChar.startNotifications();
-            strokeDataChar.addEventListener('characteristicvaluechanged', (event) => {
-                console.log('Stroke data notification received:', event.target.value.byteLength, 'bytes');
+        } catch (error) {
+            console.error('Error stopping notifications:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Start multiplexed data notifications
+     * Receives every rowing data type through the single multiplexed characteristic,
+     * for Bluetooth stacks with too few notification slots for separate subscriptions.
+     * Use instead of startRowingDataNotifications(), not alongside it.
+     */
+    async startMultiplexedNotifications() {
+        if (this.multiplexedSubscription) {
+            return;
+        }
+        
+        try {
+            const handler = (dataView) => {
                 try {
-                    const data = parseStrokeData(event.target.value);
-                    console.log('Parsed stroke data:', data);
-                    if (this.onStrokeData) {
-                        this.onStrokeData(data);
+                    const result = parseMultiplexedData(dataView);
+                    if (!result.data) {
+                        return;
                     }
+                    
+                    const data = result.data;
+                    data.type = result.type;
+                    this.dispatchRowingData(data);
                 } catch (error) {
-                    console.error('Error parsing stroke data:', error);
+                    console.error('Error parsing multiplexed data:', error, dataViewToHex(dataView));
+                    this.emit(PM5_EVENTS.ERROR, { error, source: 'multiplexed' });
                 }
-            });
+            };
+            
+            await this.transport.startNotifications(
+                PM5_SERVICES.ROWING,
+                ROWING_CHARACTERISTICS.MULTIPLEXED_INFORMATION,
+                handler
+            );
+            this.multiplexedSubscription = handler;
+            
+            console.log('Started multiplexed data notifications');
+            
+        } catch (error) {
+            console.error('Error starting multiplexed notifications:', error);
+            throw error;
+        }
+    }
 
-            // Start split interval data notifications
-            const splitDataChar = await this.services.rowing.getCharacteristic(
-                ROWING_CHARACTERISTICS.SPLIT_INTERVAL_DATA
+    /**
+     * Stop multiplexed data notifications
+     */
+    async stopMultiplexedNotifications() {
+        if (!this.multiplexedSubscription) {
+            return;
+        }
+        
+        try {
+            const handler = this.multiplexedSubscription;
+            this.multiplexedSubscription = null;
+            
+            await this.transport.stopNotifications(
+                PM5_SERVICES.ROWING,
+                ROWING_CHARACTERISTICS.MULTIPLEXED_INFORMATION,
+                handler
             );
             
-            await splitDataChar.startNotifications();
-            splitDataChar.addEventListener('characteristicvaluechanged', (event) => {
-                console.log('Split data notification received:', event.target.value.byteLength, 'bytes');
-                try {
-                    const data = parseSplitIntervalData(event.target.value);
-                    console.log('Parsed split data:', data);
-                    if (this.onSplitData) {
-                        this.onSplitData(data);
-                    }
-                } catch (error) {
-                    console.error('Error parsing split data:', error);
-                }
-            });
+            console.log('Stopped multiplexed data notifications');
+            
+        } catch (error) {
+            console.error('Error stopping multiplexed notifications:', error);
+            throw error;
+        }
+    }
 
-            console.log('Started rowing data notifications');
+    /**
+     * Route parsed rowing data to the matching event
+     */
+    dispatchRowingData(data) {
+        switch (data.type) {
+            case 'stroke_data':
+                this.forceCurveAssembler.addStroke(data);
+                break;
+            case 'end_of_workout_summary':
+            case 'additional_end_of_workout_summary':
+            case 'additional_end_of_workout_summary_2':
+                this.workoutSummaryAssembler.add(data.type, data);
+                return;
+            case 'force_curve_data':
+                this.forceCurveAssembler.addPacket(data);
+                return;
+            case 'logged_workout_data':
+                this.addLoggedWorkout(data);
+                return;
+        }
+        
+        const eventType = ROWING_DATA_EVENTS[data.type];
+        if (eventType) {
+            this.emit(eventType, data);
+        } else {
+            console.warn(`Unhandled rowing data type: ${data.type}`);
+        }
+    }
+
+
+    /**
+     * Set how often general status data is sent: '1s', '500ms', '250ms' or '100ms'
+     * The rate is remembered and reapplied whenever the device reconnects
+     */
+    async setSampleRate(rate) {
+        if (!(rate in SAMPLE_RATES)) {
+            throw new Error(`Invalid sample rate: ${rate}, expected one of ${Object.keys(SAMPLE_RATES).join(', ')}`);
+        }
+        
+        try {
+            await this.writeSampleRate(rate);
+            this.settings.sampleRate = rate;
+            console.log(`Sample rate set to ${rate}`);
+            return true;
+        } catch (error) {
+            console.error('Error setting sample rate:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read the current general status sample rate
+     */
+    async getSampleRate() {
+        const dataView = await this.transport.readValue(
+            PM5_SERVICES.ROWING,
+            ROWING_CHARACTERISTICS.GENERAL_STATUS_RATE
+        );
+        const value = dataView.getUint8(0);
+        const rate = Object.keys(SAMPLE_RATES).find(key => SAMPLE_RATES[key] === value);
+        return rate || null;
+    }
+
+    /**
+     * Write the sample rate characteristic and read it back to confirm
+     */
+    async writeSampleRate(rate) {
+        await this.transport.writeValue(
+            PM5_SERVICES.ROWING,
+            ROWING_CHARACTERISTICS.GENERAL_STATUS_RATE,
+            new Uint8Array([SAMPLE_RATES[rate]])
+        );
+        
+        const actual = await this.getSampleRate();
+        if (actual !== rate) {
+            throw new Error(`PM5 reports sample rate ${actual}, expected ${rate}`);
+        }
+    }
+
+    /**
+     * Read the heart rate belt currently paired with the PM5
+     */
+    async getHeartRateBelt() {
+        try {
+            const belt = parseHeartRateBeltInformation(await this.transport.readValue(
+                PM5_SERVICES.ROWING,
+                ROWING_CHARACTERISTICS.HEART_RATE_BELT_INFORMATION
+            ));
+            console.log('Heart rate belt:', belt);
+            return belt;
+        } catch (error) {
+            console.error('Error reading heart rate belt information:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pair a specific ANT heart rate belt, e.g. setHeartRateBelt({ belt_id: 12345 })
+     * Resolves with the belt information read back from the PM5
+     */
+    async setHeartRateBelt(belt) {
+        try {
+            await this.transport.writeValue(
+                PM5_SERVICES.ROWING,
+                ROWING_CHARACTERISTICS.HEART_RATE_BELT_INFORMATION,
+                encodeHeartRateBeltInformation(belt)
+            );
+            
+            const paired = parseHeartRateBeltInformation(await this.transport.readValue(
+                PM5_SERVICES.ROWING,
+                ROWING_CHARACTERISTICS.HEART_RATE_BELT_INFORMATION
+            ));
+            if (paired.belt_id !== belt.belt_id) {
+                throw new Error(`PM5 reports belt ${paired.belt_id}, expected ${belt.belt_id}`);
+            }
             
+            console.log('Paired heart rate belt:', paired);
+            return paired;
         } catch (error) {
-            console.error('Error starting notifications:', error);
+            console.error('Error pairing heart rate belt:', error);
             throw error;
         }
     }
 
     /**
-     * Stop rowing data notifications
+     * Record a logged workout entry, reporting it if it has not been seen before
      */
-    async stopRowingDataNotifications() {
+    addLoggedWorkout(entry) {
+        if (this.loggedWorkouts.has(entry.logged_workout_hash)) {
+            return false;
+        }
+        
+        this.loggedWorkouts.set(entry.logged_workout_hash, {
+            logged_workout_hash: entry.logged_workout_hash,
+            internal_log_address: entry.internal_log_address
+        });
+        console.log('Logged workout:', entry);
+        
+        this.emit(PM5_EVENTS.LOGGED_WORKOUT, entry);
+        return true;
+    }
+
+    /**
+     * Read the most recently logged workout's hash and internal log address
+     */
+    async readLoggedWorkoutData() {
         try {
-            const characteristics = [
-                ROWING_CHARACTERISTICS.GENERAL_STATUS,
-                ROWING_CHARACTERISTICS.ADDITIONAL_STATUS,
-                ROWING_CHARACTERISTICS.STROKE_DATA,
-                ROWING_CHARACTERISTICS.SPLIT_INTERVAL_DATA
-            ];
-
-            for (const charUuid of characteristics) {
-                try {
-                    const char = await this.services.rowing.getCharacteristic(charUuid);
-                    await char.stopNotifications();
-                } catch (error) {
-                    console.warn(`Could not stop notifications for ${charUuid}:`, error.message);
+            const entry = parseLoggedWorkoutData(await this.transport.readValue(
+                PM5_SERVICES.ROWING,
+                ROWING_CHARACTERISTICS.LOGGED_WORKOUT_DATA
+            ));
+            this.addLoggedWorkout(entry);
+            return entry;
+        } catch (error) {
+            console.error('Error reading logged workout data:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read where the PM5's internal log starts and how many workouts it holds
+     * Response: first record address (UInt32 BE), record count (UInt16 BE)
+     */
+    async getInternalLogParams() {
+        const response = await this.sendCsafeCommand([
+            { command: 'GET_PM_CFG', commands: ['GET_INTERNAL_LOG_PARAMS'] }
+        ]);
+        const data = getCsafeResponseData(response, 'GET_PM_CFG', 'GET_INTERNAL_LOG_PARAMS');
+        if (!data || data.length < 6) {
+            throw new Error('PM5 did not return its internal log parameters');
+        }
+
+        return {
+            start_address: ((data[0] << 24) | (data[1] << 16) | (data[2] << 8) | data[3]) >>> 0,
+            entry_count: (data[4] << 8) | data[5]
+        };
+    }
+
+    /**
+     * List every workout stored in the PM5's internal log, oldest first
+     * Walks the log record by record, reading each header for its hash and
+     * length; entries not seen before are reported as logged workouts.
+     */
+    async listLoggedWorkouts() {
+        try {
+            const params = await this.getInternalLogParams();
+            const entries = [];
+            let address = params.start_address;
+
+            for (let i = 0; i < params.entry_count; i++) {
+                const bytes = await this.readInternalLogMemory(address, LOGGED_WORKOUT_RECORD.HEADER_LENGTH);
+                const header = parseLoggedWorkoutHeader(new DataView(bytes.buffer));
+                if (header.record_length < LOGGED_WORKOUT_RECORD.SPLITS_OFFSET) {
+                    throw new Error(`Invalid logged workout record at 0x${address.toString(16)}: length ${header.record_length}`);
                 }
+
+                // internal_log_address is where the walk found the record, not the copy in its header
+                const entry = {
+                    logged_workout_hash: header.logged_workout_hash,
+                    internal_log_address: address
+                };
+                this.addLoggedWorkout(entry);
+                entries.push(entry);
+                address += header.record_length;
             }
 
-            console.log('Stopped rowing data notifications');
-            
+            return entries;
         } catch (error) {
-            console.error('Error stopping notifications:', error);
+            console.error('Error listing logged workouts:', error);
             throw error;
         }
     }
 
+    /**
+     * Read a block of the PM5's internal log memory over CSAFE
+     */
+    async readInternalLogMemory(address, length) {
+        const bytes = new Uint8Array(length);
+        let read = 0;
+        
+        while (read < length) {
+            const blockAddress = address + read;
+            const blockLength = Math.min(CSAFE_MAX_LOG_READ_LENGTH, length - read);
+            
+            const response = await this.sendCsafeCommand([{
+                command: 'GET_PM_DATA',
+                commands: [{
+                    command: 'GET_INTERNAL_LOG_MEMORY',
+                    data: [
+                        (blockAddress >>> 24) & 0xFF,
+                        (blockAddress >>> 16) & 0xFF,
+                        (blockAddress >>> 8) & 0xFF,
+                        blockAddress & 0xFF,
+                        blockLength
+                    ]
+                }]
+            }]);
+            
+            // Response: byte count followed by the memory contents
+            const data = getCsafeResponseData(response, 'GET_PM_DATA', 'GET_INTERNAL_LOG_MEMORY');
+            if (!data || data.length < 1 || data[0] === 0) {
+                throw new Error(`No log memory returned at address 0x${blockAddress.toString(16)}`);
+            }
+            
+            const block = data.slice(1, 1 + Math.min(data[0], blockLength));
+            bytes.set(block, read);
+            read += block.length;
+        }
+        
+        return bytes;
+    }
+
+    /**
+     * Download and decode the stored record for a logged workout entry
+     * Reads the header and summaries, then the splits the header announces
+     * (see LOGGED_WORKOUT_RECORD for the layout).
+     *
+     * @returns {Promise<{ logged_workout_hash: string, internal_log_address: number,
+     *   summary: WorkoutSummary, splits: Object[], bytes: Uint8Array }>}
+     *   splits holds one merged split data / additional split data record per split
+     */
+    async downloadLoggedWorkout(entry) {
+        try {
+            console.log(`Downloading logged workout ${entry.logged_workout_hash}...`);
+            const address = entry.internal_log_address;
+            const head = await this.readInternalLogMemory(address, LOGGED_WORKOUT_RECORD.SPLITS_OFFSET);
+            const header = parseLoggedWorkoutHeader(new DataView(head.buffer));
+            if (header.logged_workout_hash !== entry.logged_workout_hash) {
+                throw new Error(`Log record at 0x${address.toString(16)} is workout ${header.logged_workout_hash}, expected ${entry.logged_workout_hash}`);
+            }
+
+            const bytes = new Uint8Array(Math.max(header.record_length, head.length));
+            bytes.set(head);
+            if (header.record_length > head.length) {
+                bytes.set(await this.readInternalLogMemory(address + head.length, header.record_length - head.length), head.length);
+            }
+
+            const record = parseLoggedWorkoutRecord(new DataView(bytes.buffer));
+            return {
+                logged_workout_hash: entry.logged_workout_hash,
+                internal_log_address: address,
+                summary: buildWorkoutSummary(record.summary, record.additional_summary, record.additional_summary_2),
+                splits: record.splits,
+                bytes: bytes
+            };
+        } catch (error) {
+            console.error('Error downloading logged workout:', error);
+            throw error;
+        }
+    }
 
     /**
      * Get workout state string
@@ -376,63 +982,160 @@ export class PM5Device {
                 bytes[i / 2] = parseInt(cleanHex.substr(i, 2), 16);
             }
             
-            console.log('Sending control bytes:', Array.from(bytes, b => '0x' + b.toString(16).padStart(2, '0')).join(' '));
+            await this.writeControlBytes(bytes);
+            console.log('Control bytes sent successfully');
             
-            const transmitChar = await this.services.control.getCharacteristic(
-                CONTROL_CHARACTERISTICS.TRANSMIT
+            return true;
+        } catch (error) {
+            console.error('Error sending control bytes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Write bytes to the TX control characteristic, split into BLE-sized writes
+     */
+    async writeControlBytes(bytes) {
+        console.log('Sending control bytes:', Array.from(bytes, b => '0x' + b.toString(16).padStart(2, '0')).join(' '));
+        
+        for (let offset = 0; offset < bytes.length; offset += CSAFE_MAX_WRITE_LENGTH) {
+            await this.transport.writeValue(
+                PM5_SERVICES.CONTROL,
+                CONTROL_CHARACTERISTICS.TRANSMIT,
+                bytes.slice(offset, offset + CSAFE_MAX_WRITE_LENGTH)
             );
+        }
+    }
+
+    /**
+     * Send CSAFE commands and resolve with the decoded response
+     * Commands use the format accepted by buildCsafeFrame(), e.g.
+     *   await pm5.sendCsafeCommand([{ command: 'GET_PM_CFG', commands: ['GET_WORKOUT_TYPE'] }])
+     */
+    async sendCsafeCommand(commands, options = {}) {
+        if (!this.controlRxHandler) {
+            await this.startControlRxNotifications();
+        }
+        
+        const response = await this.csafe.send(commands, options);
+        console.log('CSAFE response:', response);
+        return response;
+    }
+
+    /**
+     * Send a workout's CSAFE frames in order and confirm the PM5 accepted it
+     */
+    async programWorkout(frames) {
+        try {
+            for (const frame of frames) {
+                await this.sendCsafeCommand(frame);
+            }
             
-            await transmitChar.writeValue(bytes);
-            console.log('Control bytes sent successfully');
+            // Read the workout type back to confirm the PM5 took the new workout
+            const expected = expectedWorkoutType(frames);
+            const response = await this.sendCsafeCommand([
+                { command: 'GET_PM_CFG', commands: ['GET_WORKOUT_TYPE'] }
+            ]);
+            const data = getCsafeResponseData(response, 'GET_PM_CFG', 'GET_WORKOUT_TYPE');
+            const actual = data ? data[0] : null;
             
+            if (actual !== expected) {
+                throw new Error(`PM5 reports workout type ${actual}, expected ${expected}`);
+            }
+            
+            console.log(`Workout programmed (type ${actual})`);
             return true;
         } catch (error) {
-            console.error('Error sending control bytes:', error);
+            console.error('Error programming workout:', error);
             throw error;
         }
     }
 
+    /**
+     * Program a fixed distance piece (meters, optional split in meters)
+     */
+    async programFixedDistance(meters, splitMeters) {
+        return this.programWorkout(buildFixedDistanceWorkout(meters, splitMeters));
+    }
+
+    /**
+     * Program a fixed time piece (seconds, optional split in seconds)
+     */
+    async programFixedTime(seconds, splitSeconds) {
+        return this.programWorkout(buildFixedTimeWorkout(seconds, splitSeconds));
+    }
+
+    /**
+     * Program a fixed calorie piece (optional split in calories)
+     */
+    async programFixedCalorie(calories, splitCalories) {
+        return this.programWorkout(buildFixedCalorieWorkout(calories, splitCalories));
+    }
+
+    /**
+     * Program repeated intervals, e.g. programIntervals({ work: { distance: 500 }, rest: 60, count: 6 })
+     */
+    async programIntervals(options) {
+        return this.programWorkout(buildIntervalWorkout(options));
+    }
+
+    /**
+     * Program variable intervals, e.g. programVariableIntervals([{ time: 240, rest: 60 }, { distance: 1000, rest: 120 }])
+     */
+    async programVariableIntervals(intervals) {
+        return this.programWorkout(buildVariableIntervalWorkout(intervals));
+    }
+
+    /**
+     * Set the PM5's race operation, e.g. RACE_OPERATION_TYPES.RACE_WAIT_TO_START
+     * to hold the athlete at the start and RACE_OPERATION_TYPES.START to release them
+     */
+    async setRaceOperation(operation) {
+        await this.sendCsafeCommand([{
+            command: 'SET_PM_CFG',
+            commands: [{ command: 'SET_RACE_OPERATION_TYPE', data: [operation] }]
+        }]);
+    }
+
     /**
      * Start notifications for RX control characteristic
      */
     async startControlRxNotifications() {
+        if (this.controlRxHandler) {
+            return true;
+        }
+        
         try {
             console.log('Starting RX control notifications...');
-            console.log('Control service:', this.services.control);
-            
-            const receiveChar = await this.services.control.getCharacteristic(
-                CONTROL_CHARACTERISTICS.RECEIVE
-            );
-            
-            console.log('RX characteristic obtained:', receiveChar.uuid);
-            console.log('RX characteristic properties:', receiveChar.properties);
             
-            await receiveChar.startNotifications();
-            console.log('RX notifications started successfully');
-            
-            receiveChar.addEventListener('characteristicvaluechanged', (event) => {
+            const handler = (dataView) => {
                 try {
-                    const dataView = event.target.value;
-                    const bytes = new Uint8Array(dataView.buffer);
+                    const bytes = new Uint8Array(dataView.buffer, dataView.byteOffset, dataView.byteLength);
                     const hexString = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
                     
                     console.log('🔔 RX NOTIFICATION RECEIVED! Data:', hexString);
                     
-                    if (this.onControlRxData) {
-                        this.onControlRxData({
-                            timestamp: Date.now(),
-                            hexString: hexString,
-                            bytes: Array.from(bytes)
-                        });
-                    } else {
-                        console.warn('onControlRxData handler not set!');
-                    }
+                    this.csafe.handleNotification(bytes);
+                    
+                    this.emit(PM5_EVENTS.CONTROL_RX, {
+                        timestamp: Date.now(),
+                        hexString: hexString,
+                        bytes: Array.from(bytes)
+                    });
                 } catch (error) {
                     console.error('Error handling RX control data:', error);
+                    this.emit(PM5_EVENTS.ERROR, { error, source: 'controlrx' });
                 }
-            });
+            };
             
-            console.log('RX event listener attached - waiting for notifications...');
+            await this.transport.startNotifications(
+                PM5_SERVICES.CONTROL,
+                CONTROL_CHARACTERISTICS.RECEIVE,
+                handler
+            );
+            this.controlRxHandler = handler;
+            
+            console.log('RX notifications started - waiting for notifications...');
             return true;
         } catch (error) {
             console.error('Error starting RX control notifications:', error);
@@ -447,11 +1150,15 @@ export class PM5Device {
         try {
             console.log('Stopping RX control notifications...');
             
-            const receiveChar = await this.services.control.getCharacteristic(
-                CONTROL_CHARACTERISTICS.RECEIVE
-            );
+            const handler = this.controlRxHandler;
+            this.controlRxHandler = null;
+            this.csafe.reset('RX control notifications stopped');
             
-            await receiveChar.stopNotifications();
+            await this.transport.stopNotifications(
+                PM5_SERVICES.CONTROL,
+                CONTROL_CHARACTERISTICS.RECEIVE,
+                handler
+            );
             console.log('Stopped RX control notifications');
             return true;
         } catch (error) {
@@ -465,31 +1172,9 @@ export class PM5Device {
      */
     async discoverNotifyCapableCharacteristics() {
         console.log('Discovering all notify-capable characteristics...');
-        const notifyChars = [];
         
         try {
-            // Get all services
-            const services = await this.server.getPrimaryServices();
-            
-            for (const service of services) {
-                try {
-                    const characteristics = await service.getCharacteristics();
-                    
-                    for (const char of characteristics) {
-                        // Check if characteristic supports notify
-                        if (char.properties.notify) {
-                            notifyChars.push({
-                                uuid: char.uuid,
-                                serviceUuid: service.uuid,
-                                characteristic: char
-                            });
-                            console.log(`Found notify-capable: ${char.uuid} in service ${service.uuid}`);
-                        }
-                    }
-                } catch (error) {
-                    console.warn(`Could not get characteristics for service ${service.uuid}:`, error);
-                }
-            }
+            const notifyChars = await this.transport.getNotifyCharacteristics();
             
             this.notifyCapableCharacteristics = notifyChars;
             console.log(`Discovered ${notifyChars.length} notify-capable characteristics`);
@@ -519,40 +1204,33 @@ export class PM5Device {
                 throw new Error(`Characteristic ${uuid} not found in discovered characteristics`);
             }
             
-            const char = charInfo.characteristic;
-            
             // Start notifications
-            await char.startNotifications();
-            
-            // Add event listener
-            const handler = (event) => {
+            const handler = (dataView) => {
                 try {
-                    const dataView = event.target.value;
-                    const bytes = new Uint8Array(dataView.buffer);
+                    const bytes = new Uint8Array(dataView.buffer, dataView.byteOffset, dataView.byteLength);
                     const hexString = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
                     
                     console.log(`📡 Data from ${uuid}:`, hexString);
                     
-                    if (this.onCharacteristicData) {
-                        this.onCharacteristicData({
-                            uuid: uuid,
-                            timestamp: Date.now(),
-                            hexString: hexString,
-                            bytes: Array.from(bytes),
-                            raw: dataView
-                        });
-                    }
+                    this.emit(PM5_EVENTS.CHARACTERISTIC, {
+                        uuid: uuid,
+                        timestamp: Date.now(),
+                        hexString: hexString,
+                        bytes: Array.from(bytes),
+                        raw: dataView
+                    });
                 } catch (error) {
                     console.error('Error handling characteristic data:', error);
+                    this.emit(PM5_EVENTS.ERROR, { error, source: uuid });
                 }
             };
             
-            char.addEventListener('characteristicvaluechanged', handler);
+            await this.transport.startNotifications(charInfo.serviceUuid, uuid, handler);
             
             // Store active subscription
             this.activeCharacteristicSubscription = {
                 uuid: uuid,
-                characteristic: char,
+                serviceUuid: charInfo.serviceUuid,
                 handler: handler
             };
             
@@ -574,17 +1252,13 @@ export class PM5Device {
         }
         
         try {
-            const { uuid, characteristic, handler } = this.activeCharacteristicSubscription;
+            const { uuid, serviceUuid, handler } = this.activeCharacteristicSubscription;
             
             console.log(`Unsubscribing from characteristic: ${uuid}`);
             
-            // Remove event listener
-            characteristic.removeEventListener('characteristicvaluechanged', handler);
-            
-            // Stop notifications
-            await characteristic.stopNotifications();
-            
             this.activeCharacteristicSubscription = null;
+            await this.transport.stopNotifications(serviceUuid, uuid, handler);
+            
             console.log(`Successfully unsubscribed from ${uuid}`);
             
         } catch (error) {
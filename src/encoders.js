@@ -0,0 +1,260 @@
+/**
+ * Data encoding utilities for PM5 Bluetooth characteristics
+ * Each encoder is the inverse of the parser with the same name in parsers.js:
+ *   encodeX(parseX(bytes)) reproduces bytes exactly, and
+ *   parseX(encodeX(data)) returns data rounded to the wire resolution.
+ * Values that do not fit their field throw rather than wrap. Fixed-layout records
+ * are encoded by functions generated from TELEMETRY_SCHEMA in schema.js.
+ */
+
+import { TELEMETRY_SCHEMA, recordLayout } from './schema.js';
+import { LOGGED_WORKOUT_RECORD } from './constants.js';
+
+/**
+ * Write 16-bit little-endian integer to DataView
+ */
+export function writeInt16LE(dataView, offset, value) {
+    dataView.setUint16(offset, value, true); // true = little endian
+}
+
+/**
+ * Write 24-bit little-endian integer to DataView
+ */
+export function writeInt24LE(dataView, offset, value) {
+    dataView.setUint8(offset, value & 0xFF);
+    dataView.setUint8(offset + 1, (value >> 8) & 0xFF);
+    dataView.setUint8(offset + 2, (value >> 16) & 0xFF);
+}
+
+/**
+ * Write 32-bit little-endian integer to DataView
+ */
+export function writeInt32LE(dataView, offset, value) {
+    dataView.setUint32(offset, value, true); // true = little endian
+}
+
+/**
+ * Convert a field to its raw wire integer, e.g. raw(data, 'elapsed_time', 100, 24) for centiseconds
+ */
+function raw(data, field, scale, bits) {
+    const value = data[field];
+    const result = Math.round(value * scale);
+
+    if (!Number.isFinite(result) || result < 0 || result > 2 ** bits - 1) {
+        throw new Error(`Invalid ${field}: ${value} does not fit in ${bits} bits`);
+    }
+    return result;
+}
+
+/**
+ * Allocate a record, with the multiplexed ID byte in front when requested
+ */
+function createRecord(id, length, isMultiplexed) {
+    const offset = isMultiplexed ? 1 : 0;
+    const bytes = new Uint8Array(length + offset);
+    const dataView = new DataView(bytes.buffer);
+
+    if (isMultiplexed) {
+        dataView.setUint8(0, id);
+    }
+    return { bytes, dataView, offset };
+}
+
+/**
+ * Write one schema field to DataView, converting from engineering units
+ */
+function writeField(dataView, offset, field, data) {
+    if (field.type === 'hex') {
+        const hex = data[field.name];
+        if (typeof hex !== 'string' || !new RegExp(`^[0-9a-f]{1,${field.width * 2}}$`, 'i').test(hex)) {
+            throw new Error(`Invalid ${field.name}: ${hex}`);
+        }
+        dataView.setBigUint64(offset, BigInt(`0x${hex}`), true);
+        return;
+    }
+
+    // Scales are powers of ten, so multiply by the exact inverse rather than divide
+    const value = raw(data, field.name, field.scale ? Math.round(1 / field.scale) : 1, field.width * 8);
+    switch (field.width) {
+        case 1: dataView.setUint8(offset, value); break;
+        case 2: writeInt16LE(dataView, offset, value); break;
+        case 3: writeInt24LE(dataView, offset, value); break;
+        case 4: writeInt32LE(dataView, offset, value); break;
+        default: throw new Error(`Unsupported field width for ${field.name}: ${field.width}`);
+    }
+}
+
+/**
+ * Generate an encoder from a record in TELEMETRY_SCHEMA
+ * Optional fields are written, and the record lengthened, only when present in data.
+ * Multiplexed records use the record's multiplexed layout.
+ */
+export function createEncoder(record) {
+    if (record.custom) {
+        throw new Error(`${record.label} has no generated encoder`);
+    }
+
+    return function encode(data, isMultiplexed = false) {
+        const layout = recordLayout(record, isMultiplexed);
+        const fields = layout.fields.filter(field => !field.optional || data[field.name] !== undefined);
+        const length = Math.max(layout.length, ...fields.map(field => field.offset + field.width));
+        const { bytes, dataView, offset } = createRecord(record.id, length, isMultiplexed);
+
+        for (const field of fields) {
+            writeField(dataView, offset + field.offset, field, data);
+        }
+        return bytes;
+    };
+}
+
+/**
+ * Encode general status data (19 bytes)
+ */
+export const encodeGeneralStatus = createEncoder(TELEMETRY_SCHEMA.general_status);
+
+/**
+ * Encode additional status data (16 bytes)
+ */
+export const encodeAdditionalStatus = createEncoder(TELEMETRY_SCHEMA.additional_status);
+
+/**
+ * Encode additional status 2 data (20 bytes, 17 when multiplexed)
+ */
+export const encodeAdditionalStatus2 = createEncoder(TELEMETRY_SCHEMA.additional_status_2);
+
+/**
+ * Encode stroke data (20 bytes, 18 when multiplexed)
+ */
+export const encodeStrokeData = createEncoder(TELEMETRY_SCHEMA.stroke_data);
+
+/**
+ * Encode additional stroke data (15 bytes, 17 with work_per_stroke)
+ */
+export const encodeAdditionalStrokeData = createEncoder(TELEMETRY_SCHEMA.additional_stroke_data);
+
+/**
+ * Encode split/interval data (18 bytes)
+ */
+export const encodeSplitIntervalData = createEncoder(TELEMETRY_SCHEMA.split_data);
+
+/**
+ * Encode additional split/interval data (18 bytes)
+ */
+export const encodeAdditionalSplitIntervalData = createEncoder(TELEMETRY_SCHEMA.additional_split_data);
+
+/**
+ * Encode a Date as a PM log entry date and time, the inverse of logEntryToDate()
+ */
+export function dateToLogEntry(date) {
+    return {
+        log_entry_date: (date.getMonth() + 1) | (date.getDate() << 4) | ((date.getFullYear() - 2000) << 9),
+        log_entry_time: date.getMinutes() | (date.getHours() << 8)
+    };
+}
+
+/**
+ * Encode end of workout summary data (20 bytes, 18 when multiplexed)
+ */
+export const encodeEndOfWorkoutSummary = createEncoder(TELEMETRY_SCHEMA.end_of_workout_summary);
+
+/**
+ * Encode additional end of workout summary data (19 bytes)
+ */
+export const encodeAdditionalEndOfWorkoutSummary = createEncoder(TELEMETRY_SCHEMA.additional_end_of_workout_summary);
+
+/**
+ * Encode additional end of workout summary 2 data (10 bytes)
+ */
+export const encodeAdditionalEndOfWorkoutSummary2 = createEncoder(TELEMETRY_SCHEMA.additional_end_of_workout_summary_2);
+
+/**
+ * Encode one force curve packet (2 bytes plus 2 per point, at most 15 points)
+ * point_count is taken from forces
+ */
+export function encodeForceCurveData(data, isMultiplexed = false) {
+    const forces = data.forces || [];
+    if (forces.length > 0x0F) {
+        throw new Error(`Too many force curve points in one packet: ${forces.length}`);
+    }
+
+    const { bytes, dataView, offset } = createRecord(0x3D, 2 + forces.length * 2, isMultiplexed);
+
+    dataView.setUint8(offset + 0, (raw(data, 'packet_count', 1, 4) << 4) | forces.length);
+    dataView.setUint8(offset + 1, raw(data, 'sequence_number', 1, 8));
+    forces.forEach((force, i) => {
+        writeInt16LE(dataView, offset + 2 + i * 2, raw(forces, i, 1, 16));
+    });
+    return bytes;
+}
+
+const encodeHeartRateBelt = createEncoder(TELEMETRY_SCHEMA.heart_rate_belt_information);
+
+/**
+ * Encode heart rate belt information (6 bytes)
+ */
+export function encodeHeartRateBeltInformation({ manufacturer_id = 0, device_type = 0, belt_id }, isMultiplexed = false) {
+    if (!Number.isInteger(belt_id) || belt_id < 0 || belt_id > 0xFFFFFFFF) {
+        throw new Error(`Invalid heart rate belt ID: ${belt_id}`);
+    }
+    return encodeHeartRateBelt({ manufacturer_id, device_type, belt_id }, isMultiplexed);
+}
+
+/**
+ * Encode logged workout data (12 bytes)
+ */
+export const encodeLoggedWorkoutData = createEncoder(TELEMETRY_SCHEMA.logged_workout_data);
+
+/**
+ * Encode a logged workout record for the PM5's internal log (see LOGGED_WORKOUT_RECORD)
+ * Takes the shape returned by parseLoggedWorkoutRecord(); record_length and
+ * split_count are taken from splits.
+ */
+export function encodeLoggedWorkoutRecord(data) {
+    const splits = data.splits || [];
+    const length = LOGGED_WORKOUT_RECORD.SPLITS_OFFSET + splits.length * LOGGED_WORKOUT_RECORD.SPLIT_LENGTH;
+    const bytes = new Uint8Array(length);
+    const dataView = new DataView(bytes.buffer);
+
+    bytes.set(encodeLoggedWorkoutData(data), 0);
+    writeInt16LE(dataView, 12, raw({ record_length: length }, 'record_length', 1, 16));
+    dataView.setUint8(14, raw({ split_count: splits.length }, 'split_count', 1, 8));
+    bytes.set(encodeEndOfWorkoutSummary(data.summary), LOGGED_WORKOUT_RECORD.SUMMARY_OFFSET);
+    bytes.set(encodeAdditionalEndOfWorkoutSummary(data.additional_summary), LOGGED_WORKOUT_RECORD.ADDITIONAL_SUMMARY_OFFSET);
+    bytes.set(encodeAdditionalEndOfWorkoutSummary2(data.additional_summary_2), LOGGED_WORKOUT_RECORD.ADDITIONAL_SUMMARY_2_OFFSET);
+
+    splits.forEach((split, i) => {
+        const offset = LOGGED_WORKOUT_RECORD.SPLITS_OFFSET + i * LOGGED_WORKOUT_RECORD.SPLIT_LENGTH;
+        bytes.set(encodeSplitIntervalData(split), offset);
+        bytes.set(encodeAdditionalSplitIntervalData(split), offset + LOGGED_WORKOUT_RECORD.ADDITIONAL_SPLIT_OFFSET);
+    });
+    return bytes;
+}
+
+// Multiplexed data type -> encoder, matching the types returned by parseMultiplexedData()
+const MULTIPLEXED_ENCODERS = {
+    general_status: encodeGeneralStatus,
+    additional_status: encodeAdditionalStatus,
+    additional_status_2: encodeAdditionalStatus2,
+    stroke_data: encodeStrokeData,
+    additional_stroke_data: encodeAdditionalStrokeData,
+    split_data: encodeSplitIntervalData,
+    additional_split_data: encodeAdditionalSplitIntervalData,
+    end_of_workout_summary: encodeEndOfWorkoutSummary,
+    additional_end_of_workout_summary: encodeAdditionalEndOfWorkoutSummary,
+    heart_rate_belt_information: encodeHeartRateBeltInformation,
+    additional_end_of_workout_summary_2: encodeAdditionalEndOfWorkoutSummary2,
+    force_curve_data: encodeForceCurveData,
+    logged_workout_data: encodeLoggedWorkoutData
+};
+
+/**
+ * Encode a multiplexed notification, the inverse of parseMultiplexedData()
+ * Example: encodeMultiplexedData({ type: 'stroke_data', data: stroke })
+ */
+export function encodeMultiplexedData({ type, data }) {
+    const encode = MULTIPLEXED_ENCODERS[type];
+    if (!encode) {
+        throw new Error(`Unknown multiplexed data type: ${type}`);
+    }
+    return encode(data, true);
+}
@@ -0,0 +1,120 @@
+/**
+ * Event helpers shared by the PM5 classes
+ * Built on the standard EventTarget so listeners also work with addEventListener()
+ */
+
+/**
+ * EventTarget with detail-based on/off/once helpers and async iteration
+ *
+ * Example:
+ *   device.on('stroke', (stroke) => console.log(stroke.stroke_count));
+ *   const summary = await device.once('workoutcomplete');
+ *   for await (const status of device.events('generalstatus')) { ... }
+ */
+export class PM5EventTarget extends EventTarget {
+    constructor() {
+        super();
+        // type -> Map(listener -> wrapped EventTarget listener)
+        this.listenerWrappers = new Map();
+    }
+
+    /**
+     * Dispatch an event whose detail is passed to on() listeners
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    /**
+     * Listen for an event; the listener receives the event detail
+     */
+    on(type, listener) {
+        if (!this.listenerWrappers.has(type)) {
+            this.listenerWrappers.set(type, new Map());
+        }
+
+        const wrappers = this.listenerWrappers.get(type);
+        if (wrappers.has(listener)) {
+            return this;
+        }
+
+        const wrapper = (event) => listener(event.detail);
+        wrappers.set(listener, wrapper);
+        this.addEventListener(type, wrapper);
+        return this;
+    }
+
+    /**
+     * Remove a listener added with on() or once()
+     */
+    off(type, listener) {
+        const wrappers = this.listenerWrappers.get(type);
+        if (!wrappers || !wrappers.has(listener)) {
+            return this;
+        }
+
+        this.removeEventListener(type, wrappers.get(listener));
+        wrappers.delete(listener);
+        return this;
+    }
+
+    /**
+     * Listen for the next event only
+     * Without a listener, returns a promise resolving with the event detail
+     */
+    once(type, listener = undefined) {
+        if (!listener) {
+            return new Promise(resolve => this.once(type, resolve));
+        }
+
+        const onceListener = (detail) => {
+            this.off(type, onceListener);
+            listener(detail);
+        };
+        return this.on(type, onceListener);
+    }
+
+    /**
+     * Async iterator over an event's details, buffering any not yet consumed
+     * Breaking out of a for await loop removes the listener
+     */
+    events(type) {
+        const buffered = [];
+        let waiting = null;
+        let finished = false;
+
+        const listener = (detail) => {
+            if (waiting) {
+                waiting({ value: detail, done: false });
+                waiting = null;
+            } else {
+                buffered.push(detail);
+            }
+        };
+        this.on(type, listener);
+
+        return {
+            [Symbol.asyncIterator]() {
+                return this;
+            },
+            next: () => {
+                if (buffered.length > 0) {
+                    return Promise.resolve({ value: buffered.shift(), done: false });
+                }
+                if (finished) {
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise(resolve => { waiting = resolve; });
+            },
+            return: () => {
+                finished = true;
+                this.off(type, listener);
+                if (waiting) {
+                    waiting({ value: undefined, done: true });
+                    waiting = null;
+                }
+                return Promise.resolve({ value: undefined, done: true });
+            }
+        };
+    }
+}
@@ -0,0 +1,438 @@
+/**
+ * Session export
+ * Turns a WorkoutSession into files for training platforms:
+ *   TCX - XML activity with 1 Hz track points (distance, heart rate, stroke rate as cadence, power)
+ *   FIT - binary activity file with the rowing sport type
+ *   CSV - one row per stroke
+ */
+
+import { WORKOUT_STATES } from './constants.js';
+
+/**
+ * Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+ */
+const FIT_EPOCH_OFFSET = 631065600;
+
+/**
+ * Start time of a session: options.startTime, the session's own start, or now
+ */
+function sessionStartTime(session, options) {
+    return options.startTime || session.startedAt || new Date();
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function maximum(values) {
+    return values.length > 0 ? Math.max(...values) : null;
+}
+
+/**
+ * Split a session into laps: one per interval, with its rest as a separate lap
+ * Calories from the workout summary are shared out over the work laps by distance.
+ */
+export function sessionLaps(session, options = {}) {
+    const samples = session.samples;
+    if (samples.length === 0) {
+        throw new Error('Session has no samples to export');
+    }
+
+    const laps = [];
+    let lap = null;
+
+    for (const sample of samples) {
+        const resting = sample.workout_state === WORKOUT_STATES.INTERVAL_REST;
+        if (!lap || lap.interval !== sample.interval || lap.resting !== resting) {
+            if (lap) {
+                lap.end = sample.time;
+                lap.endDistance = sample.distance;
+            }
+            lap = { interval: sample.interval, resting, start: sample.time, startDistance: sample.distance, samples: [] };
+            laps.push(lap);
+        }
+        lap.samples.push(sample);
+    }
+    lap.end = Math.max(session.time, lap.samples[lap.samples.length - 1].time);
+    lap.endDistance = Math.max(session.distance, lap.samples[lap.samples.length - 1].distance);
+
+    const totalCalories = options.summary ? options.summary.total_calories : 0;
+    const workDistance = laps
+        .filter(candidate => !candidate.resting)
+        .reduce((sum, candidate) => sum + candidate.endDistance - candidate.startDistance, 0);
+
+    return laps.map(({ interval, resting, start, end, startDistance, endDistance, samples: lapSamples }) => {
+        const strokes = session.strokes.filter(stroke => stroke.time > start && stroke.time <= end);
+        const heartRates = lapSamples.map(sample => sample.heart_rate).filter(Boolean);
+        const distance = endDistance - startDistance;
+
+        return {
+            interval,
+            resting,
+            start,
+            duration: end - start,
+            distance,
+            calories: (resting || workDistance === 0) ? 0 : Math.round(totalCalories * distance / workDistance),
+            strokes: strokes.length,
+            average_heart_rate: average(heartRates),
+            max_heart_rate: maximum(heartRates),
+            average_stroke_rate: average(strokes.map(stroke => stroke.stroke_rate).filter(Boolean)),
+            max_stroke_rate: maximum(strokes.map(stroke => stroke.stroke_rate).filter(Boolean)),
+            average_power: average(strokes.map(stroke => stroke.power).filter(power => power !== null)),
+            max_power: maximum(strokes.map(stroke => stroke.power).filter(power => power !== null)),
+            samples: lapSamples
+        };
+    });
+}
+
+function xmlElement(name, value) {
+    return value === null || value === undefined ? '' : `<${name}>${value}</${name}>`;
+}
+
+function heartRateElement(name, heartRate) {
+    return heartRate ? `<${name}><Value>${Math.round(heartRate)}</Value></${name}>` : '';
+}
+
+/**
+ * Export a session as a TCX activity
+ * Stroke rate is written as cadence and power and speed as TPX extensions,
+ * which Strava, Garmin Connect and TrainingPeaks all read.
+ *
+ * @param {WorkoutSession} session
+ * @param {Object} options
+ * @param {Date} options.startTime - Defaults to session.startedAt
+ * @param {WorkoutSummary} options.summary - Supplies calories
+ * @returns {string}
+ */
+export function exportTCX(session, options = {}) {
+    const startTime = sessionStartTime(session, options);
+    const timeAt = (seconds) => new Date(startTime.getTime() + seconds * 1000).toISOString();
+
+    const laps = sessionLaps(session, options).map(lap => {
+        const trackpoints = lap.samples.map(sample => {
+            const speed = sample.pace ? 500 / sample.pace : null;
+            const extensions = (speed !== null || sample.power !== null)
+                ? `<Extensions><ns3:TPX>${xmlElement('ns3:Speed', speed !== null ? speed.toFixed(3) : null)}${xmlElement('ns3:Watts', sample.power)}</ns3:TPX></Extensions>`
+                : '';
+
+            return `
+          <Trackpoint>
+            <Time>${timeAt(sample.time)}</Time>
+            <DistanceMeters>${sample.distance.toFixed(1)}</DistanceMeters>
+            ${heartRateElement('HeartRateBpm', sample.heart_rate)}
+            ${xmlElement('Cadence', sample.stroke_rate !== null ? Math.min(254, Math.round(sample.stroke_rate)) : null)}
+            ${extensions}
+          </Trackpoint>`;
+        }).join('');
+
+        return `
+      <Lap StartTime="${timeAt(lap.start)}">
+        <TotalTimeSeconds>${lap.duration.toFixed(1)}</TotalTimeSeconds>
+        <DistanceMeters>${lap.distance.toFixed(1)}</DistanceMeters>
+        <Calories>${lap.calories}</Calories>
+        ${heartRateElement('AverageHeartRateBpm', lap.average_heart_rate)}
+        ${heartRateElement('MaximumHeartRateBpm', lap.max_heart_rate)}
+        <Intensity>${lap.resting ? 'Resting' : 'Active'}</Intensity>
+        ${xmlElement('Cadence', lap.average_stroke_rate !== null ? Math.round(lap.average_stroke_rate) : null)}
+        <TriggerMethod>Manual</TriggerMethod>
+        <Track>${trackpoints}
+        </Track>
+      </Lap>`;
+    }).join('');
+
+    // Drop the blank lines left by optional elements
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+  <Activities>
+    <Activity Sport="Other">
+      <Id>${startTime.toISOString()}</Id>${laps}
+      <Notes>Indoor rowing</Notes>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>
+`.replace(/\n\s*\n/g, '\n');
+}
+
+// FIT base types: [id, size, invalid value]
+const FIT_ENUM = [0x00, 1, 0xFF];
+const FIT_UINT8 = [0x02, 1, 0xFF];
+const FIT_UINT16 = [0x84, 2, 0xFFFF];
+const FIT_UINT32 = [0x86, 4, 0xFFFFFFFF];
+const FIT_UINT32Z = [0x8C, 4, 0];
+
+// FIT profile messages used here: global number and [name, field number, base type]
+const FIT_MESSAGES = {
+    file_id: {
+        number: 0,
+        fields: [['type', 0, FIT_ENUM], ['manufacturer', 1, FIT_UINT16], ['product', 2, FIT_UINT16],
+                 ['serial_number', 3, FIT_UINT32Z], ['time_created', 4, FIT_UINT32]]
+    },
+    event: {
+        number: 21,
+        fields: [['timestamp', 253, FIT_UINT32], ['event', 0, FIT_ENUM], ['event_type', 1, FIT_ENUM]]
+    },
+    record: {
+        number: 20,
+        fields: [['timestamp', 253, FIT_UINT32], ['distance', 5, FIT_UINT32], ['speed', 6, FIT_UINT16],
+                 ['heart_rate', 3, FIT_UINT8], ['cadence', 4, FIT_UINT8], ['power', 7, FIT_UINT16]]
+    },
+    lap: {
+        number: 19,
+        fields: [['timestamp', 253, FIT_UINT32], ['message_index', 254, FIT_UINT16], ['event', 0, FIT_ENUM],
+                 ['event_type', 1, FIT_ENUM], ['start_time', 2, FIT_UINT32], ['total_elapsed_time', 7, FIT_UINT32],
+                 ['total_timer_time', 8, FIT_UINT32], ['total_distance', 9, FIT_UINT32], ['total_cycles', 10, FIT_UINT32],
+                 ['total_calories', 11, FIT_UINT16], ['avg_heart_rate', 15, FIT_UINT8], ['max_heart_rate', 16, FIT_UINT8],
+                 ['avg_cadence', 17, FIT_UINT8], ['max_cadence', 18, FIT_UINT8], ['avg_power', 19, FIT_UINT16],
+                 ['max_power', 20, FIT_UINT16], ['intensity', 23, FIT_ENUM], ['lap_trigger', 24, FIT_ENUM],
+                 ['sport', 25, FIT_ENUM], ['sub_sport', 39, FIT_ENUM]]
+    },
+    session: {
+        number: 18,
+        fields: [['timestamp', 253, FIT_UINT32], ['message_index', 254, FIT_UINT16], ['event', 0, FIT_ENUM],
+                 ['event_type', 1, FIT_ENUM], ['start_time', 2, FIT_UINT32], ['sport', 5, FIT_ENUM],
+                 ['sub_sport', 6, FIT_ENUM], ['total_elapsed_time', 7, FIT_UINT32], ['total_timer_time', 8, FIT_UINT32],
+                 ['total_distance', 9, FIT_UINT32], ['total_cycles', 10, FIT_UINT32], ['total_calories', 11, FIT_UINT16],
+                 ['avg_heart_rate', 16, FIT_UINT8], ['max_heart_rate', 17, FIT_UINT8], ['avg_cadence', 18, FIT_UINT8],
+                 ['max_cadence', 19, FIT_UINT8], ['avg_power', 20, FIT_UINT16], ['max_power', 21, FIT_UINT16],
+                 ['first_lap_index', 25, FIT_UINT16], ['num_laps', 26, FIT_UINT16]]
+    },
+    activity: {
+        number: 34,
+        fields: [['timestamp', 253, FIT_UINT32], ['total_timer_time', 0, FIT_UINT32], ['num_sessions', 1, FIT_UINT16],
+                 ['type', 2, FIT_ENUM], ['event', 3, FIT_ENUM], ['event_type', 4, FIT_ENUM], ['local_timestamp', 5, FIT_UINT32]]
+    }
+};
+
+// FIT profile values
+const FIT_FILE_ACTIVITY = 4;
+const FIT_MANUFACTURER_CONCEPT2 = 40;
+const FIT_SPORT_ROWING = 15;
+const FIT_SUB_SPORT_INDOOR_ROWING = 14;
+const FIT_EVENT_TIMER = 0;
+const FIT_EVENT_LAP = 9;
+const FIT_EVENT_SESSION = 8;
+const FIT_EVENT_ACTIVITY = 26;
+const FIT_EVENT_TYPE_START = 0;
+const FIT_EVENT_TYPE_STOP = 1;
+const FIT_EVENT_TYPE_STOP_ALL = 4;
+const FIT_INTENSITY_ACTIVE = 0;
+const FIT_INTENSITY_REST = 1;
+const FIT_LAP_TRIGGER_MANUAL = 0;
+
+const FIT_CRC_TABLE = [
+    0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+    0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+];
+
+/**
+ * FIT CRC-16, computed a nibble at a time
+ */
+function fitCrc(bytes, start = 0, end = bytes.length) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        const byte = bytes[i];
+        let tmp = FIT_CRC_TABLE[crc & 0xF];
+        crc = ((crc >> 4) & 0x0FFF) ^ tmp ^ FIT_CRC_TABLE[byte & 0xF];
+        tmp = FIT_CRC_TABLE[crc & 0xF];
+        crc = ((crc >> 4) & 0x0FFF) ^ tmp ^ FIT_CRC_TABLE[(byte >> 4) & 0xF];
+    }
+    return crc;
+}
+
+/**
+ * Writes FIT definition and data messages, one local message type per global message
+ */
+class FitWriter {
+    constructor() {
+        this.bytes = [];
+        this.localTypes = new Map();
+    }
+
+    pushValue(value, size) {
+        for (let i = 0; i < size; i++) {
+            this.bytes.push(Math.floor(value / 2 ** (8 * i)) & 0xFF);
+        }
+    }
+
+    write(name, values) {
+        const message = FIT_MESSAGES[name];
+
+        if (!this.localTypes.has(name)) {
+            const localType = this.localTypes.size;
+            this.localTypes.set(name, localType);
+
+            this.bytes.push(0x40 | localType, 0, 0); // definition header, reserved, little endian
+            this.pushValue(message.number, 2);
+            this.bytes.push(message.fields.length);
+            for (const [, number, [baseType, size]] of message.fields) {
+                this.bytes.push(number, size, baseType);
+            }
+        }
+
+        this.bytes.push(this.localTypes.get(name));
+        for (const [field, , [, size, invalid]] of message.fields) {
+            const value = values[field];
+            const valid = value !== null && value !== undefined && Number.isFinite(value) &&
+                          value >= 0 && value < 2 ** (8 * size) && value !== invalid;
+            this.pushValue(valid ? Math.round(value) : invalid, size);
+        }
+    }
+
+    /**
+     * The complete file: 14-byte header, messages, CRC
+     */
+    toBytes() {
+        const file = new Uint8Array(14 + this.bytes.length + 2);
+        const view = new DataView(file.buffer);
+
+        view.setUint8(0, 14);                       // header size
+        view.setUint8(1, 0x20);                     // protocol version 2.0
+        view.setUint16(2, 2132, true);              // profile version 21.32
+        view.setUint32(4, this.bytes.length, true); // data size
+        file.set([0x2E, 0x46, 0x49, 0x54], 8);      // ".FIT"
+        view.setUint16(12, fitCrc(file, 0, 12), true);
+
+        file.set(this.bytes, 14);
+        view.setUint16(file.length - 2, fitCrc(file, 0, file.length - 2), true);
+        return file;
+    }
+}
+
+/**
+ * Export a session as a FIT activity file (sport rowing, sub sport indoor rowing)
+ *
+ * @param {WorkoutSession} session
+ * @param {Object} options
+ * @param {Date} options.startTime - Defaults to session.startedAt
+ * @param {WorkoutSummary} options.summary - Supplies calories
+ * @returns {Uint8Array}
+ */
+export function exportFIT(session, options = {}) {
+    const startTime = sessionStartTime(session, options);
+    const laps = sessionLaps(session, options);
+    const fitTime = (seconds) => Math.round(startTime.getTime() / 1000 + seconds) - FIT_EPOCH_OFFSET;
+    const start = fitTime(0);
+    const end = fitTime(session.time);
+    const duration = session.time;
+    const writer = new FitWriter();
+
+    writer.write('file_id', {
+        type: FIT_FILE_ACTIVITY,
+        manufacturer: FIT_MANUFACTURER_CONCEPT2,
+        product: 0,
+        serial_number: null,
+        time_created: start
+    });
+    writer.write('event', { timestamp: start, event: FIT_EVENT_TIMER, event_type: FIT_EVENT_TYPE_START });
+
+    laps.forEach((lap, index) => {
+        for (const sample of lap.samples) {
+            writer.write('record', {
+                timestamp: fitTime(sample.time),
+                distance: sample.distance * 100,
+                speed: sample.pace ? 500 / sample.pace * 1000 : null,
+                heart_rate: sample.heart_rate,
+                cadence: sample.stroke_rate,
+                power: sample.power
+            });
+        }
+
+        writer.write('lap', {
+            timestamp: fitTime(lap.start + lap.duration),
+            message_index: index,
+            event: FIT_EVENT_LAP,
+            event_type: FIT_EVENT_TYPE_STOP,
+            start_time: fitTime(lap.start),
+            total_elapsed_time: lap.duration * 1000,
+            total_timer_time: lap.duration * 1000,
+            total_distance: lap.distance * 100,
+            total_cycles: lap.strokes,
+            total_calories: lap.calories,
+            avg_heart_rate: lap.average_heart_rate,
+            max_heart_rate: lap.max_heart_rate,
+            avg_cadence: lap.average_stroke_rate,
+            max_cadence: lap.max_stroke_rate,
+            avg_power: lap.average_power,
+            max_power: lap.max_power,
+            intensity: lap.resting ? FIT_INTENSITY_REST : FIT_INTENSITY_ACTIVE,
+            lap_trigger: FIT_LAP_TRIGGER_MANUAL,
+            sport: FIT_SPORT_ROWING,
+            sub_sport: FIT_SUB_SPORT_INDOOR_ROWING
+        });
+    });
+
+    const heartRates = session.samples.map(sample => sample.heart_rate).filter(Boolean);
+    const strokeRates = session.strokes.map(stroke => stroke.stroke_rate).filter(Boolean);
+    const powers = session.strokes.map(stroke => stroke.power).filter(power => power !== null);
+
+    writer.write('event', { timestamp: end, event: FIT_EVENT_TIMER, event_type: FIT_EVENT_TYPE_STOP_ALL });
+    writer.write('session', {
+        timestamp: end,
+        message_index: 0,
+        event: FIT_EVENT_SESSION,
+        event_type: FIT_EVENT_TYPE_STOP,
+        start_time: start,
+        sport: FIT_SPORT_ROWING,
+        sub_sport: FIT_SUB_SPORT_INDOOR_ROWING,
+        total_elapsed_time: duration * 1000,
+        total_timer_time: duration * 1000,
+        total_distance: session.distance * 100,
+        total_cycles: session.strokes.length,
+        total_calories: options.summary ? options.summary.total_calories : null,
+        avg_heart_rate: average(heartRates),
+        max_heart_rate: maximum(heartRates),
+        avg_cadence: average(strokeRates),
+        max_cadence: maximum(strokeRates),
+        avg_power: average(powers),
+        max_power: maximum(powers),
+        first_lap_index: 0,
+        num_laps: laps.length
+    });
+    writer.write('activity', {
+        timestamp: end,
+        total_timer_time: duration * 1000,
+        num_sessions: 1,
+        type: 0, // manual
+        event: FIT_EVENT_ACTIVITY,
+        event_type: FIT_EVENT_TYPE_STOP,
+        local_timestamp: end - startTime.getTimezoneOffset() * 60
+    });
+
+    return writer.toBytes();
+}
+
+// CSV columns: [header, stroke record field]
+const CSV_COLUMNS = [
+    ['time_s', 'time'],
+    ['interval', 'interval'],
+    ['stroke_count', 'stroke_count'],
+    ['distance_m', 'distance'],
+    ['pace_s_per_500m', 'pace'],
+    ['stroke_rate_spm', 'stroke_rate'],
+    ['heart_rate_bpm', 'heart_rate'],
+    ['power_w', 'power'],
+    ['calories_kcal_per_hr', 'calories'],
+    ['drive_length_m', 'drive_length'],
+    ['drive_time_s', 'drive_time'],
+    ['recovery_time_s', 'stroke_recovery_time'],
+    ['stroke_distance_m', 'stroke_distance'],
+    ['peak_drive_force_lbf', 'peak_drive_force'],
+    ['average_drive_force_lbf', 'average_drive_force'],
+    ['work_per_stroke_j', 'work_per_stroke']
+];
+
+/**
+ * Export a session's strokes as CSV, one row per stroke
+ * Missing values are left empty; numbers are rounded to 3 decimals.
+ *
+ * @param {WorkoutSession} session
+ * @returns {string}
+ */
+export function exportCSV(session) {
+    const rows = session.strokes.map(stroke => CSV_COLUMNS.map(([, field]) => {
+        const value = stroke[field];
+        return value === null || value === undefined ? '' : String(Math.round(value * 1000) / 1000);
+    }).join(','));
+
+    return [CSV_COLUMNS.map(([header]) => header).join(','), ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,297 @@
+/**
+ * Multi-erg fleet
+ * Connects several PM5s at once, tags each with a seat and athlete name, and
+ * re-emits every device's events tagged with the seat they came from.
+ */
+
+import { PM5EventTarget } from './events.js';
+import { PM5Device, PM5_EVENTS } from './device.js';
+import { TELEMETRY_SOURCES, createTelemetry, applyTelemetry } from './telemetry.js';
+
+/**
+ * Events emitted by PM5Fleet, in addition to every PM5_EVENTS type
+ *
+ * added    FleetMember, once its device has connected
+ * removed  FleetMember, after its device has been disconnected
+ * health   FleetMember, whenever member.health.state changes
+ */
+export const FLEET_EVENTS = {
+    ADDED: 'added',
+    REMOVED: 'removed',
+    HEALTH: 'health'
+};
+
+/**
+ * Connection health of a fleet member
+ *
+ * connecting    connect() in progress
+ * connected     connected, and data is arriving (or has not been started)
+ * stale         connected, but no data for staleTimeout ms since data started
+ * reconnecting  the link dropped and the device is retrying
+ * disconnected  the link is closed
+ */
+export const FLEET_HEALTH = {
+    CONNECTING: 'connecting',
+    CONNECTED: 'connected',
+    STALE: 'stale',
+    RECONNECTING: 'reconnecting',
+    DISCONNECTED: 'disconnected'
+};
+
+/**
+ * @typedef {Object} FleetMember
+ * @property {string} seat - Seat label, unique within the fleet
+ * @property {string} athlete - Athlete name
+ * @property {PM5Device} device
+ * @property {Object} health
+ * @property {string} health.state - See FLEET_HEALTH
+ * @property {number|null} health.lastDataAt - Wall clock ms of the last rowing data
+ * @property {number} health.reconnects - Successful reconnections
+ * @property {number} health.errors - ERROR events seen
+ * @property {Error|null} health.lastError
+ * @property {Telemetry} latest - Latest erg display values (see telemetry.js)
+ */
+
+/**
+ * Manages a set of PM5Devices, one per seat
+ *
+ * Each device keeps its own event stream: listen on member.device for one erg,
+ * or on the fleet for all of them. Fleet events carry { seat, athlete, data }
+ * where data is the device event's detail.
+ *
+ * Example:
+ *   const fleet = new PM5Fleet();
+ *   await fleet.add(new SimulatedPM5(), { seat: '1', athlete: 'Alex' });
+ *   fleet.on('stroke', ({ seat, data }) => console.log(seat, data.stroke_count));
+ *   await fleet.forEachDevice(device => device.startRowingDataNotifications());
+ */
+export class PM5Fleet extends PM5EventTarget {
+    /**
+     * @param {Object} options
+     * @param {number} options.staleTimeout - ms without rowing data before a member is stale (default 5000)
+     * @param {Object} options.deviceOptions - Options for each PM5Device (see device.js)
+     */
+    constructor(options = {}) {
+        super();
+        this.staleTimeout = options.staleTimeout || 5000;
+        this.deviceOptions = options.deviceOptions || {};
+
+        // seat -> FleetMember, in the order they were added
+        this.members = new Map();
+        // seat -> Map(event type -> device listener)
+        this.deviceListeners = new Map();
+        this.healthTimer = null;
+    }
+
+    get size() {
+        return this.members.size;
+    }
+
+    /**
+     * @returns {FleetMember|undefined}
+     */
+    get(seat) {
+        return this.members.get(String(seat));
+    }
+
+    /**
+     * @returns {FleetMember[]}
+     */
+    list() {
+        return [...this.members.values()];
+    }
+
+    /**
+     * Create a PM5Device for a seat and connect it
+     * The member is removed again if connecting fails.
+     *
+     * @param {BluetoothDevice|Object} bluetoothDevice - A Web Bluetooth device, or a transport (see transport.js)
+     * @param {Object} options
+     * @param {string|number} options.seat - Seat label (default: the next free number)
+     * @param {string} options.athlete - Athlete name (default '')
+     * @returns {Promise<FleetMember>}
+     */
+    async add(bluetoothDevice, options = {}) {
+        const seat = options.seat !== undefined && options.seat !== '' ? String(options.seat) : this.nextSeat();
+        if (this.members.has(seat)) {
+            throw new Error(`Seat ${seat} is already in the fleet`);
+        }
+
+        const member = {
+            seat,
+            athlete: options.athlete || '',
+            device: new PM5Device(bluetoothDevice, this.deviceOptions),
+            health: {
+                state: FLEET_HEALTH.CONNECTING,
+                lastDataAt: null,
+                reconnects: 0,
+                errors: 0,
+                lastError: null
+            },
+            latest: createTelemetry()
+        };
+        this.members.set(seat, member);
+        this.listen(member);
+
+        try {
+            await member.device.connect();
+        } catch (error) {
+            this.unlisten(member);
+            this.members.delete(seat);
+            throw error;
+        }
+
+        this.setHealth(member, FLEET_HEALTH.CONNECTED);
+        this.startHealthCheck();
+        this.emit(FLEET_EVENTS.ADDED, member);
+        return member;
+    }
+
+    /**
+     * Disconnect a seat's device and drop it from the fleet
+     */
+    async remove(seat) {
+        const member = this.get(seat);
+        if (!member) {
+            return;
+        }
+
+        this.unlisten(member);
+        this.members.delete(member.seat);
+        if (this.members.size === 0) {
+            this.stopHealthCheck();
+        }
+
+        await member.device.disconnect();
+        this.emit(FLEET_EVENTS.REMOVED, member);
+    }
+
+    /**
+     * Disconnect every device and empty the fleet
+     */
+    async removeAll() {
+        await Promise.all(this.list().map(member => this.remove(member.seat)));
+    }
+
+    /**
+     * Change the athlete name for a seat
+     */
+    setAthlete(seat, athlete) {
+        const member = this.get(seat);
+        if (!member) {
+            throw new Error(`No device in seat ${seat}`);
+        }
+        member.athlete = athlete;
+        return member;
+    }
+
+    /**
+     * Run an action on every connected device at once
+     * One device failing does not stop the others.
+     *
+     * @param {Function} action - (device, member) => Promise
+     * @returns {Promise<Array>} Promise.allSettled() results with the seat added
+     */
+    async forEachDevice(action) {
+        const members = this.list().filter(member => member.device.isConnected);
+        const results = await Promise.allSettled(members.map(member => action(member.device, member)));
+        return results.map((result, index) => ({ seat: members[index].seat, ...result }));
+    }
+
+    nextSeat() {
+        let seat = 1;
+        while (this.members.has(String(seat))) {
+            seat++;
+        }
+        return String(seat);
+    }
+
+    /**
+     * Forward every device event to the fleet, tagged with the member's seat
+     */
+    listen(member) {
+        const listeners = new Map();
+        for (const type of Object.values(PM5_EVENTS)) {
+            const listener = (data) => {
+                this.track(member, type, data);
+                this.emit(type, { seat: member.seat, athlete: member.athlete, data });
+            };
+            listeners.set(type, listener);
+            member.device.on(type, listener);
+        }
+        this.deviceListeners.set(member.seat, listeners);
+    }
+
+    unlisten(member) {
+        const listeners = this.deviceListeners.get(member.seat);
+        if (!listeners) {
+            return;
+        }
+
+        for (const [type, listener] of listeners) {
+            member.device.off(type, listener);
+        }
+        this.deviceListeners.delete(member.seat);
+    }
+
+    /**
+     * Update a member's health and latest display values from a device event
+     */
+    track(member, type, data) {
+        if (TELEMETRY_SOURCES.includes(type)) {
+            applyTelemetry(member.latest, data);
+            member.health.lastDataAt = Date.now();
+            if (member.health.state === FLEET_HEALTH.STALE) {
+                this.setHealth(member, FLEET_HEALTH.CONNECTED);
+            }
+            return;
+        }
+
+        switch (type) {
+            case PM5_EVENTS.RECONNECTING:
+                this.setHealth(member, FLEET_HEALTH.RECONNECTING);
+                break;
+            case PM5_EVENTS.RECONNECTED:
+                member.health.reconnects++;
+                member.health.lastDataAt = null;
+                this.setHealth(member, FLEET_HEALTH.CONNECTED);
+                break;
+            case PM5_EVENTS.DISCONNECTED:
+                this.setHealth(member, FLEET_HEALTH.DISCONNECTED);
+                break;
+            case PM5_EVENTS.ERROR:
+                member.health.errors++;
+                member.health.lastError = data.error;
+                break;
+        }
+    }
+
+    setHealth(member, state) {
+        if (member.health.state === state) {
+            return;
+        }
+        member.health.state = state;
+        this.emit(FLEET_EVENTS.HEALTH, member);
+    }
+
+    startHealthCheck() {
+        if (this.healthTimer) {
+            return;
+        }
+
+        this.healthTimer = setInterval(() => {
+            const now = Date.now();
+            for (const member of this.members.values()) {
+                const { state, lastDataAt } = member.health;
+                if (state === FLEET_HEALTH.CONNECTED && lastDataAt !== null && now - lastDataAt > this.staleTimeout) {
+                    this.setHealth(member, FLEET_HEALTH.STALE);
+                }
+            }
+        }, Math.min(1000, this.staleTimeout));
+    }
+
+    stopHealthCheck() {
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * Force curve reassembly
+ * The PM5 sends each stroke's force curve as a burst of Force Curve Data
+ * notifications; these are stitched back into one curve per stroke
+ */
+
+/**
+ * @typedef {Object} ForceCurve
+ * @property {number[]} forces - Force samples in pounds-force, in drive order
+ * @property {Array<{time: number|null, position: number|null, force: number}>} samples - Force vs time (seconds
+ *   from the start of the drive) and handle position (meters along the drive)
+ * @property {{force: number, time: number|null, position: number|null, index: number}|null} peak - Highest force sample
+ * @property {Object|null} stroke - Matching parseStrokeData() record, if one arrived
+ */
+
+/**
+ * Build the force-vs-time and force-vs-position samples, spreading the points evenly over the drive
+ * The PM5 sends force at regular handle travel, so positions are spread over drive_length too.
+ */
+export function forceCurveSamples(forces, driveTime = null, driveLength = null) {
+    const spread = (total) => (total && forces.length > 1) ? total / (forces.length - 1) : null;
+    const timeStep = spread(driveTime);
+    const positionStep = spread(driveLength);
+    return forces.map((force, i) => ({
+        time: timeStep === null ? null : i * timeStep,
+        position: positionStep === null ? null : i * positionStep,
+        force: force
+    }));
+}
+
+/**
+ * Highest force sample of a curve, with its index in the drive
+ */
+export function forceCurvePeak(samples) {
+    let peak = null;
+    samples.forEach((sample, index) => {
+        if (!peak || sample.force > peak.force) {
+            peak = { force: sample.force, time: sample.time, position: sample.position, index };
+        }
+    });
+    return peak;
+}
+
+/**
+ * Collects force curve packets and stroke data, calling onCurve once per stroke
+ * Packets of one stroke arrive back to back with consecutive sequence numbers.
+ * A gap in the sequence (missing or out-of-order packet) drops that stroke's
+ * curve; packets are then ignored until the next burst starts.
+ * A curve and a stroke data record are paired only when they arrive within
+ * strokeWait of each other, so a stroke whose curve was dropped is not
+ * matched with the next stroke's curve.
+ */
+export class ForceCurveAssembler {
+    /**
+     * @param {function(ForceCurve)} onCurve
+     * @param {Object} options
+     * @param {number} options.strokeGap - Milliseconds of silence that separate two strokes' packets
+     * @param {number} options.strokeWait - Milliseconds a curve waits for its stroke data, and stroke data for its curve
+     */
+    constructor(onCurve, options = {}) {
+        this.onCurve = onCurve;
+        this.strokeGap = options.strokeGap || 250;
+        this.strokeWait = options.strokeWait || 500;
+
+        this.current = null;
+        this.discarding = false;
+        this.lastPacketTime = null;
+
+        this.pendingCurve = null;
+        this.pendingStroke = null;
+        // Arrival time of pendingStroke; a stroke whose curve was lost must not be paired with the next one
+        this.pendingStrokeTime = null;
+        this.pendingTimer = null;
+
+        this.droppedCurves = 0;
+    }
+
+    /**
+     * Add a parseForceCurveData() packet
+     */
+    addPacket(packet, timestamp = Date.now()) {
+        const newBurst = this.lastPacketTime === null || (timestamp - this.lastPacketTime) > this.strokeGap;
+        this.lastPacketTime = timestamp;
+
+        if (newBurst) {
+            if (this.current) {
+                this.drop(`missing ${this.current.total - this.current.received} packet(s) at end of stroke`);
+            }
+            this.discarding = false;
+        }
+
+        if (this.discarding) {
+            return;
+        }
+
+        if (!this.current) {
+            this.current = {
+                total: packet.packet_count,
+                received: 0,
+                lastSequence: null,
+                forces: []
+            };
+        } else {
+            const expected = (this.current.lastSequence + 1) & 0xFF;
+            if (packet.sequence_number !== expected || packet.packet_count !== this.current.total) {
+                const reason = ((packet.sequence_number - expected) & 0xFF) < 0x80
+                    ? `missing packet(s), expected sequence ${expected}, got ${packet.sequence_number}`
+                    : `out-of-order packet, expected sequence ${expected}, got ${packet.sequence_number}`;
+                this.drop(reason);
+                this.discarding = true;
+                return;
+            }
+        }
+
+        this.current.lastSequence = packet.sequence_number;
+        this.current.received++;
+        this.current.forces.push(...packet.forces);
+
+        if (this.current.received >= this.current.total) {
+            const forces = this.current.forces;
+            this.current = null;
+            this.curveComplete(forces);
+        }
+    }
+
+    /**
+     * Add a parseStrokeData() record so it can be matched with its curve
+     * A stroke still waiting replaces the previous one, whose curve never came.
+     */
+    addStroke(stroke, timestamp = Date.now()) {
+        if (this.pendingCurve) {
+            const forces = this.pendingCurve;
+            this.clearPending();
+            this.emit(forces, stroke);
+        } else {
+            this.pendingStroke = stroke;
+            this.pendingStrokeTime = timestamp;
+        }
+    }
+
+    curveComplete(forces) {
+        const stroke = this.pendingStroke;
+        const fresh = stroke && (this.lastPacketTime - this.pendingStrokeTime) <= this.strokeWait;
+        this.pendingStroke = null;
+        this.pendingStrokeTime = null;
+
+        if (fresh) {
+            this.emit(forces, stroke);
+            return;
+        }
+
+        // The stroke data has not arrived yet; a curve still waiting from the last stroke is sent without it
+        if (this.pendingCurve) {
+            const previous = this.pendingCurve;
+            this.clearPending();
+            this.emit(previous, null);
+        }
+
+        this.pendingCurve = forces;
+        this.pendingTimer = setTimeout(() => {
+            const waiting = this.pendingCurve;
+            this.clearPending();
+            this.emit(waiting, null);
+        }, this.strokeWait);
+    }
+
+    emit(forces, stroke) {
+        const samples = forceCurveSamples(forces, stroke ? stroke.drive_time : null, stroke ? stroke.drive_length : null);
+        this.onCurve({
+            forces: forces,
+            samples: samples,
+            peak: forceCurvePeak(samples),
+            stroke: stroke
+        });
+    }
+
+    drop(reason) {
+        this.droppedCurves++;
+        this.current = null;
+        console.warn(`Dropping force curve: ${reason}`);
+    }
+
+    clearPending() {
+        clearTimeout(this.pendingTimer);
+        this.pendingTimer = null;
+        this.pendingCurve = null;
+    }
+
+    reset() {
+        this.clearPending();
+        this.current = null;
+        this.discarding = false;
+        this.lastPacketTime = null;
+        this.pendingStroke = null;
+        this.pendingStrokeTime = null;
+    }
+}
@@ -2,23 +2,70 @@
  * Main entry point for PM5 Bluetooth demo
  */
 
-import { scanForPM5Devices, PM5Device } from './device.js';
+import { scanForPM5Devices, PM5Device, PM5_EVENTS } from './device.js';
+import { SimulatedPM5, DEMO_WORKOUT } from './simulator.js';
+import { WebBluetoothTransport } from './transport.js';
+import { RecordingTransport, ReplayTransport, parseCapture } from './recording.js';
+import { TELEMETRY_SCHEMA, getFieldSchema } from './schema.js';
+import { WorkoutSession, SESSION_EVENTS } from './session.js';
+import { exportTCX, exportFIT, exportCSV } from './export.js';
+import { PM5Fleet, FLEET_EVENTS } from './fleet.js';
+import { TelemetryPublisher, RELAY_EVENTS, relayId } from './relay.js';
+import { RaceController, RACE_EVENTS, RACE_STATES, LANE_STATES } from './race.js';
+import { Pacer, PaceGhost, ghostFromCapture, PACER_EVENTS } from './pacer.js';
+import { SplitHistory, SPLIT_HISTORY_EVENTS } from './splits.js';
+import { TelemetryChart, ForceCurveChart, CHART_WINDOWS } from './charts.js';
 import { 
     DEVICE_INFO_CHARACTERISTICS, 
     CONTROL_CHARACTERISTICS, 
-    ROWING_CHARACTERISTICS 
+    ROWING_CHARACTERISTICS,
+    INTERVAL_TYPES
 } from './constants.js';
 
 class PM5Demo {
     constructor() {
         this.pm5Device = null;
+        this.recorder = null;
+        this.session = null;
+        this.workoutSummary = null;
+        // Every split of the current workout, redrawn on the next animation frame
+        this.splitHistory = new SplitHistory();
+        this.splitFrame = null;
+        // 100 ms timeline behind the live charts, and a chart per canvas
+        this.chartSession = null;
+        this.charts = [...document.querySelectorAll('#telemetryCharts canvas')]
+            .map(canvas => new TelemetryChart(canvas, { metric: canvas.dataset.metric }));
+        // Latest stroke's force curve over the last few; its pinned reference is kept across connections
+        this.forceCurveChart = new ForceCurveChart(document.getElementById('forceCurveCanvas'));
+        // Pace boat to chase; kept across connections
+        this.ghost = null;
+        this.pacer = null;
         this.isConnected = false;
         this.workoutData = {};
         this.rxNotificationsActive = false;
         this.characteristicSubscriptionActive = false;
         
+        // Ergs connected side by side in the fleet grid
+        this.fleet = new PM5Fleet();
+        // seat -> { card, fields } in the fleet grid
+        this.fleetCards = new Map();
+        // Seats to redraw on the next animation frame
+        this.fleetDirty = new Set();
+        this.fleetFrame = null;
+        
+        // Head-to-head races across the fleet
+        this.race = new RaceController(this.fleet);
+        this.raceFrame = null;
+        
+        // Live telemetry relay: room ID while publishing, and a publisher per erg
+        this.relayRoom = null;
+        this.publishers = new Map();
+        
         // Bind UI event handlers
         this.bindEventHandlers();
+        this.bindFleetEvents();
+        this.bindRaceEvents();
+        this.bindSplitEvents();
     }
 
     bindEventHandlers() {
@@ -26,6 +73,58 @@ class PM5Demo {
         document.getElementById('connectBtn').addEventListener('click', 
             this.handleConnect.bind(this));
         
+        // Demo erg button
+        document.getElementById('connectDemoBtn').addEventListener('click',
+            this.handleConnectDemo.bind(this));
+        
+        // Session capture
+        document.getElementById('saveCaptureBtn').addEventListener('click',
+            this.handleSaveCapture.bind(this));
+        
+        document.getElementById('replayBtn').addEventListener('click',
+            this.handleReplay.bind(this));
+        
+        // Session export
+        document.getElementById('exportTcxBtn').addEventListener('click',
+            () => this.handleExport('tcx'));
+        
+        document.getElementById('exportFitBtn').addEventListener('click',
+            () => this.handleExport('fit'));
+        
+        document.getElementById('exportCsvBtn').addEventListener('click',
+            () => this.handleExport('csv'));
+        
+        // Live charts
+        document.getElementById('chartWindowSelect').addEventListener('change', (event) => {
+            for (const chart of this.charts) {
+                chart.setWindow(CHART_WINDOWS[event.target.value]);
+            }
+        });
+        
+        window.addEventListener('resize', () => {
+            for (const chart of this.charts) {
+                chart.scheduleDraw();
+            }
+            this.forceCurveChart.scheduleDraw();
+        });
+        
+        // Force curve
+        document.getElementById('forceCurveAxisSelect').addEventListener('change', (event) => {
+            this.forceCurveChart.setAxis(event.target.value);
+        });
+        
+        document.getElementById('forceCurveOverlayInput').addEventListener('change', (event) => {
+            this.forceCurveChart.setOverlay(Math.max(0, parseInt(event.target.value, 10) || 0));
+        });
+        
+        document.getElementById('forceCurvePinBtn').addEventListener('click',
+            this.handlePinForceCurve.bind(this));
+        
+        document.getElementById('forceCurveUnpinBtn').addEventListener('click', () => {
+            this.forceCurveChart.unpin();
+            document.getElementById('forceCurveUnpinBtn').disabled = true;
+        });
+        
         // Disconnect button
         document.getElementById('disconnectBtn').addEventListener('click',
             this.handleDisconnect.bind(this));
@@ -52,6 +151,34 @@ class PM5Demo {
             }
         });
         
+        // Sample rate
+        document.getElementById('sampleRateSelect').addEventListener('change',
+            this.handleSampleRateChange.bind(this));
+        
+        // Workout programming
+        document.getElementById('programWorkoutBtn').addEventListener('click',
+            this.handleProgramWorkout.bind(this));
+        
+        // Heart rate belt
+        document.getElementById('readHrBeltBtn').addEventListener('click',
+            this.handleReadHeartRateBelt.bind(this));
+        
+        document.getElementById('pairHrBeltBtn').addEventListener('click',
+            this.handlePairHeartRateBelt.bind(this));
+        
+        // Ghost pacer
+        document.getElementById('ghostPaceBtn').addEventListener('click',
+            () => this.handleSetGhost('pace'));
+        
+        document.getElementById('ghostFileBtn').addEventListener('click',
+            () => this.handleSetGhost('file'));
+        
+        document.getElementById('ghostRecordingBtn').addEventListener('click',
+            () => this.handleSetGhost('recording'));
+        
+        document.getElementById('ghostClearBtn').addEventListener('click',
+            this.handleClearGhost.bind(this));
+        
         // Characteristic monitor buttons
         document.getElementById('toggleCharSubscribeBtn').addEventListener('click',
             this.handleToggleCharacteristicSubscription.bind(this));
@@ -61,6 +188,61 @@ class PM5Demo {
         
         document.getElementById('characteristicSelect').addEventListener('change',
             this.handleCharacteristicSelectChange.bind(this));
+        
+        // Erg fleet
+        document.getElementById('fleetAddBtn').addEventListener('click',
+            () => this.handleFleetAdd(false));
+        
+        document.getElementById('fleetAddDemoBtn').addEventListener('click',
+            () => this.handleFleetAdd(true));
+        
+        document.getElementById('fleetStartBtn').addEventListener('click',
+            this.handleFleetStart.bind(this));
+        
+        document.getElementById('fleetDisconnectBtn').addEventListener('click',
+            this.handleFleetDisconnect.bind(this));
+        
+        // Telemetry relay
+        document.getElementById('relayBtn').addEventListener('click',
+            this.handleToggleRelay.bind(this));
+        
+        // Race
+        document.getElementById('raceArmBtn').addEventListener('click',
+            this.handleRaceArm.bind(this));
+        
+        document.getElementById('raceStartBtn').addEventListener('click',
+            this.handleRaceStart.bind(this));
+        
+        document.getElementById('raceAbortBtn').addEventListener('click',
+            this.handleRaceAbort.bind(this));
+    }
+
+    bindFleetEvents() {
+        const scheduleRender = ({ seat }) => this.scheduleFleetRender(seat);
+        
+        this.fleet
+            .on(FLEET_EVENTS.ADDED, (member) => {
+                this.scheduleFleetRender(member.seat);
+                this.updateFleetUI();
+                if (this.relayRoom) {
+                    this.startPublishing(`seat:${member.seat}`, member.device, `seat-${member.seat}`, member.athlete);
+                }
+            })
+            .on(FLEET_EVENTS.REMOVED, (member) => {
+                this.stopPublishing(`seat:${member.seat}`);
+                const entry = this.fleetCards.get(member.seat);
+                if (entry) {
+                    entry.card.remove();
+                    this.fleetCards.delete(member.seat);
+                }
+                this.updateFleetUI();
+            })
+            .on(FLEET_EVENTS.HEALTH, (member) => this.scheduleFleetRender(member.seat))
+            .on(PM5_EVENTS.GENERAL_STATUS, scheduleRender)
+            .on(PM5_EVENTS.ADDITIONAL_STATUS, scheduleRender)
+            .on(PM5_EVENTS.WORKOUT_COMPLETE, ({ seat }) => {
+                this.updateStatus(`${this.fleetSeatName(this.fleet.get(seat))} finished the workout`);
+            });
     }
 
     async handleConnect() {
@@ -68,45 +250,561 @@ class PM5Demo {
             this.updateStatus('Scanning for PM5 devices...');
             
             const bluetoothDevice = await scanForPM5Devices();
-            this.pm5Device = new PM5Device(bluetoothDevice);
-            
-            // Set up event handlers
-            this.pm5Device.onDisconnected = this.handleDeviceDisconnected.bind(this);
-            this.pm5Device.onWorkoutData = this.handleWorkoutData.bind(this);
-            this.pm5Device.onStrokeData = this.handleStrokeData.bind(this);
-            this.pm5Device.onSplitData = this.handleSplitData.bind(this);
-            this.pm5Device.onControlRxData = this.handleControlRxData.bind(this);
-            this.pm5Device.onCharacteristicData = this.handleCharacteristicData.bind(this);
+            await this.connectDevice(new WebBluetoothTransport(bluetoothDevice));
             
-            this.updateStatus('Connecting to PM5...');
-            await this.pm5Device.connect();
+        } catch (error) {
+            console.error('Connection failed:', error);
+            this.updateStatus(`Connection failed: ${error.message}`);
+        }
+    }
+
+    async handleConnectDemo() {
+        try {
+            await this.connectDevice(new SimulatedPM5());
+        } catch (error) {
+            console.error('Connection failed:', error);
+            this.updateStatus(`Connection failed: ${error.message}`);
+        }
+    }
+
+    async handleReplay() {
+        const file = document.getElementById('replayFileInput').files[0];
+        if (!file) {
+            this.updateStatus('Choose a capture file to replay');
+            return;
+        }
+        
+        try {
+            const capture = parseCapture(await file.text());
+            const speed = Number(document.getElementById('replaySpeedSelect').value);
+            const replay = new ReplayTransport(capture, { speed });
+            replay.addEventListener('ended', () => this.updateStatus('Replay finished'));
             
-            this.isConnected = true;
-            this.updateConnectionUI();
-            this.displayDeviceInfo();
+            await this.connectDevice(replay);
+            this.updateStatus(`Replaying ${file.name} at ${speed}x - start the data stream to begin`);
+        } catch (error) {
+            console.error('Replay failed:', error);
+            this.updateStatus(`Replay failed: ${error.message}`);
+        }
+    }
+
+    handleSaveCapture() {
+        if (!this.recorder) {
+            return;
+        }
+        
+        this.downloadFile(
+            `pm5-session-${this.recorder.startedAt.toISOString().replace(/[:.]/g, '-')}.jsonl`,
+            this.recorder.toJSONL(),
+            'application/x-ndjson'
+        );
+        
+        this.updateStatus(`Saved capture (${this.recorder.records.length} records)`);
+    }
+
+    /**
+     * Download the finished workout as TCX, FIT or CSV
+     */
+    handleExport(format) {
+        if (!this.session || this.session.samples.length === 0) {
+            return;
+        }
+        
+        const options = { summary: this.workoutSummary };
+        const name = `pm5-workout-${this.session.startedAt.toISOString().replace(/[:.]/g, '-')}`;
+        
+        try {
+            switch (format) {
+                case 'tcx':
+                    this.downloadFile(`${name}.tcx`, exportTCX(this.session, options), 'application/vnd.garmin.tcx+xml');
+                    break;
+                case 'fit':
+                    this.downloadFile(`${name}.fit`, exportFIT(this.session, options), 'application/vnd.ant.fit');
+                    break;
+                case 'csv':
+                    this.downloadFile(`${name}.csv`, exportCSV(this.session), 'text/csv');
+                    break;
+            }
+            this.updateStatus(`Exported workout as ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.updateStatus(`Export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Connect a PM5 (or a demo erg) to the next seat in the fleet grid
+     */
+    async handleFleetAdd(demo) {
+        const seatInput = document.getElementById('fleetSeatInput');
+        const athleteInput = document.getElementById('fleetAthleteInput');
+        
+        try {
+            let transport;
+            if (demo) {
+                // Give each demo erg its own pace so the grid spreads out
+                const offset = Math.round(Math.random() * 12) - 4;
+                transport = new SimulatedPM5({
+                    name: `PM5 43000${String(this.fleet.size + 1).padStart(4, '0')} Row`,
+                    workout: {
+                        ...DEMO_WORKOUT,
+                        intervals: DEMO_WORKOUT.intervals.map(interval => ({ ...interval, pace: interval.pace + offset }))
+                    }
+                });
+            } else {
+                this.updateStatus('Scanning for PM5 devices...');
+                transport = new WebBluetoothTransport(await scanForPM5Devices());
+            }
             
-            // Discover notify-capable characteristics
-            this.updateStatus('Discovering characteristics...');
-            await this.pm5Device.discoverNotifyCapableCharacteristics();
-            this.populateCharacteristicDropdown();
+            this.updateStatus(`Connecting ${transport.name} to the fleet...`);
+            const member = await this.fleet.add(transport, {
+                seat: seatInput.value.trim(),
+                athlete: athleteInput.value.trim()
+            });
             
-            this.updateStatus('Connected to PM5 successfully!');
+            seatInput.value = '';
+            athleteInput.value = '';
+            this.updateStatus(`${this.fleetSeatName(member)} connected (${this.fleet.size} erg(s) in the fleet)`);
+        } catch (error) {
+            console.error('Fleet connection failed:', error);
+            this.updateStatus(`Fleet connection failed: ${error.message}`);
+        }
+    }
+
+    async handleFleetStart() {
+        const multiplexed = document.getElementById('multiplexedCheckbox').checked;
+        
+        this.updateStatus('Starting data streams on all fleet ergs...');
+        const results = await this.fleet.forEachDevice(device => multiplexed
+            ? device.startMultiplexedNotifications()
+            : device.startRowingDataNotifications());
+        
+        const failed = results.filter(result => result.status === 'rejected');
+        for (const result of failed) {
+            console.error(`Seat ${result.seat} failed to start:`, result.reason);
+        }
+        this.updateStatus(failed.length > 0
+            ? `Data streams started on ${results.length - failed.length} of ${results.length} ergs - seat(s) ${failed.map(result => result.seat).join(', ')} failed`
+            : `Data streams started on ${results.length} erg(s)`);
+    }
+
+    async handleFleetDisconnect() {
+        try {
+            this.updateStatus('Disconnecting fleet...');
+            await this.fleet.removeAll();
+            this.updateStatus('Fleet disconnected');
+        } catch (error) {
+            console.error('Failed to disconnect fleet:', error);
+            this.updateStatus(`Failed to disconnect fleet: ${error.message}`);
+        }
+    }
+
+    bindRaceEvents() {
+        const scheduleRender = () => this.scheduleRaceRender();
+        
+        this.race
+            .on(RACE_EVENTS.STATE, () => this.updateRaceUI())
+            .on(RACE_EVENTS.UPDATE, scheduleRender)
+            .on(RACE_EVENTS.COUNTDOWN, ({ remaining }) => {
+                document.getElementById('raceCountdown').textContent = remaining;
+            })
+            .on(RACE_EVENTS.START, () => {
+                document.getElementById('raceCountdown').textContent = 'GO!';
+                this.updateStatus('Race started');
+            })
+            .on(RACE_EVENTS.FALSE_START, (lane) => {
+                this.updateStatus(`False start: ${this.fleetSeatName(lane)}`);
+                scheduleRender();
+            })
+            .on(RACE_EVENTS.FINISH, (lane) => {
+                this.updateStatus(`${this.fleetSeatName(lane)} finished in ${this.formatRaceTime(lane.finish_time)}`);
+            })
+            .on(RACE_EVENTS.COMPLETE, ({ standings }) => {
+                document.getElementById('raceCountdown').textContent = '';
+                const winner = standings[0];
+                this.updateStatus(winner && winner.place === 1
+                    ? `Race finished - ${this.fleetSeatName(winner)} wins`
+                    : 'Race finished');
+                scheduleRender();
+            });
+    }
+
+    /**
+     * Program the race piece on every fleet erg
+     */
+    async handleRaceArm() {
+        const type = document.getElementById('raceTypeSelect').value;
+        const value = parseFloat(document.getElementById('raceValueInput').value);
+        const countdown = parseInt(document.getElementById('raceCountdownInput').value, 10);
+        
+        this.race.countdown = countdown >= 0 ? countdown : 10;
+        document.getElementById('raceCountdown').textContent = '';
+        
+        try {
+            this.updateStatus('Programming the race on every erg...');
+            const results = await this.race.arm({ [type]: value });
             
+            const failed = results.filter(result => result.status === 'rejected');
+            for (const result of failed) {
+                console.error(`Seat ${result.seat} could not be programmed:`, result.reason);
+            }
+            this.updateStatus(failed.length > 0
+                ? `Race armed on ${this.race.lanes.size} erg(s) - seat(s) ${failed.map(result => result.seat).join(', ')} left out`
+                : `Race armed on ${this.race.lanes.size} erg(s) - athletes ready`);
+            this.scheduleRaceRender();
         } catch (error) {
-            console.error('Connection failed:', error);
-            this.updateStatus(`Connection failed: ${error.message}`);
+            console.error('Failed to arm race:', error);
+            this.updateStatus(`Failed to arm race: ${error.message}`);
+        }
+    }
+
+    async handleRaceStart() {
+        try {
+            await this.race.start();
+        } catch (error) {
+            console.error('Failed to start race:', error);
+            this.updateStatus(`Failed to start race: ${error.message}`);
+        }
+    }
+
+    async handleRaceAbort() {
+        document.getElementById('raceCountdown').textContent = '';
+        this.updateStatus('Race aborted');
+        
+        const results = await this.race.abort();
+        for (const result of results.filter(result => result.status === 'rejected')) {
+            console.error(`Seat ${result.seat} could not be released from race mode:`, result.reason);
+        }
+    }
+
+    scheduleRaceRender() {
+        if (this.raceFrame) {
+            return;
+        }
+        
+        this.raceFrame = requestAnimationFrame(() => {
+            this.raceFrame = null;
+            this.renderRaceStandings();
+        });
+    }
+
+    renderRaceStandings() {
+        const distanceRace = this.race.piece && this.race.piece.distance !== undefined;
+        const tbody = document.querySelector('#raceStandings tbody');
+        tbody.innerHTML = '';
+        
+        for (const lane of this.race.standings()) {
+            const { meters, seconds } = lane.margin;
+            let margin = '';
+            if (lane.place > 1) {
+                margin = meters !== null ? `+${meters.toFixed(1)} m` : '';
+                if (seconds !== null) {
+                    margin += `${margin ? ' / ' : ''}+${seconds.toFixed(2)} s`;
+                }
+            }
+            
+            let status = lane.state;
+            if (lane.state === LANE_STATES.FINISHED) {
+                status = distanceRace ? `finished ${this.formatRaceTime(lane.finish_time)}` : `finished ${lane.distance.toFixed(1)} m`;
+            }
+            if (lane.false_start) {
+                status += ' - FALSE START';
+            }
+            
+            const row = document.createElement('tr');
+            row.className = lane.false_start ? 'false-start' : '';
+            for (const text of [
+                lane.place || '-',
+                this.fleetSeatName(lane),
+                `${lane.distance.toFixed(1)} m`,
+                lane.race_time !== null ? this.formatRaceTime(lane.race_time) : '--',
+                `${this.formatPace(lane.pace)} /500m`,
+                margin,
+                status
+            ]) {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+            tbody.appendChild(row);
         }
     }
 
+    updateRaceUI() {
+        const state = this.race.state;
+        const busy = [RACE_STATES.ARMING, RACE_STATES.COUNTDOWN, RACE_STATES.RACING].includes(state);
+        
+        document.getElementById('raceArmBtn').disabled = busy || this.fleet.size === 0;
+        document.getElementById('raceStartBtn').disabled = state !== RACE_STATES.ARMED;
+        document.getElementById('raceAbortBtn').disabled = !busy && state !== RACE_STATES.ARMED;
+    }
+
+    /**
+     * Race times to the tenth, e.g. 1:38.4
+     */
+    formatRaceTime(seconds) {
+        if (seconds < 0) {
+            return `-${this.formatRaceTime(-seconds)}`;
+        }
+        
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+    }
+
+    /**
+     * Publish the connected erg and every fleet erg to a relay room, or stop publishing
+     */
+    async handleToggleRelay() {
+        if (this.relayRoom) {
+            await Promise.all([...this.publishers.keys()].map(key => this.stopPublishing(key)));
+            this.relayRoom = null;
+            this.updateRelayUI();
+            this.updateStatus('Relay stopped');
+            return;
+        }
+        
+        const room = relayId(document.getElementById('relayRoomInput').value);
+        if (!room) {
+            this.updateStatus('Enter a relay room to publish to');
+            return;
+        }
+        
+        this.relayRoom = room;
+        if (this.pm5Device) {
+            this.startPublishing('device', this.pm5Device, this.pm5Device.transport.name, '');
+        }
+        for (const member of this.fleet.list()) {
+            this.startPublishing(`seat:${member.seat}`, member.device, `seat-${member.seat}`, member.athlete);
+        }
+        
+        this.updateRelayUI();
+        this.updateStatus(`Publishing to relay room ${room}`);
+    }
+
+    startPublishing(key, device, erg, athlete) {
+        this.stopPublishing(key);
+        
+        const publisher = new TelemetryPublisher({ room: this.relayRoom, erg: relayId(erg), athlete }).attach(device);
+        // Report the first failure only; publishing keeps retrying
+        publisher.once(RELAY_EVENTS.ERROR, ({ error }) => {
+            this.updateStatus(`Relay publish failed: ${error.message}`);
+        });
+        this.publishers.set(key, publisher);
+    }
+
+    async stopPublishing(key) {
+        const publisher = this.publishers.get(key);
+        if (publisher) {
+            this.publishers.delete(key);
+            await publisher.close();
+        }
+    }
+
+    updateRelayUI() {
+        const relayBtn = document.getElementById('relayBtn');
+        const relayInfo = document.getElementById('relayInfo');
+        
+        document.getElementById('relayRoomInput').disabled = !!this.relayRoom;
+        if (this.relayRoom) {
+            const viewerUrl = `${location.origin}/viewer.html?room=${encodeURIComponent(this.relayRoom)}`;
+            relayBtn.textContent = 'Stop Relay';
+            relayBtn.classList.add('disconnect-btn');
+            relayInfo.innerHTML = `Watch at <a href="${viewerUrl}" target="_blank">${viewerUrl}</a>`;
+        } else {
+            relayBtn.textContent = 'Start Relay';
+            relayBtn.classList.remove('disconnect-btn');
+            relayInfo.textContent = 'Publish live telemetry for coach and spectator screens';
+        }
+    }
+
+    fleetSeatName(member) {
+        return member.athlete ? `Seat ${member.seat} (${member.athlete})` : `Seat ${member.seat}`;
+    }
+
+    /**
+     * Redraw a seat's card on the next animation frame
+     * Sixteen ergs streaming at 100 ms would otherwise redraw the grid hundreds of times a second.
+     */
+    scheduleFleetRender(seat) {
+        this.fleetDirty.add(seat);
+        if (this.fleetFrame) {
+            return;
+        }
+        
+        this.fleetFrame = requestAnimationFrame(() => {
+            this.fleetFrame = null;
+            for (const dirtySeat of this.fleetDirty) {
+                const member = this.fleet.get(dirtySeat);
+                if (member) {
+                    this.renderFleetCard(member);
+                }
+            }
+            this.fleetDirty.clear();
+        });
+    }
+
+    renderFleetCard(member) {
+        let entry = this.fleetCards.get(member.seat);
+        if (!entry) {
+            const card = document.createElement('div');
+            card.innerHTML = `
+                <h4><span data-field="name"></span><span data-field="state"></span></h4>
+                <p class="fleet-metrics"><span data-field="time"></span> &nbsp; <span data-field="distance"></span></p>
+                <p class="fleet-metrics"><span data-field="pace"></span> &nbsp; <span data-field="strokeRate"></span></p>
+                <p><small data-field="device"></small></p>
+                <button class="disconnect-btn">Remove</button>
+            `;
+            card.querySelector('button').addEventListener('click', () => {
+                this.fleet.remove(member.seat).catch(error => {
+                    this.updateStatus(`Failed to remove seat ${member.seat}: ${error.message}`);
+                });
+            });
+            
+            const fields = {};
+            for (const element of card.querySelectorAll('[data-field]')) {
+                fields[element.dataset.field] = element;
+            }
+            
+            entry = { card, fields };
+            this.fleetCards.set(member.seat, entry);
+            document.getElementById('fleetGrid').appendChild(card);
+        }
+        
+        const { latest, health } = member;
+        const { fields } = entry;
+        entry.card.className = `fleet-card ${health.state}`;
+        fields.name.textContent = this.fleetSeatName(member);
+        fields.state.textContent = health.state;
+        fields.time.textContent = this.formatTime(latest.elapsed_time);
+        fields.distance.textContent = latest.distance !== null ? `${Math.floor(latest.distance)} m` : '-- m';
+        fields.pace.textContent = `${this.formatPace(latest.pace)} /500m`;
+        fields.strokeRate.textContent = `${latest.stroke_rate || '--'} spm`;
+        fields.device.textContent = `${member.device.transport.name || 'PM5'} - ${health.reconnects} reconnect(s), ${health.errors} error(s)`;
+    }
+
+    updateFleetUI() {
+        const empty = this.fleet.size === 0;
+        document.getElementById('fleetStartBtn').disabled = empty;
+        document.getElementById('fleetDisconnectBtn').disabled = empty;
+        this.updateRaceUI();
+    }
+
+    downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Create a PM5Device on a transport, register the dashboard's listeners and connect it
+     * The transport is wrapped in a recorder when "Record session" is checked
+     */
+    async connectDevice(transport) {
+        this.recorder = document.getElementById('recordCheckbox').checked
+            ? new RecordingTransport(transport)
+            : null;
+        this.pm5Device = new PM5Device(this.recorder || transport);
+        
+        // Set up event handlers
+        const handleWorkoutData = this.handleWorkoutData.bind(this);
+        const handleStrokeData = this.handleStrokeData.bind(this);
+        
+        this.pm5Device
+            .on(PM5_EVENTS.DISCONNECTED, this.handleDeviceDisconnected.bind(this))
+            .on(PM5_EVENTS.RECONNECTING, this.handleDeviceReconnecting.bind(this))
+            .on(PM5_EVENTS.RECONNECTED, this.handleDeviceReconnected.bind(this))
+            .on(PM5_EVENTS.GENERAL_STATUS, handleWorkoutData)
+            .on(PM5_EVENTS.ADDITIONAL_STATUS, handleWorkoutData)
+            .on(PM5_EVENTS.ADDITIONAL_STATUS_2, handleWorkoutData)
+            .on(PM5_EVENTS.STROKE, handleStrokeData)
+            .on(PM5_EVENTS.ADDITIONAL_STROKE, handleStrokeData)
+            .on(PM5_EVENTS.CONTROL_RX, this.handleControlRxData.bind(this))
+            .on(PM5_EVENTS.CHARACTERISTIC, this.handleCharacteristicData.bind(this))
+            .on(PM5_EVENTS.WORKOUT_COMPLETE, this.handleWorkoutComplete.bind(this))
+            .on(PM5_EVENTS.HEART_RATE_BELT, this.displayHeartRateBelt.bind(this))
+            .on(PM5_EVENTS.LOGGED_WORKOUT, (entry) => {
+                this.updateStatus(`Workout logged on PM5 (hash ${entry.logged_workout_hash})`);
+            });
+        
+        // Per-stroke timeline across all data streams
+        this.session = new WorkoutSession().attach(this.pm5Device);
+        this.workoutSummary = null;
+        this.session
+            .on(SESSION_EVENTS.STROKE, this.displaySession.bind(this))
+            .on(SESSION_EVENTS.INTERVAL, ({ interval }) => {
+                this.updateStatus(`Interval ${interval + 1} started`);
+            });
+        
+        this.splitHistory.reset();
+        this.splitHistory.attach(this.pm5Device);
+        
+        this.chartSession = new WorkoutSession({ sampleInterval: 0.1 }).attach(this.pm5Device);
+        for (const chart of this.charts) {
+            chart.attach(this.chartSession);
+        }
+        
+        this.forceCurveChart.reset();
+        this.forceCurveChart.attach(this.pm5Device);
+        this.pm5Device.on(PM5_EVENTS.FORCE_CURVE, () => {
+            document.getElementById('forceCurvePinBtn').disabled = false;
+        });
+        
+        if (this.ghost) {
+            this.attachPacer();
+        }
+        
+        this.updateStatus('Connecting to PM5...');
+        await this.pm5Device.connect();
+        
+        this.isConnected = true;
+        this.updateConnectionUI();
+        this.displayDeviceInfo();
+        
+        // Discover notify-capable characteristics
+        this.updateStatus('Discovering characteristics...');
+        await this.pm5Device.discoverNotifyCapableCharacteristics();
+        this.populateCharacteristicDropdown();
+        
+        if (this.relayRoom) {
+            this.startPublishing('device', this.pm5Device, this.pm5Device.transport.name, '');
+        }
+        
+        this.updateStatus('Connected to PM5 successfully!');
+    }
+
     async handleDisconnect() {
         if (this.pm5Device) {
             await this.pm5Device.disconnect();
         }
     }
 
+    handleDeviceReconnecting({ attempt, delay }) {
+        const banner = document.getElementById('reconnectBanner');
+        banner.textContent = `Connection to PM5 lost - reconnecting in ${(delay / 1000).toFixed(0)} s (attempt ${attempt})...`;
+        banner.style.display = 'block';
+        
+        if (this.isConnected) {
+            this.isConnected = false;
+            this.updateConnectionUI();
+        }
+        this.updateStatus(`Reconnecting to PM5 (attempt ${attempt})...`);
+    }
+
+    handleDeviceReconnected({ attempts }) {
+        document.getElementById('reconnectBanner').style.display = 'none';
+        this.isConnected = true;
+        this.updateConnectionUI();
+        this.updateStatus(`Reconnected to PM5 after ${attempts} attempt(s)`);
+    }
+
     handleDeviceDisconnected() {
+        document.getElementById('reconnectBanner').style.display = 'none';
         this.isConnected = false;
         this.pm5Device = null;
+        this.stopPublishing('device');
         this.rxNotificationsActive = false;
         this.characteristicSubscriptionActive = false;
         this.updateConnectionUI();
@@ -119,7 +817,11 @@ class PM5Demo {
         
         try {
             this.updateStatus('Starting data notifications...');
-            await this.pm5Device.startRowingDataNotifications();
+            if (document.getElementById('multiplexedCheckbox').checked) {
+                await this.pm5Device.startMultiplexedNotifications();
+            } else {
+                await this.pm5Device.startRowingDataNotifications();
+            }
             this.updateStatus('Data notifications started');
         } catch (error) {
             console.error('Failed to start notifications:', error);
@@ -132,6 +834,7 @@ class PM5Demo {
         
         try {
             this.updateStatus('Stopping data notifications...');
+            await this.pm5Device.stopMultiplexedNotifications();
             await this.pm5Device.stopRowingDataNotifications();
             this.updateStatus('Data notifications stopped');
         } catch (error) {
@@ -140,6 +843,21 @@ class PM5Demo {
         }
     }
 
+    async handleSampleRateChange() {
+        if (!this.pm5Device) return;
+        
+        const rate = document.getElementById('sampleRateSelect').value;
+        
+        try {
+            this.updateStatus(`Setting sample rate to ${rate}...`);
+            await this.pm5Device.setSampleRate(rate);
+            this.updateStatus(`Sample rate set to ${rate}`);
+        } catch (error) {
+            console.error('Failed to set sample rate:', error);
+            this.updateStatus(`Failed to set sample rate: ${error.message}`);
+        }
+    }
+
     async handleSendTx() {
         if (!this.pm5Device) return;
         
@@ -184,6 +902,202 @@ class PM5Demo {
         }
     }
 
+    async handleProgramWorkout() {
+        if (!this.pm5Device) return;
+        
+        const type = document.getElementById('workoutTypeSelect').value;
+        const value = parseFloat(document.getElementById('workoutValueInput').value);
+        const split = parseFloat(document.getElementById('workoutSplitInput').value) || undefined;
+        const count = parseInt(document.getElementById('workoutCountInput').value, 10) || undefined;
+        
+        try {
+            this.updateStatus('Programming workout...');
+            
+            switch (type) {
+                case 'distance':
+                    await this.pm5Device.programFixedDistance(value, split);
+                    break;
+                case 'time':
+                    await this.pm5Device.programFixedTime(value, split);
+                    break;
+                case 'calories':
+                    await this.pm5Device.programFixedCalorie(value, split);
+                    break;
+                case 'distanceIntervals':
+                    await this.pm5Device.programIntervals({ work: { distance: value }, rest: split, count });
+                    break;
+                case 'timeIntervals':
+                    await this.pm5Device.programIntervals({ work: { time: value }, rest: split, count });
+                    break;
+            }
+            
+            this.splitHistory.reset();
+            if (this.pacer) {
+                this.pacer.reset();
+            }
+            this.updateStatus('Workout programmed - ready to row');
+        } catch (error) {
+            console.error('Failed to program workout:', error);
+            this.updateStatus(`Failed to program workout: ${error.message}`);
+        }
+    }
+
+    async handleReadHeartRateBelt() {
+        if (!this.pm5Device) return;
+        
+        try {
+            const belt = await this.pm5Device.getHeartRateBelt();
+            this.displayHeartRateBelt(belt);
+            this.updateStatus('Heart rate belt information read');
+        } catch (error) {
+            console.error('Failed to read heart rate belt:', error);
+            this.updateStatus(`Failed to read heart rate belt: ${error.message}`);
+        }
+    }
+
+    async handlePairHeartRateBelt() {
+        if (!this.pm5Device) return;
+        
+        const beltId = parseInt(document.getElementById('hrBeltIdInput').value, 10);
+        if (isNaN(beltId)) {
+            this.updateStatus('Please enter a belt ID to pair');
+            return;
+        }
+        
+        try {
+            this.updateStatus(`Pairing heart rate belt ${beltId}...`);
+            const belt = await this.pm5Device.setHeartRateBelt({
+                belt_id: beltId,
+                manufacturer_id: parseInt(document.getElementById('hrBeltManufacturerInput').value, 10) || 0,
+                device_type: parseInt(document.getElementById('hrBeltDeviceTypeInput').value, 10) || 0
+            });
+            this.displayHeartRateBelt(belt);
+            this.updateStatus(`Heart rate belt ${beltId} paired`);
+        } catch (error) {
+            console.error('Failed to pair heart rate belt:', error);
+            this.updateStatus(`Failed to pair heart rate belt: ${error.message}`);
+        }
+    }
+
+    displayHeartRateBelt(belt) {
+        document.getElementById('hrBeltInfo').textContent =
+            `Belt ID: ${belt.belt_id}  Manufacturer: ${belt.manufacturer_id}  Device type: ${belt.device_type}`;
+    }
+
+    /**
+     * Choose the ghost to chase: a constant pace, a capture file, or the capture being recorded
+     */
+    async handleSetGhost(source) {
+        try {
+            let description;
+            switch (source) {
+                case 'pace': {
+                    const text = document.getElementById('ghostPaceInput').value;
+                    const pace = this.parsePace(text);
+                    this.ghost = new PaceGhost(pace);
+                    description = `${this.formatPace(pace)} /500m`;
+                    break;
+                }
+                case 'file': {
+                    const file = document.getElementById('ghostFileInput').files[0];
+                    if (!file) {
+                        this.updateStatus('Choose a capture file to chase');
+                        return;
+                    }
+                    this.ghost = ghostFromCapture(parseCapture(await file.text()));
+                    description = file.name;
+                    break;
+                }
+                case 'recording':
+                    if (!this.recorder) {
+                        return;
+                    }
+                    this.ghost = ghostFromCapture({ records: this.recorder.records.slice() });
+                    description = 'the last recording';
+                    break;
+            }
+            
+            if (this.pm5Device) {
+                this.attachPacer();
+            }
+            this.displayPacerGap(null);
+            this.updateGhostUI();
+            this.updateStatus(`Chasing ${description}`);
+        } catch (error) {
+            console.error('Failed to set ghost:', error);
+            this.updateStatus(`Failed to set ghost: ${error.message}`);
+        }
+    }
+
+    handleClearGhost() {
+        if (this.pacer) {
+            this.pacer.detach();
+            this.pacer = null;
+        }
+        this.ghost = null;
+        this.displayPacerGap(null);
+        this.updateGhostUI();
+    }
+
+    attachPacer() {
+        if (this.pacer) {
+            this.pacer.detach();
+        }
+        
+        this.pacer = new Pacer(this.ghost).attach(this.pm5Device);
+        this.pacer
+            .on(PACER_EVENTS.GAP, this.displayPacerGap.bind(this))
+            .on(PACER_EVENTS.LEAD_CHANGE, ({ ahead }) => {
+                this.updateStatus(ahead ? 'Ahead of the ghost' : 'The ghost has moved ahead');
+            });
+    }
+
+    /**
+     * Show the gap to the ghost; the bar is full width at 50 m
+     */
+    displayPacerGap(gap) {
+        const indicator = document.getElementById('ghostIndicator');
+        const bar = document.getElementById('ghostBar');
+        const text = document.getElementById('ghostGap');
+        
+        if (!gap) {
+            indicator.className = 'ghost-indicator';
+            bar.style.width = '0';
+            text.textContent = this.ghost ? 'Waiting for the start...' : 'No ghost';
+            return;
+        }
+        
+        const width = Math.min(Math.abs(gap.meters) / 50, 1) * 50;
+        indicator.className = `ghost-indicator ${gap.ahead ? 'ahead' : 'behind'}`;
+        bar.style.left = gap.ahead ? '50%' : `${50 - width}%`;
+        bar.style.width = `${width}%`;
+        
+        const sign = gap.ahead ? '+' : '-';
+        text.textContent = `${gap.ahead ? 'AHEAD' : 'BEHIND'} ${sign}${Math.abs(gap.meters).toFixed(1)} m / ${sign}${Math.abs(gap.seconds).toFixed(1)} s`
+            + (gap.ghost_finished ? ' (ghost finished)' : '');
+    }
+
+    updateGhostUI() {
+        document.getElementById('ghostRecordingBtn').disabled = !this.recorder;
+        document.getElementById('ghostClearBtn').disabled = !this.ghost;
+    }
+
+    /**
+     * Parse a pace given as m:ss(.s) or seconds per 500m
+     */
+    parsePace(text) {
+        const match = text.trim().match(/^(?:(\d+):)?(\d+(?:\.\d+)?)$/);
+        if (!match) {
+            throw new Error(`Invalid pace "${text}" - use m:ss, e.g. 1:55`);
+        }
+        
+        const pace = (match[1] ? parseInt(match[1], 10) * 60 : 0) + parseFloat(match[2]);
+        if (!(pace > 0)) {
+            throw new Error(`Invalid pace "${text}"`);
+        }
+        return pace;
+    }
+
     handleControlRxData(data) {
         console.log('Control RX data received:', data);
         
@@ -343,30 +1257,67 @@ class PM5Demo {
     }
 
 
+    /**
+     * Render one telemetry field as a labelled row, with the label and unit from the schema
+     * text defaults to the raw value; pass unit null when text is already formatted (e.g. mm:ss).
+     * Readings the PM marks as unavailable show N/A, and out-of-range values are highlighted.
+     */
+    renderField(data, name, text = data[name], unit) {
+        const field = getFieldSchema(data.type, name) || { label: name };
+        if (unit === undefined) {
+            unit = field.unit;
+        }
+
+        if (data[name] === undefined || (field.invalid !== undefined && data[name] === field.invalid)) {
+            return `<p><strong>${field.label}:</strong> N/A</p>`;
+        }
+
+        const value = unit ? `${text} ${unit}` : text;
+        if (data.out_of_range && data.out_of_range.includes(name)) {
+            const bounds = [field.min, field.max].map(bound => bound === undefined ? '' : bound).join('–');
+            const range = field.unit ? `${bounds} ${field.unit}` : bounds;
+            return `<p class="out-of-range" title="Outside ${range}"><strong>${field.label}:</strong> ${value}</p>`;
+        }
+        return `<p><strong>${field.label}:</strong> ${value}</p>`;
+    }
+
     handleWorkoutData(data) {
         console.log('Workout data received:', data);
         
         // Update the workout data display
         const workoutElement = document.getElementById('workoutData');
+        const title = TELEMETRY_SCHEMA[data.type].label;
         
         if (data.type === 'general_status') {
             workoutElement.innerHTML = `
-                <h4>General Status</h4>
-                <p><strong>Time:</strong> ${this.formatTime(data.elapsed_time)}</p>
-                <p><strong>Distance:</strong> ${data.distance.toFixed(1)} m</p>
-                <p><strong>Workout State:</strong> ${this.pm5Device.getWorkoutStateString(data.workout_state)}</p>
-                <p><strong>Rowing State:</strong> ${this.pm5Device.getRowingStateString(data.rowing_state)}</p>
-                <p><strong>Stroke State:</strong> ${this.pm5Device.getStrokeStateString(data.stroke_state)}</p>
-                <p><strong>Drag Factor:</strong> ${data.drag_factor}</p>
+                <h4>${title}</h4>
+                ${this.renderField(data, 'elapsed_time', this.formatTime(data.elapsed_time), null)}
+                ${this.renderField(data, 'distance', data.distance.toFixed(1))}
+                ${this.renderField(data, 'workout_state', this.pm5Device.getWorkoutStateString(data.workout_state))}
+                ${this.renderField(data, 'rowing_state', this.pm5Device.getRowingStateString(data.rowing_state))}
+                ${this.renderField(data, 'stroke_state', this.pm5Device.getStrokeStateString(data.stroke_state))}
+                ${this.renderField(data, 'drag_factor')}
             `;
         } else if (data.type === 'additional_status') {
             document.getElementById('additionalData').innerHTML = `
-                <h4>Additional Status</h4>
-                <p><strong>Speed:</strong> ${data.speed ? data.speed.toFixed(3) : 'N/A'} m/s</p>
-                <p><strong>Stroke Rate:</strong> ${data.stroke_rate || 'N/A'} spm</p>
-                <p><strong>Heart Rate:</strong> ${data.heart_rate || 'N/A'} bpm</p>
-                <p><strong>Current Pace:</strong> ${data.current_pace ? this.formatPace(data.current_pace) : 'N/A'}</p>
-                <p><strong>Average Pace:</strong> ${data.average_pace ? this.formatPace(data.average_pace) : 'N/A'}</p>
+                <h4>${title}</h4>
+                ${this.renderField(data, 'speed', data.speed.toFixed(3))}
+                ${this.renderField(data, 'stroke_rate')}
+                ${this.renderField(data, 'heart_rate')}
+                ${this.renderField(data, 'current_pace', this.formatPace(data.current_pace), '/500m')}
+                ${this.renderField(data, 'average_pace', this.formatPace(data.average_pace), '/500m')}
+            `;
+        } else if (data.type === 'additional_status_2') {
+            document.getElementById('additionalData2').innerHTML = `
+                <h4>${title}</h4>
+                ${this.renderField(data, 'interval_count')}
+                ${this.renderField(data, 'average_power')}
+                ${this.renderField(data, 'total_calories')}
+                ${this.renderField(data, 'split_average_pace', this.formatPace(data.split_average_pace), '/500m')}
+                ${this.renderField(data, 'split_average_power')}
+                ${this.renderField(data, 'split_average_calories')}
+                ${this.renderField(data, 'last_split_time', this.formatTime(data.last_split_time), null)}
+                ${this.renderField(data, 'last_split_distance')}
             `;
         }
     }
@@ -374,30 +1325,210 @@ class PM5Demo {
     handleStrokeData(data) {
         console.log('Stroke data received:', data);
         
+        const title = TELEMETRY_SCHEMA[data.type].label;
+        
+        if (data.type === 'additional_stroke_data') {
+            document.getElementById('additionalStrokeData').innerHTML = `
+                <h4>${title}</h4>
+                ${this.renderField(data, 'stroke_power')}
+                ${this.renderField(data, 'stroke_calories')}
+                ${this.renderField(data, 'stroke_count')}
+                ${this.renderField(data, 'projected_work_time', this.formatTime(data.projected_work_time), null)}
+                ${this.renderField(data, 'projected_work_distance')}
+            `;
+            return;
+        }
+        
         document.getElementById('strokeData').innerHTML = `
-            <h4>Stroke Data</h4>
-            <p><strong>Drive Length:</strong> ${data.drive_length ? data.drive_length.toFixed(2) : 'N/A'} m</p>
-            <p><strong>Drive Time:</strong> ${data.drive_time ? data.drive_time.toFixed(2) : 'N/A'} s</p>
-            <p><strong>Stroke Distance:</strong> ${data.stroke_distance ? data.stroke_distance.toFixed(2) : 'N/A'} m</p>
-            <p><strong>Peak Drive Force:</strong> ${data.peak_drive_force ? data.peak_drive_force.toFixed(1) : 'N/A'} N</p>
-            <p><strong>Avg Drive Force:</strong> ${data.average_drive_force ? data.average_drive_force.toFixed(1) : 'N/A'} N</p>
-            <p><strong>Work per Stroke:</strong> ${data.work_per_stroke ? data.work_per_stroke.toFixed(1) : 'N/A'} J</p>
-            <p><strong>Stroke Count:</strong> ${data.stroke_count || 'N/A'}</p>
+            <h4>${title}</h4>
+            ${this.renderField(data, 'drive_length', data.drive_length.toFixed(2))}
+            ${this.renderField(data, 'drive_time', data.drive_time.toFixed(2))}
+            ${this.renderField(data, 'stroke_distance', data.stroke_distance.toFixed(2))}
+            ${this.renderField(data, 'peak_drive_force', data.peak_drive_force.toFixed(1))}
+            ${this.renderField(data, 'average_drive_force', data.average_drive_force.toFixed(1))}
+            ${this.renderField(data, 'work_per_stroke', data.work_per_stroke !== undefined ? data.work_per_stroke.toFixed(1) : undefined)}
+            ${this.renderField(data, 'stroke_count')}
         `;
     }
 
-    handleSplitData(data) {
-        console.log('Split data received:', data);
+    handlePinForceCurve() {
+        const curve = this.forceCurveChart.pin();
+        if (curve) {
+            document.getElementById('forceCurveUnpinBtn').disabled = false;
+            this.updateStatus(`Pinned stroke ${curve.stroke ? curve.stroke.stroke_count : ''} as the force curve reference`);
+        }
+    }
+
+    bindSplitEvents() {
+        const scheduleRender = () => this.scheduleSplitRender();
         
-        document.getElementById('splitData').innerHTML = `
-            <h4>Split Data</h4>
-            <p><strong>Split Number:</strong> ${data.split_number || 'N/A'}</p>
-            <p><strong>Split Time:</strong> ${data.split_time ? this.formatTime(data.split_time) : 'N/A'}</p>
-            <p><strong>Split Distance:</strong> ${data.split_distance ? data.split_distance.toFixed(1) : 'N/A'} m</p>
-            <p><strong>Split Type:</strong> ${data.split_type || 'N/A'}</p>
+        this.splitHistory
+            .on(SPLIT_HISTORY_EVENTS.CHANGE, scheduleRender)
+            .on(SPLIT_HISTORY_EVENTS.RESET, scheduleRender);
+    }
+
+    scheduleSplitRender() {
+        if (this.splitFrame) {
+            return;
+        }
+        
+        this.splitFrame = requestAnimationFrame(() => {
+            this.splitFrame = null;
+            this.renderSplitHistory();
+        });
+    }
+
+    /**
+     * Split history table: a row per work split, followed by its rest, and the averages in the footer
+     */
+    renderSplitHistory() {
+        const table = document.getElementById('splitHistory');
+        const tbody = table.querySelector('tbody');
+        const tfoot = table.querySelector('tfoot');
+        const rows = this.splitHistory.rows();
+        const summary = this.splitHistory.summary();
+        tbody.innerHTML = '';
+        tfoot.innerHTML = '';
+        
+        if (rows.length === 0) {
+            this.appendSplitRow(tbody, 'split-empty', ['No splits yet']).firstChild.colSpan = 9;
+            return;
+        }
+        
+        for (const split of rows) {
+            let className = '';
+            if (split.split_number === summary.fastest) {
+                className = 'split-fastest';
+            } else if (split.split_number === summary.slowest) {
+                className = 'split-slowest';
+            }
+            
+            const row = this.appendSplitRow(tbody, className, [
+                split.split_number,
+                this.getIntervalTypeString(split.split_type),
+                split.time !== null ? this.formatRaceTime(split.time) : '--',
+                split.distance !== null ? `${split.distance.toFixed(0)} m` : '--',
+                `${this.formatPace(split.pace)} /500m`,
+                split.stroke_rate !== null ? split.stroke_rate : '--',
+                split.heart_rate !== null ? split.heart_rate : '--',
+                split.power !== null ? `${split.power} W` : '--',
+                split.calories !== null ? split.calories : '--'
+            ]);
+            this.markSplitOutOfRange(row, split);
+            
+            // Rest measured from workout_state, or as reported with the split
+            const rest = split.rest || (split.rest_time > 0
+                ? { time: split.rest_time, distance: split.rest_distance, heart_rate: null, complete: true }
+                : null);
+            if (rest) {
+                this.appendSplitRow(tbody, rest.complete ? 'split-rest' : 'split-rest resting', [
+                    '',
+                    'rest',
+                    this.formatRaceTime(rest.time),
+                    `${(rest.distance || 0).toFixed(0)} m`,
+                    '',
+                    '',
+                    rest.heart_rate !== null ? rest.heart_rate : '--',
+                    '',
+                    ''
+                ]);
+            }
+        }
+        
+        const { average } = summary;
+        if (average) {
+            this.appendSplitRow(tfoot, '', [
+                'Avg',
+                `${summary.count} splits`,
+                this.formatRaceTime(average.time),
+                `${average.distance.toFixed(0)} m`,
+                `${this.formatPace(average.pace)} /500m`,
+                average.stroke_rate !== null ? average.stroke_rate.toFixed(1) : '--',
+                average.heart_rate !== null ? average.heart_rate.toFixed(0) : '--',
+                average.power !== null ? `${average.power.toFixed(0)} W` : '--',
+                average.calories.toFixed(0)
+            ]);
+        }
+    }
+
+    appendSplitRow(parent, className, values) {
+        const row = document.createElement('tr');
+        row.className = className;
+        for (const value of values) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        parent.appendChild(row);
+        return row;
+    }
+
+    /**
+     * Highlight cells whose split fields the parser flagged as out of range
+     */
+    markSplitOutOfRange(row, split) {
+        const columns = {
+            split_time: 2,
+            split_distance: 3,
+            split_average_pace: 4,
+            split_average_stroke_rate: 5,
+            split_work_heart_rate: 6,
+            split_power: 7,
+            split_total_calories: 8
+        };
+        for (const name of split.out_of_range) {
+            if (columns[name] !== undefined) {
+                row.cells[columns[name]].classList.add('out-of-range');
+            }
+        }
+    }
+
+    getIntervalTypeString(type) {
+        for (const [name, value] of Object.entries(INTERVAL_TYPES)) {
+            if (value === type) {
+                return name.toLowerCase().replace(/_/g, ' ');
+            }
+        }
+        return '--';
+    }
+
+    displaySession(stroke) {
+        const session = this.session;
+        document.getElementById('sessionData').innerHTML = `
+            <h4>Session</h4>
+            <p><strong>Interval:</strong> ${stroke.interval + 1}</p>
+            <p><strong>Session Time:</strong> ${this.formatTime(stroke.time)}</p>
+            <p><strong>Distance:</strong> ${stroke.distance !== null ? stroke.distance.toFixed(1) : 'N/A'} m</p>
+            <p><strong>Strokes:</strong> ${session.strokes.length}</p>
+            <p><strong>Last Stroke:</strong> ${this.formatPace(stroke.pace)} /500m, ${stroke.stroke_rate || 'N/A'} spm, ${stroke.power !== null ? stroke.power : 'N/A'} W, ${stroke.heart_rate || 'N/A'} bpm</p>
+            <p><strong>Dropped Packets:</strong> ${session.dropped.duplicate} duplicate, ${session.dropped.late} late</p>
         `;
     }
 
+    handleWorkoutComplete(summary) {
+        console.log('Workout complete:', summary);
+        
+        const hr = summary.heart_rate;
+        document.getElementById('workoutSummary').innerHTML = `
+            <h4>Workout Summary</h4>
+            <p><strong>Date:</strong> ${summary.date.toLocaleString()}</p>
+            <p><strong>Time:</strong> ${this.formatTime(summary.total_time)}</p>
+            <p><strong>Distance:</strong> ${summary.total_distance.toFixed(1)} m</p>
+            <p><strong>Avg Pace:</strong> ${this.formatPace(summary.average_pace)}</p>
+            <p><strong>Avg Stroke Rate:</strong> ${summary.average_stroke_rate} spm</p>
+            <p><strong>Heart Rate (avg/min/max):</strong> ${hr.average || 'N/A'} / ${hr.min || 'N/A'} / ${hr.max || 'N/A'} bpm</p>
+            <p><strong>Intervals:</strong> ${summary.interval_count} x ${summary.split_size}</p>
+            <p><strong>Calories:</strong> ${summary.total_calories} kcal</p>
+            <p><strong>Watts:</strong> ${summary.watts} W</p>
+            <p><strong>Drag Factor:</strong> ${summary.drag_factor}</p>
+        `;
+        
+        this.workoutSummary = summary;
+        this.session.flush();
+        this.updateConnectionUI();
+        this.updateStatus('Workout complete - export it as TCX, FIT or CSV');
+    }
+
     displayDeviceInfo() {
         const info = this.pm5Device.deviceInfo;
         document.getElementById('deviceInfo').innerHTML = `
@@ -413,14 +1544,37 @@ class PM5Demo {
 
     updateConnectionUI() {
         const connectBtn = document.getElementById('connectBtn');
+        const connectDemoBtn = document.getElementById('connectDemoBtn');
+        const replayBtn = document.getElementById('replayBtn');
+        const recordCheckbox = document.getElementById('recordCheckbox');
+        
+        // A capture stays available after disconnecting
+        document.getElementById('saveCaptureBtn').disabled = !this.recorder;
+        this.updateGhostUI();
+        
+        // Exports are offered once the workout has finished, and stay available after disconnecting
+        for (const id of ['exportTcxBtn', 'exportFitBtn', 'exportCsvBtn']) {
+            document.getElementById(id).disabled = !this.workoutSummary;
+        }
         const disconnectBtn = document.getElementById('disconnectBtn');
         const startNotificationsBtn = document.getElementById('startNotificationsBtn');
         const stopNotificationsBtn = document.getElementById('stopNotificationsBtn');
         const sendTxBtn = document.getElementById('sendTxBtn');
         const toggleRxBtn = document.getElementById('toggleRxBtn');
+        const programWorkoutBtn = document.getElementById('programWorkoutBtn');
+        const readHrBeltBtn = document.getElementById('readHrBeltBtn');
+        const pairHrBeltBtn = document.getElementById('pairHrBeltBtn');
+        const sampleRateSelect = document.getElementById('sampleRateSelect');
         
         if (this.isConnected) {
+            sampleRateSelect.disabled = false;
+            programWorkoutBtn.disabled = false;
+            readHrBeltBtn.disabled = false;
+            pairHrBeltBtn.disabled = false;
             connectBtn.disabled = true;
+            connectDemoBtn.disabled = true;
+            replayBtn.disabled = true;
+            recordCheckbox.disabled = true;
             disconnectBtn.disabled = false;
             startNotificationsBtn.disabled = false;
             stopNotificationsBtn.disabled = false;
@@ -457,7 +1611,14 @@ class PM5Demo {
                 toggleCharBtn.style.backgroundColor = '';
             }
         } else {
-            connectBtn.disabled = false;
+            sampleRateSelect.disabled = true;
+            programWorkoutBtn.disabled = true;
+            readHrBeltBtn.disabled = true;
+            pairHrBeltBtn.disabled = true;
+            connectBtn.disabled = !navigator.bluetooth;
+            connectDemoBtn.disabled = false;
+            replayBtn.disabled = false;
+            recordCheckbox.disabled = false;
             disconnectBtn.disabled = true;
             startNotificationsBtn.disabled = true;
             stopNotificationsBtn.disabled = true;
@@ -509,8 +1670,12 @@ class PM5Demo {
     clearData() {
         document.getElementById('workoutData').innerHTML = '<h4>Workout Data</h4><p>No data</p>';
         document.getElementById('additionalData').innerHTML = '<h4>Additional Data</h4><p>No data</p>';
+        document.getElementById('additionalData2').innerHTML = '<h4>Additional Status 2</h4><p>No data</p>';
         document.getElementById('strokeData').innerHTML = '<h4>Stroke Data</h4><p>No data</p>';
-        document.getElementById('splitData').innerHTML = '<h4>Split Data</h4><p>No data</p>';
+        document.getElementById('additionalStrokeData').innerHTML = '<h4>Additional Stroke Data</h4><p>No data</p>';
+        this.splitHistory.reset();
+        document.getElementById('sessionData').innerHTML = '<h4>Session</h4><p>No data</p>';
+        document.getElementById('workoutSummary').innerHTML = '<h4>Workout Summary</h4><p>No data</p>';
     }
 }
 
@@ -0,0 +1,389 @@
+/**
+ * Concept2 Logbook upload
+ * Converts a finished workout to the logbook's results format and posts it
+ * through the logbook API, handling the OAuth 2 authorization code flow.
+ */
+
+import { WORKOUT_TYPES, INTERVAL_TYPES, ERG_MACHINE_TYPES } from './constants.js';
+import { getFieldSchema } from './schema.js';
+
+export const LOGBOOK_BASE_URL = 'https://log.concept2.com';
+
+const LOGBOOK_ACCEPT = 'application/vnd.c2logbook.v1+json';
+const DEFAULT_SCOPE = 'user:read,results:write';
+
+// Refresh the access token this long before it expires
+const TOKEN_EXPIRY_MARGIN = 60 * 1000;
+
+// WORKOUT_TYPES -> logbook workout_type
+const LOGBOOK_WORKOUT_TYPES = {
+    [WORKOUT_TYPES.JUST_ROW_NO_SPLITS]: 'JustRow',
+    [WORKOUT_TYPES.JUST_ROW_SPLITS]: 'JustRow',
+    [WORKOUT_TYPES.FIXED_DIST_NO_SPLITS]: 'FixedDistanceSplits',
+    [WORKOUT_TYPES.FIXED_DIST_SPLITS]: 'FixedDistanceSplits',
+    [WORKOUT_TYPES.FIXED_TIME_NO_SPLITS]: 'FixedTimeSplits',
+    [WORKOUT_TYPES.FIXED_TIME_SPLITS]: 'FixedTimeSplits',
+    [WORKOUT_TYPES.FIXED_TIME_INTERVAL]: 'FixedTimeInterval',
+    [WORKOUT_TYPES.FIXED_DIST_INTERVAL]: 'FixedDistanceInterval',
+    [WORKOUT_TYPES.VARIABLE_INTERVAL]: 'VariableInterval',
+    [WORKOUT_TYPES.VARIABLE_UNDEFINED_REST_INTERVAL]: 'VariableIntervalUndefinedRest',
+    [WORKOUT_TYPES.FIXED_CALORIE]: 'FixedCalorie',
+    [WORKOUT_TYPES.FIXED_WATT_MINUTES]: 'FixedWattMinute',
+    [WORKOUT_TYPES.FIXED_CALS_INTERVAL]: 'FixedCalorieInterval'
+};
+
+const INTERVAL_WORKOUT_TYPES = new Set([
+    WORKOUT_TYPES.FIXED_TIME_INTERVAL,
+    WORKOUT_TYPES.FIXED_DIST_INTERVAL,
+    WORKOUT_TYPES.VARIABLE_INTERVAL,
+    WORKOUT_TYPES.VARIABLE_UNDEFINED_REST_INTERVAL,
+    WORKOUT_TYPES.FIXED_CALS_INTERVAL
+]);
+
+// INTERVAL_TYPES -> logbook split/interval type
+const LOGBOOK_INTERVAL_TYPES = {
+    [INTERVAL_TYPES.TIME]: 'time',
+    [INTERVAL_TYPES.TIME_REST_UNDEFINED]: 'time',
+    [INTERVAL_TYPES.DIST]: 'distance',
+    [INTERVAL_TYPES.DIST_REST_UNDEFINED]: 'distance',
+    [INTERVAL_TYPES.CALORIE]: 'calorie',
+    [INTERVAL_TYPES.CALORIE_REST_UNDEFINED]: 'calorie',
+    [INTERVAL_TYPES.WATT_MINUTE]: 'wattminute',
+    [INTERVAL_TYPES.WATT_MINUTE_REST_UNDEFINED]: 'wattminute'
+};
+
+/**
+ * Logbook machine type for an erg_machine_type: 'rower', 'skierg', 'bike', 'slides' or 'dynamic'
+ */
+export function logbookMachineType(ergMachineType) {
+    switch (ergMachineType) {
+        case ERG_MACHINE_TYPES.MULTIERG_SKI:
+            return 'skierg';
+        case ERG_MACHINE_TYPES.MULTIERG_BIKE:
+            return 'bike';
+        case ERG_MACHINE_TYPES.MULTIERG_ROW:
+            return 'rower';
+        case ERG_MACHINE_TYPES.LINKED_DYNAMIC:
+        case ERG_MACHINE_TYPES.STATIC_DYNAMIC:
+            return 'dynamic';
+    }
+
+    if (ergMachineType >= ERG_MACHINE_TYPES.BIKE && ergMachineType <= ERG_MACHINE_TYPES.BIKE_SIMULATOR) {
+        return 'bike';
+    }
+    if (ergMachineType >= ERG_MACHINE_TYPES.STATIC_SKI && ergMachineType <= ERG_MACHINE_TYPES.SKI_SIMULATOR) {
+        return 'skierg';
+    }
+    if (ergMachineType >= ERG_MACHINE_TYPES.SLIDES_A && ergMachineType <= ERG_MACHINE_TYPES.SLIDES_E) {
+        return 'slides';
+    }
+    return 'rower';
+}
+
+/**
+ * Format a Date as the logbook's local "YYYY-MM-DD HH:MM:SS"
+ */
+function formatLogbookDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+           `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+const NO_HEART_RATE = getFieldSchema('additional_split_data', 'split_work_heart_rate').invalid;
+
+/**
+ * Set record.heart_rate to the readings that are present (the PM reports 0 or 255 without a belt)
+ */
+function addHeartRate(record, values) {
+    const heartRate = {};
+    for (const [key, value] of Object.entries(values)) {
+        if (value && value !== NO_HEART_RATE) {
+            heartRate[key] = Math.round(value);
+        }
+    }
+    if (Object.keys(heartRate).length > 0) {
+        record.heart_rate = heartRate;
+    }
+}
+
+/**
+ * Build a logbook result from a finished workout
+ * Times are sent in tenths of a second, as the logbook expects.
+ *
+ * @param {WorkoutSummary} summary - From the workoutcomplete event
+ * @param {Object} options
+ * @param {SplitRecord[]} options.splits - Split/interval records, e.g. session.splits
+ * @param {StrokeRecord[]} options.strokes - Stroke records, e.g. session.strokes
+ * @param {string} options.type - Machine type; defaults from summary.erg_machine_type
+ * @param {string} options.weightClass - 'H' (heavyweight, default) or 'L'
+ * @param {string} options.timezone - IANA time zone; defaults to the local one
+ * @param {string} options.comments
+ * @returns {Object}
+ */
+export function buildLogbookResult(summary, options = {}) {
+    const splits = options.splits || [];
+    const strokes = options.strokes || [];
+    const isInterval = INTERVAL_WORKOUT_TYPES.has(summary.workout_type);
+
+    const result = {
+        type: options.type || logbookMachineType(summary.erg_machine_type),
+        date: formatLogbookDate(summary.date),
+        timezone: options.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+        distance: Math.round(summary.total_distance),
+        time: Math.round(summary.total_time * 10),
+        weight_class: options.weightClass || 'H',
+        workout_type: LOGBOOK_WORKOUT_TYPES[summary.workout_type] || 'unknown',
+        stroke_rate: summary.average_stroke_rate,
+        calories_total: summary.total_calories,
+        drag_factor: summary.drag_factor
+    };
+
+    addHeartRate(result, summary.heart_rate);
+
+    if (strokes.length > 0) {
+        result.stroke_count = strokes.length;
+    }
+
+    if (isInterval) {
+        result.rest_distance = summary.total_rest_distance;
+        result.rest_time = Math.round(summary.interval_rest_time * 10);
+    }
+
+    if (splits.length > 0) {
+        const records = splits.map(split => {
+            const record = {
+                type: LOGBOOK_INTERVAL_TYPES[split.split_type] || 'distance',
+                time: Math.round(split.split_time * 10),
+                distance: Math.round(split.split_distance),
+                calories_total: split.split_total_calories,
+                stroke_rate: Math.round(split.split_average_stroke_rate)
+            };
+
+            addHeartRate(record, {
+                average: split.split_work_heart_rate,
+                rest: isInterval ? split.split_rest_heart_rate : 0
+            });
+
+            if (isInterval) {
+                record.rest_time = Math.round(split.rest_time * 10);
+                record.rest_distance = split.rest_distance;
+            }
+            return record;
+        });
+
+        result.workout = isInterval ? { intervals: records } : { splits: records };
+    }
+
+    if (options.comments) {
+        result.comments = options.comments;
+    }
+
+    if (strokes.length > 0) {
+        result.stroke_data = strokes
+            .filter(stroke => stroke.distance !== null)
+            .map(stroke => ({
+                t: Math.round(stroke.time * 10),
+                d: Math.round(stroke.distance * 10),
+                p: stroke.pace ? Math.round(stroke.pace * 10) : 0,
+                spm: stroke.stroke_rate ? Math.round(stroke.stroke_rate) : 0,
+                hr: stroke.heart_rate ? Math.round(stroke.heart_rate) : 0
+            }));
+    }
+
+    return result;
+}
+
+/**
+ * Concept2 Logbook API client
+ * Uses the OAuth 2 authorization code flow: send the user to
+ * getAuthorizationUrl(), then pass the code from the redirect to exchangeCode().
+ * Access tokens are refreshed automatically when they expire or are rejected.
+ *
+ * Example:
+ *   const logbook = new LogbookClient({ clientId, clientSecret, redirectUri, token: savedToken,
+ *                                       onTokenChange: (token) => localStorage.setItem('c2token', JSON.stringify(token)) });
+ *   await logbook.uploadResult(buildLogbookResult(summary, { splits: session.splits, strokes: session.strokes }));
+ */
+export class LogbookClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - Logbook server (default https://log.concept2.com; use a local stand-in for testing)
+     * @param {string} options.clientId
+     * @param {string} options.clientSecret
+     * @param {string} options.redirectUri
+     * @param {string} options.scope - Default 'user:read,results:write'
+     * @param {Object} options.token - Saved { access_token, refresh_token, expires_at }
+     * @param {function(Object)} options.onTokenChange - Called with the new token whenever it changes
+     * @param {function} options.fetch - fetch implementation (default globalThis.fetch)
+     */
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || LOGBOOK_BASE_URL).replace(/\/+$/, '');
+        this.clientId = options.clientId;
+        this.clientSecret = options.clientSecret;
+        this.redirectUri = options.redirectUri;
+        this.scope = options.scope || DEFAULT_SCOPE;
+        this.token = options.token || null;
+        this.onTokenChange = options.onTokenChange || null;
+        this.fetch = options.fetch || ((...args) => globalThis.fetch(...args));
+        this.refreshing = null;
+    }
+
+    /**
+     * URL to send the user to for authorization; the code comes back on redirectUri
+     */
+    getAuthorizationUrl(state = '') {
+        const params = new URLSearchParams({
+            client_id: this.clientId,
+            scope: this.scope,
+            response_type: 'code',
+            redirect_uri: this.redirectUri
+        });
+        if (state) {
+            params.set('state', state);
+        }
+        return `${this.baseUrl}/oauth/authorize?${params}`;
+    }
+
+    /**
+     * Exchange an authorization code for tokens
+     */
+    async exchangeCode(code) {
+        return this.requestToken({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.redirectUri,
+            scope: this.scope
+        });
+    }
+
+    /**
+     * Get a new access token with the refresh token
+     * Concurrent callers share one refresh request.
+     */
+    async refreshAccessToken() {
+        if (!this.token || !this.token.refresh_token) {
+            throw new Error('No refresh token; authorize with the logbook first');
+        }
+
+        if (!this.refreshing) {
+            this.refreshing = this.requestToken({
+                grant_type: 'refresh_token',
+                refresh_token: this.token.refresh_token,
+                scope: this.scope
+            }).finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async requestToken(params) {
+        const response = await this.fetch(`${this.baseUrl}/oauth/access_token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                client_id: this.clientId,
+                client_secret: this.clientSecret,
+                ...params
+            }).toString()
+        });
+
+        const body = await readBody(response);
+        if (!response.ok) {
+            throw logbookError(response, body, 'Token request failed');
+        }
+
+        this.setToken({
+            access_token: body.access_token,
+            refresh_token: body.refresh_token || (this.token && this.token.refresh_token),
+            expires_at: Date.now() + (body.expires_in || 0) * 1000
+        });
+        return this.token;
+    }
+
+    setToken(token) {
+        this.token = token;
+        if (this.onTokenChange) {
+            this.onTokenChange(token);
+        }
+    }
+
+    /**
+     * A valid access token, refreshing it first if it is about to expire
+     */
+    async getAccessToken() {
+        if (!this.token || !this.token.access_token) {
+            throw new Error('Not authorized with the logbook');
+        }
+
+        if (this.token.expires_at && this.token.expires_at - TOKEN_EXPIRY_MARGIN < Date.now() && this.token.refresh_token) {
+            await this.refreshAccessToken();
+        }
+        return this.token.access_token;
+    }
+
+    /**
+     * Make an authorized API request and return the response's data
+     * A 401 triggers one token refresh and retry.
+     */
+    async request(method, path, body = undefined) {
+        const send = async () => this.fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${await this.getAccessToken()}`,
+                'Accept': LOGBOOK_ACCEPT,
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+
+        let response = await send();
+        if (response.status === 401 && this.token.refresh_token) {
+            await this.refreshAccessToken();
+            response = await send();
+        }
+
+        const result = await readBody(response);
+        if (!response.ok) {
+            throw logbookError(response, result, `Logbook ${method} ${path} failed`);
+        }
+        return result && result.data !== undefined ? result.data : result;
+    }
+
+    /**
+     * Get a user's profile ('me' for the authorized user)
+     */
+    async getUser(user = 'me') {
+        return this.request('GET', `/api/users/${user}`);
+    }
+
+    /**
+     * Post a result built with buildLogbookResult(); resolves with the stored result
+     */
+    async uploadResult(result, user = 'me') {
+        return this.request('POST', `/api/users/${user}/results`, result);
+    }
+}
+
+async function readBody(response) {
+    const text = await response.text();
+    if (!text) {
+        return null;
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+/**
+ * Error for a failed logbook response, with its HTTP status and body attached
+ */
+function logbookError(response, body, message) {
+    const detail = body && (body.message || body.error_description || body.error);
+    const error = new Error(`${message}: ${response.status}${detail ? ` ${detail}` : ''}`);
+    error.status = response.status;
+    error.body = body;
+    return error;
+}
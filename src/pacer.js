@@ -0,0 +1,288 @@
+/**
+ * Ghost pacer
+ * Rows against a pace boat: either a previous session replayed from its
+ * capture, or a constant target pace. The live erg's position comes from
+ * elapsed_time and distance in general status.
+ */
+
+import { PM5EventTarget } from './events.js';
+import { PM5_EVENTS } from './device.js';
+import { ROWING_CHARACTERISTICS, WORKOUT_STATES } from './constants.js';
+import { TELEMETRY_SCHEMA } from './schema.js';
+import { parseGeneralStatus } from './parsers.js';
+import { fromHex } from './recording.js';
+
+/**
+ * Events emitted by Pacer
+ *
+ * gap         PacerGap after each general status while rowing
+ * leadchange  PacerGap when the athlete moves ahead of or behind the ghost
+ */
+export const PACER_EVENTS = {
+    GAP: 'gap',
+    LEAD_CHANGE: 'leadchange'
+};
+
+/**
+ * @typedef {Object} PacerGap
+ * @property {number} interval - Interval number, counted from elapsed time resets
+ * @property {number} elapsed_time - Athlete's seconds into the interval
+ * @property {number} distance - Athlete's meters into the interval
+ * @property {number} ghost_distance - Ghost's meters at the same elapsed time
+ * @property {number} meters - Athlete minus ghost distance; positive is ahead
+ * @property {number} seconds - How long before (positive) or after the ghost the athlete reached this distance
+ * @property {boolean} ahead
+ * @property {boolean} ghost_finished - The ghost has no more data for this interval
+ */
+
+/**
+ * Pace boat holding a constant pace in every interval
+ */
+export class PaceGhost {
+    /**
+     * @param {number} pace - Seconds per 500m
+     */
+    constructor(pace) {
+        if (!(pace > 0)) {
+            throw new Error(`Invalid ghost pace: ${pace}`);
+        }
+        this.pace = pace;
+    }
+
+    distanceAt(interval, time) {
+        return time * 500 / this.pace;
+    }
+
+    timeAt(interval, distance) {
+        return distance * this.pace / 500;
+    }
+
+    finishedAt(interval, time) {
+        return false;
+    }
+}
+
+/**
+ * Ghost that follows a recorded { time, distance } track per interval
+ * Positions are interpolated between points; past the end of an interval's
+ * track the ghost stops at its last distance, while its time for a longer
+ * distance is extrapolated at the interval's average pace.
+ */
+export class TrackGhost {
+    /**
+     * @param {Array<Array<{ time: number, distance: number }>>} intervals - Points in increasing time, per interval
+     */
+    constructor(intervals) {
+        this.intervals = intervals.filter(points => points.length > 0);
+        if (this.intervals.length === 0) {
+            throw new Error('Ghost track has no data');
+        }
+    }
+
+    /**
+     * Track for an interval; intervals past the recording reuse its last one
+     */
+    track(interval) {
+        return this.intervals[Math.min(interval, this.intervals.length - 1)];
+    }
+
+    distanceAt(interval, time) {
+        return interpolate(this.track(interval), 'time', 'distance', time);
+    }
+
+    timeAt(interval, distance) {
+        const points = this.track(interval);
+        const last = points[points.length - 1];
+        if (distance > last.distance && last.distance > 0) {
+            return distance * last.time / last.distance;
+        }
+        return interpolate(points, 'distance', 'time', distance);
+    }
+
+    finishedAt(interval, time) {
+        const points = this.track(interval);
+        return time >= points[points.length - 1].time;
+    }
+}
+
+/**
+ * Linear interpolation of `to` at `value` of `from`, clamped to the ends
+ */
+function interpolate(points, from, to, value) {
+    if (value <= points[0][from]) {
+        return points[0][to];
+    }
+
+    // Binary search for the last point at or before value
+    let low = 0;
+    let high = points.length - 1;
+    if (value >= points[high][from]) {
+        return points[high][to];
+    }
+    while (high - low > 1) {
+        const middle = (low + high) >> 1;
+        if (points[middle][from] <= value) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+
+    const a = points[low];
+    const b = points[high];
+    const span = b[from] - a[from];
+    return span > 0 ? a[to] + (b[to] - a[to]) * (value - a[from]) / span : a[to];
+}
+
+/**
+ * Build a ghost from general status records in arrival order
+ * Elapsed time jumping back by more than resetTolerance seconds starts a new
+ * interval; rest, duplicates and pre-start records are skipped.
+ */
+export function ghostFromStatuses(statuses, resetTolerance = 5) {
+    const intervals = [[]];
+    let previous = null;
+
+    for (const status of statuses) {
+        if (previous && status.elapsed_time < previous.elapsed_time - resetTolerance) {
+            intervals.push([]);
+            previous = null;
+        }
+
+        const points = intervals[intervals.length - 1];
+        const rowing = status.workout_state !== WORKOUT_STATES.INTERVAL_REST && status.elapsed_time > 0;
+        if (rowing && (!previous || status.elapsed_time > previous.elapsed_time)) {
+            if (points.length === 0) {
+                points.push({ time: 0, distance: 0 });
+            }
+            points.push({ time: status.elapsed_time, distance: status.distance });
+            previous = status;
+        }
+    }
+
+    return new TrackGhost(intervals);
+}
+
+/**
+ * Build a ghost from a session capture (see recording.js)
+ * Reads general status from both the direct and the multiplexed notifications.
+ *
+ * @param {{ records: Object[] }} capture - parseCapture() output, or a RecordingTransport
+ */
+export function ghostFromCapture(capture, resetTolerance = 5) {
+    const statuses = [];
+
+    for (const record of capture.records) {
+        if (record.type !== 'notification') {
+            continue;
+        }
+
+        const bytes = fromHex(record.hex);
+        if (record.uuid === ROWING_CHARACTERISTICS.GENERAL_STATUS) {
+            statuses.push(parseGeneralStatus(new DataView(bytes.buffer)));
+        } else if (record.uuid === ROWING_CHARACTERISTICS.MULTIPLEXED_INFORMATION && bytes[0] === TELEMETRY_SCHEMA.general_status.id) {
+            statuses.push(parseGeneralStatus(new DataView(bytes.buffer), true));
+        }
+    }
+
+    if (statuses.length === 0) {
+        throw new Error('Capture has no general status data to build a ghost from');
+    }
+    return ghostFromStatuses(statuses, resetTolerance);
+}
+
+/**
+ * Follows a PM5Device's general status against a ghost and reports the gap
+ *
+ * Example:
+ *   const pacer = new Pacer(new PaceGhost(120)).attach(pm5);
+ *   pacer.on(PACER_EVENTS.GAP, (gap) => console.log(gap.meters.toFixed(1), gap.ahead ? 'ahead' : 'behind'));
+ */
+export class Pacer extends PM5EventTarget {
+    /**
+     * @param {PaceGhost|TrackGhost} ghost
+     * @param {Object} options
+     * @param {number} options.resetTolerance - Seconds elapsed time may run backwards before it counts as a new interval (default 5)
+     */
+    constructor(ghost, options = {}) {
+        super();
+        this.ghost = ghost;
+        this.resetTolerance = options.resetTolerance || 5;
+
+        this.device = null;
+        this.deviceListener = null;
+
+        this.reset();
+    }
+
+    /**
+     * Listen to a PM5Device's general status
+     */
+    attach(device) {
+        this.detach();
+
+        this.device = device;
+        this.deviceListener = (status) => this.update(status);
+        device.on(PM5_EVENTS.GENERAL_STATUS, this.deviceListener);
+        return this;
+    }
+
+    detach() {
+        if (!this.device) {
+            return;
+        }
+
+        this.device.off(PM5_EVENTS.GENERAL_STATUS, this.deviceListener);
+        this.device = null;
+        this.deviceListener = null;
+    }
+
+    /**
+     * Start again from the first interval, e.g. for a new workout
+     */
+    reset() {
+        this.interval = 0;
+        this.lastElapsed = null;
+        /** @type {PacerGap|null} */
+        this.gap = null;
+    }
+
+    /**
+     * Compare one general status with the ghost
+     * @returns {PacerGap|null} null while not rowing
+     */
+    update(status) {
+        if (this.lastElapsed !== null && status.elapsed_time < this.lastElapsed - this.resetTolerance) {
+            this.interval++;
+        }
+        this.lastElapsed = status.elapsed_time;
+
+        const rowing = status.elapsed_time > 0
+            && status.workout_state !== WORKOUT_STATES.INTERVAL_REST
+            && status.workout_state !== WORKOUT_STATES.END_OF_WORKOUT;
+        if (!rowing) {
+            return null;
+        }
+
+        const ghostDistance = this.ghost.distanceAt(this.interval, status.elapsed_time);
+        const meters = status.distance - ghostDistance;
+        const gap = {
+            interval: this.interval,
+            elapsed_time: status.elapsed_time,
+            distance: status.distance,
+            ghost_distance: ghostDistance,
+            meters,
+            seconds: this.ghost.timeAt(this.interval, status.distance) - status.elapsed_time,
+            ahead: meters >= 0,
+            ghost_finished: this.ghost.finishedAt(this.interval, status.elapsed_time)
+        };
+
+        const previous = this.gap;
+        this.gap = gap;
+        this.emit(PACER_EVENTS.GAP, gap);
+        if (previous && previous.interval === gap.interval && previous.ahead !== gap.ahead) {
+            this.emit(PACER_EVENTS.LEAD_CHANGE, gap);
+        }
+        return gap;
+    }
+}
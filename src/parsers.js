@@ -1,7 +1,11 @@
 /**
  * Data parsing utilities for PM5 Bluetooth characteristics
+ * Fixed-layout records are parsed by functions generated from TELEMETRY_SCHEMA in schema.js
  */
 
+import { TELEMETRY_SCHEMA, isOutOfRange, recordLayout } from './schema.js';
+import { LOGGED_WORKOUT_RECORD } from './constants.js';
+
 /**
  * Read 16-bit little-endian integer from DataView
  */
@@ -26,138 +30,296 @@ export function readInt32LE(dataView, offset) {
 }
 
 /**
- * Parse general status data (19 bytes)
- * This is the most important characteristic for real-time workout data
+ * Read one schema field from DataView, in engineering units
  */
-export function parseGeneralStatus(dataView, isMultiplexed = false) {
-    const offset = isMultiplexed ? 1 : 0;
-    
-    if (dataView.byteLength < (19 + offset)) {
-        throw new Error(`Invalid data length for general status: ${dataView.byteLength}, expected ${19 + offset}`);
+function readField(dataView, offset, field) {
+    if (field.type === 'hex') {
+        return dataView.getBigUint64(offset, true).toString(16).padStart(field.width * 2, '0');
     }
 
-    return {
-        elapsed_time: readInt24LE(dataView, offset + 0) * 0.01, // centiseconds to seconds
-        distance: readInt24LE(dataView, offset + 3) * 0.1,      // decimeters to meters
-        workout_type: dataView.getUint8(offset + 6),
-        interval_type: dataView.getUint8(offset + 7), 
-        workout_state: dataView.getUint8(offset + 8),
-        rowing_state: dataView.getUint8(offset + 9),
-        stroke_state: dataView.getUint8(offset + 10),
-        total_work_distance: readInt24LE(dataView, offset + 11),
-        workout_duration: readInt24LE(dataView, offset + 14),
-        workout_duration_type: dataView.getUint8(offset + 17),
-        drag_factor: dataView.getUint8(offset + 18)
+    let value;
+    switch (field.width) {
+        case 1: value = dataView.getUint8(offset); break;
+        case 2: value = readInt16LE(dataView, offset); break;
+        case 3: value = readInt24LE(dataView, offset); break;
+        case 4: value = readInt32LE(dataView, offset); break;
+        default: throw new Error(`Unsupported field width for ${field.name}: ${field.width}`);
+    }
+    return field.scale ? value * field.scale : value;
+}
+
+/**
+ * Generate a parser from a record in TELEMETRY_SCHEMA
+ * The parser returns one property per field; names of fields outside their
+ * valid range are listed in out_of_range, which is only present when non-empty.
+ * Multiplexed notifications are read with the record's multiplexed layout.
+ */
+export function createParser(record) {
+    if (record.custom) {
+        throw new Error(`${record.label} has no generated parser`);
+    }
+
+    const description = record.label.toLowerCase();
+
+    return function parse(dataView, isMultiplexed = false) {
+        const offset = isMultiplexed ? 1 : 0;
+        const { length, fields } = recordLayout(record, isMultiplexed);
+
+        if (dataView.byteLength < (length + offset)) {
+            throw new Error(`Invalid data length for ${description}: ${dataView.byteLength}, expected ${length + offset}`);
+        }
+
+        const data = {};
+        const outOfRange = [];
+
+        for (const field of fields) {
+            if (field.optional && dataView.byteLength < offset + field.offset + field.width) {
+                continue;
+            }
+
+            const value = readField(dataView, offset + field.offset, field);
+            data[field.name] = value;
+            if (isOutOfRange(field, value)) {
+                outOfRange.push(field.name);
+            }
+        }
+
+        if (outOfRange.length > 0) {
+            data.out_of_range = outOfRange;
+        }
+        return data;
     };
 }
 
+/**
+ * Parse general status data (19 bytes)
+ * This is the most important characteristic for real-time workout data
+ */
+export const parseGeneralStatus = createParser(TELEMETRY_SCHEMA.general_status);
+
 /**
  * Parse additional status data (16 bytes)
  * Contains pace, power, calories, heart rate
  */
-export function parseAdditionalStatus(dataView, isMultiplexed = false) {
+export const parseAdditionalStatus = createParser(TELEMETRY_SCHEMA.additional_status);
+
+/**
+ * Parse additional status 2 data (20 bytes, 17 without last_split_distance when multiplexed)
+ * Contains interval count, calories, average power and last split
+ */
+export const parseAdditionalStatus2 = createParser(TELEMETRY_SCHEMA.additional_status_2);
+
+/**
+ * Parse stroke data (20 bytes, 18 without work_per_stroke when multiplexed)
+ * Contains detailed per-stroke information
+ */
+export const parseStrokeData = createParser(TELEMETRY_SCHEMA.stroke_data);
+
+/**
+ * Parse additional stroke data (15 bytes, 17 when multiplexed)
+ * Contains stroke power, caloric burn and projections
+ */
+export const parseAdditionalStrokeData = createParser(TELEMETRY_SCHEMA.additional_stroke_data);
+
+/**
+ * Parse split/interval data (18 bytes)
+ * Contains information when splits or intervals complete
+ */
+export const parseSplitIntervalData = createParser(TELEMETRY_SCHEMA.split_data);
+
+/**
+ * Parse additional split/interval data (18 bytes)
+ * Contains per-split averages sent alongside the split/interval data
+ */
+export const parseAdditionalSplitIntervalData = createParser(TELEMETRY_SCHEMA.additional_split_data);
+
+/**
+ * Convert a PM log entry date and time to a Date
+ * Date: bits 0-3 month, bits 4-8 day, bits 9-15 years since 2000
+ * Time: low byte minutes, high byte hours
+ */
+export function logEntryToDate(logEntryDate, logEntryTime) {
+    const month = logEntryDate & 0x0F;
+    const day = (logEntryDate >> 4) & 0x1F;
+    const year = ((logEntryDate >> 9) & 0x7F) + 2000;
+    const minutes = logEntryTime & 0xFF;
+    const hours = (logEntryTime >> 8) & 0xFF;
+
+    return new Date(year, month - 1, day, hours, minutes);
+}
+
+/**
+ * Parse end of workout summary data (20 bytes, 18 without average_pace when multiplexed)
+ * Sent once when the workout ends
+ */
+export const parseEndOfWorkoutSummary = createParser(TELEMETRY_SCHEMA.end_of_workout_summary);
+
+/**
+ * Parse additional end of workout summary data (19 bytes)
+ * Contains split/interval setup, calories and power
+ */
+export const parseAdditionalEndOfWorkoutSummary = createParser(TELEMETRY_SCHEMA.additional_end_of_workout_summary);
+
+/**
+ * Parse additional end of workout summary 2 data (10 bytes)
+ * Not sent by older firmware
+ */
+export const parseAdditionalEndOfWorkoutSummary2 = createParser(TELEMETRY_SCHEMA.additional_end_of_workout_summary_2);
+
+/**
+ * Parse one force curve data packet (2 + 2 * point count bytes)
+ * A stroke's force curve is split across several packets; see forcecurve.js
+ */
+export function parseForceCurveData(dataView, isMultiplexed = false) {
     const offset = isMultiplexed ? 1 : 0;
     
-    if (dataView.byteLength < (16 + offset)) {
-        throw new Error(`Invalid data length for additional status: ${dataView.byteLength}, expected ${16 + offset}`);
+    if (dataView.byteLength < (2 + offset)) {
+        throw new Error(`Invalid data length for force curve data: ${dataView.byteLength}, expected at least ${2 + offset}`);
+    }
+
+    const header = dataView.getUint8(offset + 0);
+    const pointCount = header & 0x0F;
+    
+    if (dataView.byteLength < (2 + offset + pointCount * 2)) {
+        throw new Error(`Invalid data length for force curve data: ${dataView.byteLength}, expected ${2 + offset + pointCount * 2}`);
+    }
+
+    const forces = [];
+    for (let i = 0; i < pointCount; i++) {
+        forces.push(readInt16LE(dataView, offset + 2 + i * 2)); // pounds-force
     }
 
     return {
-        elapsed_time: readInt24LE(dataView, offset + 0) * 0.01,
-        speed: readInt16LE(dataView, offset + 3) * 0.001,       // mm/s to m/s
-        stroke_rate: dataView.getUint8(offset + 5),            // strokes per minute
-        heart_rate: dataView.getUint8(offset + 6),             // beats per minute
-        current_pace: readInt16LE(dataView, offset + 7) * 0.01, // centiseconds per 500m
-        average_pace: readInt16LE(dataView, offset + 9) * 0.01,
-        rest_distance: readInt16LE(dataView, offset + 11),
-        rest_time: readInt24LE(dataView, offset + 13) * 0.01
+        packet_count: header >> 4,          // packets making up this stroke's curve
+        point_count: pointCount,            // data points in this packet
+        sequence_number: dataView.getUint8(offset + 1),
+        forces: forces
     };
 }
 
 /**
- * Parse stroke data (20 bytes)
- * Contains detailed per-stroke information
+ * Parse heart rate belt information (6 bytes)
+ * Identifies the ANT heart rate belt paired with the PM5
  */
-export function parseStrokeData(dataView, isMultiplexed = false) {
-    const offset = isMultiplexed ? 1 : 0;
-    
-    if (dataView.byteLength < (20 + offset)) {
-        throw new Error(`Invalid data length for stroke data: ${dataView.byteLength}, expected ${20 + offset}`);
+export const parseHeartRateBeltInformation = createParser(TELEMETRY_SCHEMA.heart_rate_belt_information);
+
+/**
+ * Parse logged workout data (12 bytes)
+ * Identifies a workout the PM5 has written to its internal log
+ */
+export const parseLoggedWorkoutData = createParser(TELEMETRY_SCHEMA.logged_workout_data);
+
+/**
+ * View of length bytes at offset within a DataView
+ */
+function subView(dataView, offset, length) {
+    return new DataView(dataView.buffer, dataView.byteOffset + offset, length);
+}
+
+/**
+ * Parse the header of a logged workout record in the PM5's internal log
+ * (15 bytes, see LOGGED_WORKOUT_RECORD)
+ */
+export function parseLoggedWorkoutHeader(dataView) {
+    if (dataView.byteLength < LOGGED_WORKOUT_RECORD.HEADER_LENGTH) {
+        throw new Error(`Invalid data length for logged workout header: ${dataView.byteLength}, expected ${LOGGED_WORKOUT_RECORD.HEADER_LENGTH}`);
     }
 
     return {
-        elapsed_time: readInt24LE(dataView, offset + 0) * 0.01,
-        distance: readInt24LE(dataView, offset + 3) * 0.1,
-        drive_length: dataView.getUint8(offset + 6) * 0.01,    // cm to meters
-        drive_time: dataView.getUint8(offset + 7) * 0.01,      // centiseconds to seconds  
-        stroke_recovery_time: readInt16LE(dataView, offset + 8) * 0.01,
-        stroke_distance: readInt16LE(dataView, offset + 10) * 0.01, // cm to meters
-        peak_drive_force: readInt16LE(dataView, offset + 12) * 0.1, // newtons
-        average_drive_force: readInt16LE(dataView, offset + 14) * 0.1,
-        work_per_stroke: readInt16LE(dataView, offset + 16) * 0.1, // joules
-        stroke_count: readInt16LE(dataView, offset + 18)
+        ...parseLoggedWorkoutData(dataView),
+        record_length: readInt16LE(dataView, 12),
+        split_count: dataView.getUint8(14)
     };
 }
 
 /**
- * Parse split/interval data (18 bytes)
- * Contains information when splits or intervals complete
+ * Parse a logged workout record read from the PM5's internal log
+ * Returns the header fields, the three end of workout summary records, and
+ * one merged split data / additional split data record per split.
  */
-export function parseSplitIntervalData(dataView, isMultiplexed = false) {
-    const offset = isMultiplexed ? 1 : 0;
-    
-    if (dataView.byteLength < (18 + offset)) {
-        throw new Error(`Invalid data length for split data: ${dataView.byteLength}, expected ${18 + offset}`);
+export function parseLoggedWorkoutRecord(dataView) {
+    const header = parseLoggedWorkoutHeader(dataView);
+    const expected = LOGGED_WORKOUT_RECORD.SPLITS_OFFSET + header.split_count * LOGGED_WORKOUT_RECORD.SPLIT_LENGTH;
+    if (header.record_length < expected || dataView.byteLength < header.record_length) {
+        throw new Error(`Invalid logged workout record length: ${dataView.byteLength}, expected ${Math.max(header.record_length, expected)}`);
+    }
+
+    const splits = [];
+    for (let i = 0; i < header.split_count; i++) {
+        const offset = LOGGED_WORKOUT_RECORD.SPLITS_OFFSET + i * LOGGED_WORKOUT_RECORD.SPLIT_LENGTH;
+        const split = parseSplitIntervalData(subView(dataView, offset, TELEMETRY_SCHEMA.split_data.length));
+        const additional = parseAdditionalSplitIntervalData(subView(
+            dataView,
+            offset + LOGGED_WORKOUT_RECORD.ADDITIONAL_SPLIT_OFFSET,
+            TELEMETRY_SCHEMA.additional_split_data.length
+        ));
+        splits.push({ ...split, ...additional });
     }
 
     return {
-        elapsed_time: readInt24LE(dataView, offset + 0) * 0.01,
-        distance: readInt24LE(dataView, offset + 3) * 0.1,
-        split_time: readInt24LE(dataView, offset + 6) * 0.1,    // deciseconds to seconds
-        split_distance: readInt24LE(dataView, offset + 9) * 0.1,
-        rest_time: readInt16LE(dataView, offset + 12),
-        rest_distance: readInt16LE(dataView, offset + 14),
-        split_type: dataView.getUint8(offset + 16),
-        split_number: dataView.getUint8(offset + 17)
+        ...header,
+        summary: parseEndOfWorkoutSummary(subView(
+            dataView,
+            LOGGED_WORKOUT_RECORD.SUMMARY_OFFSET,
+            TELEMETRY_SCHEMA.end_of_workout_summary.length
+        )),
+        additional_summary: parseAdditionalEndOfWorkoutSummary(subView(
+            dataView,
+            LOGGED_WORKOUT_RECORD.ADDITIONAL_SUMMARY_OFFSET,
+            TELEMETRY_SCHEMA.additional_end_of_workout_summary.length
+        )),
+        additional_summary_2: parseAdditionalEndOfWorkoutSummary2(subView(
+            dataView,
+            LOGGED_WORKOUT_RECORD.ADDITIONAL_SUMMARY_2_OFFSET,
+            TELEMETRY_SCHEMA.additional_end_of_workout_summary_2.length
+        )),
+        splits
     };
 }
 
+// Multiplexed data type -> parser
+const MULTIPLEXED_PARSERS = {
+    general_status: parseGeneralStatus,
+    additional_status: parseAdditionalStatus,
+    additional_status_2: parseAdditionalStatus2,
+    stroke_data: parseStrokeData,
+    additional_stroke_data: parseAdditionalStrokeData,
+    split_data: parseSplitIntervalData,
+    additional_split_data: parseAdditionalSplitIntervalData,
+    end_of_workout_summary: parseEndOfWorkoutSummary,
+    additional_end_of_workout_summary: parseAdditionalEndOfWorkoutSummary,
+    heart_rate_belt_information: parseHeartRateBeltInformation,
+    additional_end_of_workout_summary_2: parseAdditionalEndOfWorkoutSummary2,
+    force_curve_data: parseForceCurveData,
+    logged_workout_data: parseLoggedWorkoutData
+};
+
+// Multiplexed ID byte -> data type
+const MULTIPLEXED_TYPES = Object.fromEntries(
+    Object.entries(TELEMETRY_SCHEMA).map(([type, record]) => [record.id, type])
+);
+
 /**
  * Parse multiplexed data
  * PM5 can send multiple data types in a single notification
  */
 export function parseMultiplexedData(dataView) {
     const uuid = dataView.getUint8(0);
-    
-    switch(uuid) {
-        case 0x31: // General status
-            return {
-                type: 'general_status',
-                data: parseGeneralStatus(dataView, true)
-            };
-        case 0x32: // Additional status  
-            return {
-                type: 'additional_status',
-                data: parseAdditionalStatus(dataView, true)
-            };
-        case 0x35: // Stroke data
-            return {
-                type: 'stroke_data', 
-                data: parseStrokeData(dataView, true)
-            };
-        case 0x37: // Split data
-            return {
-                type: 'split_data',
-                data: parseSplitIntervalData(dataView, true)
-            };
-        default:
-            console.warn(`Unknown multiplexed UUID: 0x${uuid.toString(16)}`);
-            return {
-                type: 'unknown',
-                uuid: uuid,
-                data: null
-            };
+    const type = MULTIPLEXED_TYPES[uuid];
+
+    if (!type) {
+        console.warn(`Unknown multiplexed UUID: 0x${uuid.toString(16)}`);
+        return {
+            type: 'unknown',
+            uuid: uuid,
+            data: null
+        };
     }
+
+    return {
+        type,
+        data: MULTIPLEXED_PARSERS[type](dataView, true)
+    };
 }
 
 /**
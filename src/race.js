@@ -0,0 +1,422 @@
+/**
+ * Head-to-head racing
+ * Programs the same piece on every erg in a PM5Fleet, holds them in the PM5's
+ * race wait-to-start, counts down and starts them together over CSAFE, and
+ * ranks the lanes from their general status while they row.
+ */
+
+import { PM5EventTarget } from './events.js';
+import { PM5_EVENTS } from './device.js';
+import { FLEET_EVENTS } from './fleet.js';
+import { WORKOUT_STATES, ROWING_STATES, RACE_OPERATION_TYPES } from './constants.js';
+
+/**
+ * idle       nothing programmed
+ * arming     programming the piece on every erg
+ * armed      every lane is held in race wait-to-start
+ * countdown  counting down to the start
+ * racing     started; lanes finish one by one
+ * finished   every lane has finished or dropped out
+ * aborted    stopped by abort()
+ */
+export const RACE_STATES = {
+    IDLE: 'idle',
+    ARMING: 'arming',
+    ARMED: 'armed',
+    COUNTDOWN: 'countdown',
+    RACING: 'racing',
+    FINISHED: 'finished',
+    ABORTED: 'aborted'
+};
+
+export const LANE_STATES = {
+    READY: 'ready',
+    RACING: 'racing',
+    FINISHED: 'finished',
+    DNF: 'dnf'
+};
+
+/**
+ * Events emitted by RaceController
+ *
+ * state       { state } whenever the race state changes
+ * countdown   { remaining } seconds, once a second during the countdown
+ * start       { startedAt } wall clock ms of the start
+ * falsestart  RaceLane that moved before the start
+ * update      RaceLane after each general status
+ * finish      RaceLane that finished
+ * complete    { standings } once every lane has finished or dropped out
+ */
+export const RACE_EVENTS = {
+    STATE: 'state',
+    COUNTDOWN: 'countdown',
+    START: 'start',
+    FALSE_START: 'falsestart',
+    UPDATE: 'update',
+    FINISH: 'finish',
+    COMPLETE: 'complete'
+};
+
+/**
+ * @typedef {Object} RaceLane
+ * @property {string} seat - Fleet seat
+ * @property {string} athlete
+ * @property {string} state - See LANE_STATES
+ * @property {boolean} false_start - Moved before the start
+ * @property {number} distance - Meters, from general status
+ * @property {number} elapsed_time - Seconds on the erg's own clock, which starts on the first stroke
+ * @property {number|null} pace - Current seconds per 500m
+ * @property {number|null} start_offset - Seconds from the start to the erg's clock starting (negative after a false start)
+ * @property {number|null} race_time - Seconds since the start
+ * @property {number|null} finish_time - Race time at the finish
+ */
+
+/**
+ * Runs a race across the connected ergs of a PM5Fleet
+ *
+ * arm() puts every erg in RACE_WAIT_TO_START after programming the piece, and
+ * the end of the countdown sends START to all of them at once. Each PM5 still
+ * starts its own clock on the athlete's first stroke, so a lane's race
+ * time is its elapsed_time plus start_offset, the time between the start and
+ * that first stroke. Rowing (rowing_state active, or the erg's clock running)
+ * before the start is flagged as a false start; the lane keeps racing and the
+ * decision is left to whoever runs the race.
+ *
+ * Example:
+ *   const race = new RaceController(fleet, { countdown: 5 });
+ *   await race.arm({ distance: 500 });
+ *   race.on(RACE_EVENTS.FINISH, (lane) => console.log(lane.seat, lane.finish_time));
+ *   await race.start();
+ */
+export class RaceController extends PM5EventTarget {
+    /**
+     * @param {PM5Fleet} fleet
+     * @param {Object} options
+     * @param {number} options.countdown - Seconds of countdown before the start (default 10)
+     */
+    constructor(fleet, options = {}) {
+        super();
+        this.fleet = fleet;
+        this.countdown = options.countdown !== undefined ? options.countdown : 10;
+
+        this.state = RACE_STATES.IDLE;
+        this.listening = false;
+        this.fleetListeners = {
+            [PM5_EVENTS.GENERAL_STATUS]: ({ seat, data }) => this.handleGeneralStatus(seat, data),
+            [PM5_EVENTS.ADDITIONAL_STATUS]: ({ seat, data }) => this.handleAdditionalStatus(seat, data),
+            [PM5_EVENTS.DISCONNECTED]: ({ seat }) => this.handleDropout(seat),
+            [FLEET_EVENTS.REMOVED]: (member) => this.handleDropout(member.seat)
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        // { distance } or { time } in seconds, plus an optional split
+        this.piece = null;
+        /** @type {Map<string, RaceLane>} */
+        this.lanes = new Map();
+        // Wall clock ms of the start
+        this.startedAt = null;
+        this.countdownTimer = null;
+        this.countdownResolve = null;
+    }
+
+    /**
+     * Program the piece on every connected erg and hold it at the start
+     * Ergs that cannot be programmed or held are left out of the race.
+     *
+     * @param {Object} piece - { distance } in meters or { time } in seconds, optional split in the same unit
+     * @returns {Promise<Array>} Per-seat results, as fleet.forEachDevice()
+     */
+    async arm(piece) {
+        if ([RACE_STATES.ARMING, RACE_STATES.COUNTDOWN, RACE_STATES.RACING].includes(this.state)) {
+            throw new Error(`Cannot arm a race while ${this.state}`);
+        }
+        if (!piece || (piece.distance === undefined) === (piece.time === undefined)) {
+            throw new Error('Race piece must specify either distance or time');
+        }
+
+        this.unlisten();
+        this.reset();
+        this.piece = { ...piece };
+        this.setState(RACE_STATES.ARMING);
+
+        const results = await this.fleet.forEachDevice(async (device) => {
+            if (piece.distance !== undefined) {
+                await device.programFixedDistance(piece.distance, piece.split);
+            } else {
+                await device.programFixedTime(piece.time, piece.split);
+            }
+
+            const streaming = Object.keys(device.rowingNotificationHandlers).length > 0 || device.multiplexedSubscription !== null;
+            if (!streaming) {
+                await device.startRowingDataNotifications();
+            }
+
+            // abort() was called while programming; leave the erg free
+            if (this.state === RACE_STATES.ARMING) {
+                await device.setRaceOperation(RACE_OPERATION_TYPES.RACE_WAIT_TO_START);
+            }
+        });
+
+        // abort() was called while programming; ergs that were already held are released here
+        if (this.state !== RACE_STATES.ARMING) {
+            const programmed = new Set(results.filter(result => result.status === 'fulfilled').map(result => result.seat));
+            await this.setRaceOperation(RACE_OPERATION_TYPES.DISABLE, programmed);
+            return results;
+        }
+
+        for (const result of results) {
+            if (result.status === 'fulfilled') {
+                this.lanes.set(result.seat, this.createLane(this.fleet.get(result.seat)));
+            }
+        }
+
+        if (this.lanes.size === 0) {
+            this.setState(RACE_STATES.IDLE);
+            throw new Error('No erg could be programmed for the race');
+        }
+
+        this.listen();
+        this.setState(RACE_STATES.ARMED);
+        return results;
+    }
+
+    /**
+     * Count down and start the race
+     * At zero START is sent to every lane's erg together; a lane whose erg
+     * does not take it is marked dnf.
+     * @returns {Promise<boolean>} true once started, false if the race was aborted first
+     */
+    start() {
+        if (this.state !== RACE_STATES.ARMED) {
+            throw new Error('Arm the race before starting it');
+        }
+
+        this.setState(RACE_STATES.COUNTDOWN);
+        const startAt = Date.now() + this.countdown * 1000;
+
+        return new Promise(resolve => {
+            this.countdownResolve = resolve;
+
+            const tick = () => {
+                const remaining = Math.ceil((startAt - Date.now()) / 1000);
+                if (remaining > 0) {
+                    this.emit(RACE_EVENTS.COUNTDOWN, { remaining });
+                    // Wake up on the next whole second before the start
+                    this.countdownTimer = setTimeout(tick, startAt - Date.now() - (remaining - 1) * 1000);
+                    return;
+                }
+
+                this.countdownTimer = null;
+                this.countdownResolve = null;
+                this.startedAt = Date.now();
+                this.setState(RACE_STATES.RACING);
+                this.emit(RACE_EVENTS.START, { startedAt: this.startedAt });
+                this.setRaceOperation(RACE_OPERATION_TYPES.START).then((results) => {
+                    for (const result of results) {
+                        if (result.status === 'rejected') {
+                            console.error(`Seat ${result.seat} did not start:`, result.reason);
+                            this.handleDropout(result.seat);
+                        }
+                    }
+                    resolve(true);
+                });
+            };
+            tick();
+        });
+    }
+
+    /**
+     * Stop the race; lanes keep their last values for display
+     * Ergs still held at the start are released from race mode; when arming,
+     * arm() releases the ergs it has programmed once they have all answered.
+     * @returns {Promise<Array>} Per-seat results of the release, as fleet.forEachDevice()
+     */
+    abort() {
+        const held = [RACE_STATES.ARMED, RACE_STATES.COUNTDOWN].includes(this.state);
+
+        clearTimeout(this.countdownTimer);
+        this.countdownTimer = null;
+        if (this.countdownResolve) {
+            this.countdownResolve(false);
+            this.countdownResolve = null;
+        }
+
+        this.unlisten();
+        this.setState(RACE_STATES.ABORTED);
+        return held ? this.setRaceOperation(RACE_OPERATION_TYPES.DISABLE) : Promise.resolve([]);
+    }
+
+    /**
+     * Send a race operation to the erg of every lane, or of the given seats, at once
+     * @param {number} operation - RACE_OPERATION_TYPES value
+     * @param {Set<string>|Map<string, *>} seats - Seats to send to (default every lane)
+     */
+    setRaceOperation(operation, seats = this.lanes) {
+        return this.fleet.forEachDevice(async (device, member) => {
+            if (seats.has(member.seat)) {
+                await device.setRaceOperation(operation);
+            }
+        });
+    }
+
+    /**
+     * Lanes in race order, with their place and margin behind the leader
+     *
+     * Distance races rank finished lanes by finish time, then the rest by
+     * distance; time races rank by distance. Margins are in meters, and in
+     * seconds at the lane's current pace (finish time difference once both
+     * lanes have finished a distance race). Lanes that dropped out come last
+     * without a place.
+     *
+     * @returns {Array<RaceLane & { place: number|null, margin: { meters: number|null, seconds: number|null } }>}
+     */
+    standings() {
+        const distanceRace = this.piece && this.piece.distance !== undefined;
+        const rank = (lane) => lane.state === LANE_STATES.DNF ? 2 : (distanceRace && lane.state === LANE_STATES.FINISHED ? 0 : 1);
+
+        const lanes = [...this.lanes.values()].sort((a, b) => {
+            if (rank(a) !== rank(b)) {
+                return rank(a) - rank(b);
+            }
+            if (rank(a) === 0) {
+                return a.finish_time - b.finish_time;
+            }
+            return b.distance - a.distance;
+        });
+
+        const leader = lanes[0];
+        return lanes.map((lane, index) => {
+            if (lane.state === LANE_STATES.DNF) {
+                return { ...lane, place: null, margin: { meters: null, seconds: null } };
+            }
+
+            if (distanceRace && lane.state === LANE_STATES.FINISHED && leader.state === LANE_STATES.FINISHED) {
+                return { ...lane, place: index + 1, margin: { meters: null, seconds: lane.finish_time - leader.finish_time } };
+            }
+
+            const leaderDistance = distanceRace && leader.state === LANE_STATES.FINISHED ? this.piece.distance : leader.distance;
+            const meters = Math.max(0, leaderDistance - lane.distance);
+            const seconds = lane.pace > 0 ? meters * lane.pace / 500 : null;
+            return { ...lane, place: index + 1, margin: { meters, seconds } };
+        });
+    }
+
+    createLane(member) {
+        return {
+            seat: member.seat,
+            athlete: member.athlete,
+            state: LANE_STATES.READY,
+            false_start: false,
+            distance: 0,
+            elapsed_time: 0,
+            pace: null,
+            start_offset: null,
+            race_time: null,
+            finish_time: null
+        };
+    }
+
+    listen() {
+        if (this.listening) {
+            return;
+        }
+        for (const [type, listener] of Object.entries(this.fleetListeners)) {
+            this.fleet.on(type, listener);
+        }
+        this.listening = true;
+    }
+
+    unlisten() {
+        for (const [type, listener] of Object.entries(this.fleetListeners)) {
+            this.fleet.off(type, listener);
+        }
+        this.listening = false;
+    }
+
+    setState(state) {
+        this.state = state;
+        this.emit(RACE_EVENTS.STATE, { state });
+    }
+
+    handleGeneralStatus(seat, data) {
+        const lane = this.lanes.get(seat);
+        if (!lane || lane.state === LANE_STATES.FINISHED || lane.state === LANE_STATES.DNF) {
+            return;
+        }
+
+        const now = Date.now();
+        const moving = data.rowing_state === ROWING_STATES.ACTIVE || data.elapsed_time > 0;
+        lane.distance = data.distance;
+        lane.elapsed_time = data.elapsed_time;
+
+        if (this.state === RACE_STATES.ARMED || this.state === RACE_STATES.COUNTDOWN) {
+            if (moving && !lane.false_start) {
+                lane.false_start = true;
+                this.emit(RACE_EVENTS.FALSE_START, lane);
+            }
+            this.emit(RACE_EVENTS.UPDATE, lane);
+            return;
+        }
+
+        if (this.state !== RACE_STATES.RACING) {
+            return;
+        }
+
+        const sinceStart = (now - this.startedAt) / 1000;
+        if (lane.start_offset === null && data.elapsed_time > 0) {
+            // The erg's clock was at elapsed_time when this status was sent
+            lane.start_offset = sinceStart - data.elapsed_time;
+            lane.state = LANE_STATES.RACING;
+        }
+        lane.race_time = lane.start_offset !== null ? lane.start_offset + data.elapsed_time : sinceStart;
+
+        if (data.workout_state === WORKOUT_STATES.END_OF_WORKOUT && lane.start_offset !== null) {
+            lane.state = LANE_STATES.FINISHED;
+            lane.finish_time = lane.race_time;
+            this.emit(RACE_EVENTS.UPDATE, lane);
+            this.emit(RACE_EVENTS.FINISH, lane);
+            this.checkComplete();
+            return;
+        }
+
+        this.emit(RACE_EVENTS.UPDATE, lane);
+    }
+
+    handleAdditionalStatus(seat, data) {
+        const lane = this.lanes.get(seat);
+        if (lane && lane.state !== LANE_STATES.FINISHED && lane.state !== LANE_STATES.DNF) {
+            lane.pace = data.current_pace > 0 ? data.current_pace : null;
+        }
+    }
+
+    /**
+     * A lane's erg disconnected or left the fleet before finishing
+     */
+    handleDropout(seat) {
+        const lane = this.lanes.get(seat);
+        if (!lane || lane.state === LANE_STATES.FINISHED || lane.state === LANE_STATES.DNF) {
+            return;
+        }
+
+        lane.state = LANE_STATES.DNF;
+        this.emit(RACE_EVENTS.UPDATE, lane);
+        if (this.state === RACE_STATES.RACING) {
+            this.checkComplete();
+        }
+    }
+
+    checkComplete() {
+        for (const lane of this.lanes.values()) {
+            if (lane.state !== LANE_STATES.FINISHED && lane.state !== LANE_STATES.DNF) {
+                return;
+            }
+        }
+
+        this.unlisten();
+        this.setState(RACE_STATES.FINISHED);
+        this.emit(RACE_EVENTS.COMPLETE, { standings: this.standings() });
+    }
+}
@@ -0,0 +1,337 @@
+/**
+ * Record and replay raw PM5 sessions
+ * A capture is JSONL: a header line followed by one line per GATT operation
+ *
+ *   {"type":"session","version":1,"name":"PM5 430000000 Row","startedAt":"2026-01-01T12:00:00.000Z"}
+ *   {"type":"read","timestamp":12.5,"serviceUuid":"...","uuid":"...","hex":"504d35"}
+ *   {"type":"notification","timestamp":1003.25,"serviceUuid":"...","uuid":"...","hex":"..."}
+ *   {"type":"write","timestamp":2010.75,"serviceUuid":"...","uuid":"...","hex":"f1..."}
+ *
+ * Timestamps are milliseconds since the recording started.
+ */
+
+const CAPTURE_VERSION = 1;
+
+function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function dataViewBytes(dataView) {
+    return new Uint8Array(dataView.buffer, dataView.byteOffset, dataView.byteLength);
+}
+
+/**
+ * Parse a JSONL capture into { header, records }
+ */
+export function parseCapture(text) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) {
+        throw new Error('Capture is empty');
+    }
+
+    const entries = lines.map((line, index) => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Invalid capture line ${index + 1}: ${error.message}`);
+        }
+    });
+
+    const header = entries[0];
+    if (header.type !== 'session') {
+        throw new Error('Capture must start with a session header');
+    }
+    if (header.version !== CAPTURE_VERSION) {
+        throw new Error(`Unsupported capture version: ${header.version}`);
+    }
+
+    return { header, records: entries.slice(1) };
+}
+
+/**
+ * Transport wrapper that records every read, write and notification passing through it
+ * Wrap the transport before handing it to PM5Device:
+ *   const recorder = new RecordingTransport(new WebBluetoothTransport(bluetoothDevice));
+ *   const pm5 = new PM5Device(recorder);
+ *   ...
+ *   const jsonl = recorder.toJSONL();
+ */
+export class RecordingTransport extends EventTarget {
+    constructor(transport) {
+        super();
+        this.transport = transport;
+        this.records = [];
+        this.startTime = performance.now();
+        this.startedAt = new Date();
+        // Characteristic UUID -> { handler, listeners } for the single underlying subscription
+        this.subscriptions = new Map();
+
+        this.transport.addEventListener('disconnected', () => {
+            this.subscriptions.clear();
+            this.dispatchEvent(new Event('disconnected'));
+        });
+    }
+
+    get name() {
+        return this.transport.name;
+    }
+
+    get connected() {
+        return this.transport.connected;
+    }
+
+    connect() {
+        return this.transport.connect();
+    }
+
+    disconnect() {
+        return this.transport.disconnect();
+    }
+
+    record(type, serviceUuid, uuid, bytes) {
+        this.records.push({
+            type,
+            timestamp: Math.round((performance.now() - this.startTime) * 1000) / 1000,
+            serviceUuid,
+            uuid,
+            hex: toHex(bytes)
+        });
+    }
+
+    async readValue(serviceUuid, uuid) {
+        const dataView = await this.transport.readValue(serviceUuid, uuid);
+        this.record('read', serviceUuid, uuid, dataViewBytes(dataView));
+        return dataView;
+    }
+
+    async writeValue(serviceUuid, uuid, bytes) {
+        this.record('write', serviceUuid, uuid, bytes);
+        await this.transport.writeValue(serviceUuid, uuid, bytes);
+    }
+
+    async startNotifications(serviceUuid, uuid, listener) {
+        let subscription = this.subscriptions.get(uuid);
+
+        if (!subscription) {
+            const listeners = new Set();
+            const handler = (dataView) => {
+                this.record('notification', serviceUuid, uuid, dataViewBytes(dataView));
+                for (const subscriber of listeners) {
+                    subscriber(dataView);
+                }
+            };
+
+            await this.transport.startNotifications(serviceUuid, uuid, handler);
+            subscription = { handler, listeners };
+            this.subscriptions.set(uuid, subscription);
+        }
+
+        subscription.listeners.add(listener);
+    }
+
+    async stopNotifications(serviceUuid, uuid, listener) {
+        const subscription = this.subscriptions.get(uuid);
+        if (!subscription) {
+            return;
+        }
+
+        subscription.listeners.delete(listener);
+        if (subscription.listeners.size === 0) {
+            this.subscriptions.delete(uuid);
+            await this.transport.stopNotifications(serviceUuid, uuid, subscription.handler);
+        }
+    }
+
+    getNotifyCharacteristics() {
+        return this.transport.getNotifyCharacteristics();
+    }
+
+    /**
+     * Discard what has been recorded so far and restart the clock
+     */
+    clear() {
+        this.records = [];
+        this.startTime = performance.now();
+        this.startedAt = new Date();
+    }
+
+    toJSONL() {
+        const header = {
+            type: 'session',
+            version: CAPTURE_VERSION,
+            name: this.name,
+            startedAt: this.startedAt.toISOString()
+        };
+        return [header, ...this.records].map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    }
+}
+
+/**
+ * Transport that plays a capture back through PM5Device
+ * Reads answer with the last recorded value, writes are accepted and ignored
+ * (a write updates what later reads return). Playback starts when the first
+ * notification subscription is made, at the first recorded notification, and
+ * dispatches an 'ended' event after the last one.
+ *
+ * Example:
+ *   const pm5 = new PM5Device(new ReplayTransport(parseCapture(text), { speed: 4 }));
+ */
+export class ReplayTransport extends EventTarget {
+    /**
+     * @param {Object} capture - Result of parseCapture()
+     * @param {Object} options
+     * @param {number} options.speed - Playback speed multiplier (default 1, real time)
+     */
+    constructor(capture, options = {}) {
+        super();
+        this.header = capture.header;
+        this.notifications = capture.records.filter(record => record.type === 'notification');
+        this.speed = options.speed || 1;
+
+        this.isConnected = false;
+        this.listeners = new Map();
+        this.timer = null;
+        this.position = 0;
+        this.playStart = null;
+
+        // Last recorded value per characteristic, answered on reads
+        this.values = new Map();
+        for (const record of capture.records) {
+            if (record.type === 'read') {
+                this.values.set(record.uuid, fromHex(record.hex));
+            }
+        }
+    }
+
+    get name() {
+        return this.header.name || 'Replay';
+    }
+
+    get connected() {
+        return this.isConnected;
+    }
+
+    get ended() {
+        return this.position >= this.notifications.length;
+    }
+
+    async connect() {
+        this.isConnected = true;
+        if (this.playStart !== null) {
+            this.schedule();
+        }
+    }
+
+    async disconnect() {
+        if (!this.isConnected) {
+            return;
+        }
+
+        this.isConnected = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.listeners.clear();
+        this.dispatchEvent(new Event('disconnected'));
+    }
+
+    async readValue(serviceUuid, uuid) {
+        if (!this.values.has(uuid)) {
+            throw new Error(`No recorded value for characteristic ${uuid}`);
+        }
+        return new DataView(this.values.get(uuid).slice().buffer);
+    }
+
+    async writeValue(serviceUuid, uuid, bytes) {
+        if (this.values.has(uuid)) {
+            this.values.set(uuid, Uint8Array.from(bytes));
+        }
+    }
+
+    async startNotifications(serviceUuid, uuid, listener) {
+        if (!this.listeners.has(uuid)) {
+            this.listeners.set(uuid, new Set());
+        }
+        this.listeners.get(uuid).add(listener);
+
+        if (this.playStart === null) {
+            this.play();
+        }
+    }
+
+    async stopNotifications(serviceUuid, uuid, listener) {
+        const listeners = this.listeners.get(uuid);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    async getNotifyCharacteristics() {
+        const seen = new Map();
+        for (const record of this.notifications) {
+            seen.set(record.uuid, { uuid: record.uuid, serviceUuid: record.serviceUuid });
+        }
+        return Array.from(seen.values());
+    }
+
+    /**
+     * Start playback from the first recorded notification
+     */
+    play() {
+        this.playStart = performance.now();
+        this.schedule();
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (!this.isConnected) {
+            return;
+        }
+
+        if (this.ended) {
+            this.dispatchEvent(new Event('ended'));
+            return;
+        }
+
+        const first = this.notifications[0].timestamp;
+        const next = this.notifications[this.position];
+        const due = this.playStart + (next.timestamp - first) / this.speed;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            const now = performance.now();
+
+            // Deliver everything that is due, so fast playback is not limited by timer resolution
+            while (!this.ended) {
+                const record = this.notifications[this.position];
+                if (this.playStart + (record.timestamp - first) / this.speed > now) {
+                    break;
+                }
+                this.position++;
+                this.deliver(record);
+            }
+
+            this.schedule();
+        }, Math.max(0, due - performance.now()));
+    }
+
+    deliver(record) {
+        const listeners = this.listeners.get(record.uuid);
+        if (!listeners) {
+            return;
+        }
+
+        for (const listener of listeners) {
+            listener(new DataView(fromHex(record.hex).buffer));
+        }
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * Live telemetry relay client
+ * TelemetryPublisher sends an erg's normalized telemetry to the relay in
+ * server.js; TelemetrySubscriber follows a room (or one erg in it) from any
+ * other browser, starting from the room's current snapshot.
+ */
+
+import { PM5EventTarget } from './events.js';
+import { TELEMETRY_SOURCES, createTelemetry, applyTelemetry } from './telemetry.js';
+
+export const RELAY_URL = '/relay';
+
+/**
+ * Events emitted by TelemetrySubscriber
+ *
+ * snapshot   { room, ergs, now } on connecting and after every reconnect
+ * telemetry  { room, erg, athlete, telemetry, updated_at, received_at } for each update
+ * leave      { room, erg } when an erg leaves the room
+ * error      { error } when the event stream drops; it reconnects by itself
+ *
+ * updated_at and now are server clock times. The subscriber stamps every
+ * entry with received_at, the local time it arrived (snapshot entries are
+ * backdated by their age on the server), so staleness can be judged without
+ * the two clocks agreeing.
+ *
+ * TelemetryPublisher emits error { error } when a publish fails; only the first
+ * failure of an outage is logged.
+ */
+export const RELAY_EVENTS = {
+    SNAPSHOT: 'snapshot',
+    TELEMETRY: 'telemetry',
+    LEAVE: 'leave',
+    ERROR: 'error'
+};
+
+/**
+ * Turn a device name or seat label into a relay room / erg ID
+ */
+export function relayId(text) {
+    return String(text).trim().replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+}
+
+/**
+ * Publishes one PM5Device's telemetry to a relay room
+ *
+ * Updates are batched: the latest telemetry is sent at most once per
+ * interval, and only when it changed. A publish still in flight is never
+ * overlapped, so a slow link drops intermediate values instead of queueing them.
+ *
+ * Example:
+ *   const publisher = new TelemetryPublisher({ room: 'erg-room', erg: 'seat-1', athlete: 'Alex' }).attach(pm5);
+ *   ...
+ *   await publisher.close();
+ */
+export class TelemetryPublisher extends PM5EventTarget {
+    /**
+     * @param {Object} options
+     * @param {string} options.room - Room ID
+     * @param {string} options.erg - Erg ID, unique within the room
+     * @param {string} options.athlete - Athlete name shown to subscribers
+     * @param {string} options.url - Relay base URL (default '/relay')
+     * @param {number} options.interval - Minimum ms between publishes (default 500)
+     * @param {Function} options.fetch - fetch implementation (default globalThis.fetch)
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.room || !options.erg) {
+            throw new Error('TelemetryPublisher needs a room and an erg ID');
+        }
+
+        this.url = `${(options.url || RELAY_URL).replace(/\/+$/, '')}/${encodeURIComponent(options.room)}/${encodeURIComponent(options.erg)}`;
+        this.room = options.room;
+        this.erg = options.erg;
+        this.athlete = options.athlete || '';
+        this.interval = options.interval || 500;
+        this.fetch = options.fetch || globalThis.fetch.bind(globalThis);
+
+        this.telemetry = createTelemetry();
+        this.changed = false;
+        this.inFlight = null;
+        this.timer = null;
+        // Set while publishes fail, so an outage is logged once
+        this.failing = false;
+
+        this.device = null;
+        this.deviceListener = null;
+    }
+
+    /**
+     * Listen to a PM5Device's rowing data events and start publishing
+     */
+    attach(device) {
+        this.detach();
+
+        this.device = device;
+        this.deviceListener = (data) => this.update(data);
+        for (const type of TELEMETRY_SOURCES) {
+            device.on(type, this.deviceListener);
+        }
+
+        this.timer = setInterval(() => this.publish(), this.interval);
+        return this;
+    }
+
+    detach() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (!this.device) {
+            return;
+        }
+
+        for (const type of TELEMETRY_SOURCES) {
+            this.device.off(type, this.deviceListener);
+        }
+        this.device = null;
+        this.deviceListener = null;
+    }
+
+    /**
+     * Merge one parsed record into the telemetry to publish
+     */
+    update(data) {
+        if (applyTelemetry(this.telemetry, data)) {
+            this.changed = true;
+        }
+    }
+
+    /**
+     * Send the latest telemetry if it changed since the last publish
+     */
+    async publish() {
+        if (!this.changed || this.inFlight) {
+            return;
+        }
+
+        this.changed = false;
+        this.inFlight = this.send('POST', { athlete: this.athlete, telemetry: this.telemetry });
+        try {
+            await this.inFlight;
+        } finally {
+            this.inFlight = null;
+        }
+    }
+
+    /**
+     * Stop publishing and remove the erg from the room
+     */
+    async close() {
+        this.detach();
+        if (this.inFlight) {
+            await this.inFlight;
+        }
+        await this.send('DELETE');
+    }
+
+    async send(method, body = undefined) {
+        try {
+            const response = await this.fetch(this.url, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+            if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+                throw new Error(`Relay ${method} ${this.url} failed: ${response.status}`);
+            }
+            this.failing = false;
+        } catch (error) {
+            if (!this.failing) {
+                console.warn('Telemetry relay:', error.message);
+                this.failing = true;
+            }
+            this.emit(RELAY_EVENTS.ERROR, { error });
+        }
+    }
+}
+
+/**
+ * Follows a relay room over server-sent events
+ * this.ergs holds the current entry for every erg in the room, keyed by erg ID.
+ *
+ * Example:
+ *   const subscriber = new TelemetrySubscriber({ room: 'erg-room' }).connect();
+ *   subscriber.on('telemetry', ({ erg, telemetry }) => console.log(erg, telemetry.distance));
+ */
+export class TelemetrySubscriber extends PM5EventTarget {
+    /**
+     * @param {Object} options
+     * @param {string} options.room - Room ID
+     * @param {string} options.erg - Only follow this erg (default: the whole room)
+     * @param {string} options.url - Relay base URL (default '/relay')
+     * @param {Function} options.EventSource - EventSource implementation (default globalThis.EventSource)
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.room) {
+            throw new Error('TelemetrySubscriber needs a room ID');
+        }
+
+        this.room = options.room;
+        this.erg = options.erg || null;
+        this.url = `${(options.url || RELAY_URL).replace(/\/+$/, '')}/${encodeURIComponent(this.room)}/events`
+            + (this.erg ? `?erg=${encodeURIComponent(this.erg)}` : '');
+        this.EventSource = options.EventSource || globalThis.EventSource;
+
+        this.ergs = new Map();
+        this.source = null;
+    }
+
+    connect() {
+        this.close();
+
+        this.source = new this.EventSource(this.url);
+
+        this.source.addEventListener(RELAY_EVENTS.SNAPSHOT, (event) => {
+            const snapshot = JSON.parse(event.data);
+            // Backdate each entry by its age on the server
+            const receivedAt = Date.now();
+            for (const entry of snapshot.ergs) {
+                entry.received_at = receivedAt - Math.max(0, snapshot.now - entry.updated_at);
+            }
+            this.ergs = new Map(snapshot.ergs.map(entry => [entry.erg, entry]));
+            this.emit(RELAY_EVENTS.SNAPSHOT, snapshot);
+        });
+
+        this.source.addEventListener(RELAY_EVENTS.TELEMETRY, (event) => {
+            const entry = JSON.parse(event.data);
+            entry.received_at = Date.now();
+            this.ergs.set(entry.erg, entry);
+            this.emit(RELAY_EVENTS.TELEMETRY, entry);
+        });
+
+        this.source.addEventListener(RELAY_EVENTS.LEAVE, (event) => {
+            const leave = JSON.parse(event.data);
+            this.ergs.delete(leave.erg);
+            this.emit(RELAY_EVENTS.LEAVE, leave);
+        });
+
+        this.source.addEventListener('error', () => {
+            this.emit(RELAY_EVENTS.ERROR, { error: new Error(`Lost the relay stream for room ${this.room} - reconnecting`) });
+        });
+
+        return this;
+    }
+
+    close() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+}
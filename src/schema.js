@@ -0,0 +1,343 @@
+/**
+ * Telemetry schema for the PM5 rowing characteristics
+ * Parsers and encoders are generated from these descriptions, and the UI uses
+ * them for labels and units.
+ *
+ * Each record has:
+ *   id        Multiplexed ID byte (also the last byte of the characteristic UUID)
+ *   label     Human readable name
+ *   length    Record length in bytes, excluding the multiplexed ID
+ *   fields    [{ name, offset, width, scale, unit, label, min, max, invalid, values, optional, type }]
+ *   multiplexed  { length, fields } layout on the multiplexed characteristic, for
+ *             records that do not fit in a 20-byte notification behind the ID byte
+ *
+ * A field's value is the little-endian unsigned integer of `width` bytes at
+ * `offset`, multiplied by `scale`, in `unit`. Values outside min/max are
+ * flagged by the parser; `invalid` is the value the PM sends when a reading
+ * is not available (e.g. no heart rate belt) and is not flagged. `values` names
+ * the constants table for enumerated fields, and `optional` fields are only
+ * present when the record is long enough. type 'hex' reads the bytes as a hex string.
+ */
+
+import {
+    WORKOUT_TYPES,
+    INTERVAL_TYPES,
+    WORKOUT_STATES,
+    ROWING_STATES,
+    STROKE_STATES,
+    WORKOUT_DURATION_TYPES,
+    ERG_MACHINE_TYPES
+} from './constants.js';
+
+// Ranges shared by several records
+const STROKE_RATE = { unit: 'spm', min: 0, max: 80 };
+const HEART_RATE = { unit: 'bpm', min: 0, max: 250, invalid: 255 };
+const POWER = { unit: 'W', min: 0, max: 2000 };
+
+export const TELEMETRY_SCHEMA = {
+    general_status: {
+        id: 0x31,
+        label: 'General Status',
+        length: 19,
+        fields: [
+            { name: 'elapsed_time', offset: 0, width: 3, scale: 0.01, unit: 's', label: 'Elapsed Time' },
+            { name: 'distance', offset: 3, width: 3, scale: 0.1, unit: 'm', label: 'Distance' },
+            { name: 'workout_type', offset: 6, width: 1, label: 'Workout Type', values: WORKOUT_TYPES, min: 0, max: 12 },
+            { name: 'interval_type', offset: 7, width: 1, label: 'Interval Type', values: INTERVAL_TYPES },
+            { name: 'workout_state', offset: 8, width: 1, label: 'Workout State', values: WORKOUT_STATES, min: 0, max: 13 },
+            { name: 'rowing_state', offset: 9, width: 1, label: 'Rowing State', values: ROWING_STATES, min: 0, max: 1 },
+            { name: 'stroke_state', offset: 10, width: 1, label: 'Stroke State', values: STROKE_STATES, min: 0, max: 4 },
+            { name: 'total_work_distance', offset: 11, width: 3, unit: 'm', label: 'Total Work Distance' },
+            // Unit depends on workout_duration_type, see workoutDuration()
+            { name: 'workout_duration', offset: 14, width: 3, unit: null, label: 'Workout Duration' },
+            { name: 'workout_duration_type', offset: 17, width: 1, label: 'Workout Duration Type', values: WORKOUT_DURATION_TYPES },
+            { name: 'drag_factor', offset: 18, width: 1, label: 'Drag Factor' }
+        ]
+    },
+
+    additional_status: {
+        id: 0x32,
+        label: 'Additional Status',
+        length: 16,
+        fields: [
+            { name: 'elapsed_time', offset: 0, width: 3, scale: 0.01, unit: 's', label: 'Elapsed Time' },
+            { name: 'speed', offset: 3, width: 2, scale: 0.001, unit: 'm/s', label: 'Speed', min: 0, max: 10 },
+            { name: 'stroke_rate', offset: 5, width: 1, label: 'Stroke Rate', ...STROKE_RATE },
+            { name: 'heart_rate', offset: 6, width: 1, label: 'Heart Rate', ...HEART_RATE },
+            { name: 'current_pace', offset: 7, width: 2, scale: 0.01, unit: 's/500m', label: 'Current Pace' },
+            { name: 'average_pace', offset: 9, width: 2, scale: 0.01, unit: 's/500m', label: 'Average Pace' },
+            { name: 'rest_distance', offset: 11, width: 2, unit: 'm', label: 'Rest Distance' },
+            { name: 'rest_time', offset: 13, width: 3, scale: 0.01, unit: 's', label: 'Rest Time' }
+        ]
+    },
+
+    additional_status_2: {
+        id: 0x33,
+        label: 'Additional Status 2',
+        length: 20,
+        fields: [
+            { name: 'elapsed_time', offset: 0, width: 3, scale: 0.01, unit: 's', label: 'Elapsed Time' },
+            { name: 'interval_count', offset: 3, width: 1, label: 'Interval Count' },
+            { name: 'average_power', offset: 4, width: 2, label: 'Average Power', ...POWER },
+            { name: 'total_calories', offset: 6, width: 2, unit: 'kcal', label: 'Total Calories' },
+            { name: 'split_average_pace', offset: 8, width: 2, scale: 0.01, unit: 's/500m', label: 'Split Avg Pace' },
+            { name: 'split_average_power', offset: 10, width: 2, label: 'Split Avg Power', ...POWER },
+            { name: 'split_average_calories', offset: 12, width: 2, unit: 'kcal/hr', label: 'Split Avg Calories' },
+            { name: 'last_split_time', offset: 14, width: 3, scale: 0.1, unit: 's', label: 'Last Split Time' },
+            { name: 'last_split_distance', offset: 17, width: 3, unit: 'm', label: 'Last Split Distance' }
+        ],
+        // Last split distance does not fit when multiplexed
+        multiplexed: {
+            length: 17,
+            fields: [
+                { name: 'elapsed_time', offset: 0, width: 3, scale: 0.01, unit: 's', label: 'Elapsed Time' },
+                { name: 'interval_count', offset: 3, width: 1, label: 'Interval Count' },
+                { name: 'average_power', offset: 4, width: 2, label: 'Average Power', ...POWER },
+                { name: 'total_calories', offset: 6, width: 2, unit: 'kcal', label: 'Total Calories' },
+                { name: 'split_average_pace', offset: 8, width: 2, scale: 0.01, unit: 's/500m', label: 'Split Avg Pace' },
+                { name: 'split_average_power', offset: 10, width: 2, label: 'Split Avg Power', ...POWER },
+                { name: 'split_average_calories', offset: 12, width: 2, unit: 'kcal/hr', label: 'Split Avg Calories' },
+                { name: 'last_split_time', offset: 14, width: 3, scale: 0.1, unit: 's', label: 'Last Split Time' }
+            ]
+        }
+    },
+
+    stroke_data: {
+        id: 0x35,
+        label: 'Stroke Data',
+        length: 20,
+        fields: [
+            { name: 'elapsed_time', offset: 0, width: 3, scale: 0.01, unit: 's', label: 'Elapsed Time' },
+            { name: 'distance', offset: 3, width: 3, scale: 0.1, unit: 'm', label: 'Distance' },
+            { name: 'drive_length', offset: 6, width: 1, scale: 0.01, unit: 'm', label: 'Drive Length', min: 0, max: 2.5 },
+            { name: 'drive_time', offset: 7, width: 1, scale: 0.01, unit: 's', label: 'Drive Time' },
+            { name: 'stroke_recovery_time', offset: 8, width: 2, scale: 0.01, unit: 's', label: 'Recovery Time' },
+            { name: 'stroke_distance', offset: 10, width: 2, scale: 0.01, unit: 'm', label: 'Stroke Distance', min: 0, max: 20 },
+            { name: 'peak_drive_force', offset: 12, width: 2, scale: 0.1, unit: 'lbf', label: 'Peak Drive Force' },
+            { name: 'average_drive_force', offset: 14, width: 2, scale: 0.1, unit: 'lbf', label: 'Avg Drive Force' },
+            { name: 'work_per_stroke', offset: 16, width: 2, scale: 0.1, unit: 'J', label: 'Work per Stroke' },
+            { name: 'stroke_count', offset: 18, width: 2, label: 'Stroke Count' }
+        ],
+        // Work per stroke moves to additional stroke data when multiplexed
+        multiplexed: {
+            length: 18,
+            fields: [
+                { name: 'elapsed_time', offset: 0, width: 3, scale: 0.01, unit: 's', label: 'Elapsed Time' },
+                { name: 'distance', offset: 3, width: 3, scale: 0.1, unit: 'm', label: 'Distance' },
+                { name: 'drive_length', offset: 6, width: 1, scale: 0.01, unit: 'm', label: 'Drive Length', min: 0, max: 2.5 },
+                { name: 'drive_time', offset: 7, width: 1, scale: 0.01, unit: 's', label: 'Drive Time' },
+                { name: 'stroke_recovery_time', offset: 8, width: 2, scale: 0.01, unit: 's', label: 'Recovery Time' },
+                { name: 'stroke_distance', offset: 10, width: 2, scale: 0.01, unit: 'm', label: 'Stroke Distance', min: 0, max: 20 },
+                { name: 'peak_drive_force', offset: 12, width: 2, scale: 0.1, unit: 'lbf', label: 'Peak Drive Force' },
+                { name: 'average_drive_force', offset: 14, width: 2, scale: 0.1, unit: 'lbf', label: 'Avg Drive Force' },
+                { name: 'stroke_count', offset: 16, width: 2, label: 'Stroke Count' }
+            ]
+        }
+    },
+
+    additional_stroke_data: {
+        id: 0x36,
+        label: 'Additional Stroke Data',
+        length: 15,
+        fields: [
+            { name: 'elapsed_time', offset: 0, width: 3, scale: 0.01, unit: 's', label: 'Elapsed Time' },
+            { name: 'stroke_power', offset: 3, width: 2, label: 'Stroke Power', ...POWER },
+            { name: 'stroke_calories', offset: 5, width: 2, unit: 'kcal/hr', label: 'Stroke Calories' },
+            { name: 'stroke_count', offset: 7, width: 2, label: 'Stroke Count' },
+            { name: 'projected_work_time', offset: 9, width: 3, unit: 's', label: 'Projected Time' },
+            { name: 'projected_work_distance', offset: 12, width: 3, unit: 'm', label: 'Projected Distance' },
+            // Only sent by firmware with the 17-byte record; always there when multiplexed
+            { name: 'work_per_stroke', offset: 15, width: 2, scale: 0.1, unit: 'J', label: 'Work per Stroke', optional: true }
+        ]
+    },
+
+    split_data: {
+        id: 0x37,
+        label: 'Split Data',
+        length: 18,
+        fields: [
+            { name: 'elapsed_time', offset: 0, width: 3, scale: 0.01, unit: 's', label: 'Elapsed Time' },
+            { name: 'distance', offset: 3, width: 3, scale: 0.1, unit: 'm', label: 'Distance' },
+            { name: 'split_time', offset: 6, width: 3, scale: 0.1, unit: 's', label: 'Split Time' },
+            // Whole meters on the wire, as last_split_distance
+            { name: 'split_distance', offset: 9, width: 3, unit: 'm', label: 'Split Distance' },
+            // Whole seconds on the wire, unlike the other times
+            { name: 'rest_time', offset: 12, width: 2, unit: 's', label: 'Rest Time' },
+            { name: 'rest_distance', offset: 14, width: 2, unit: 'm', label: 'Rest Distance' },
+            { name: 'split_type', offset: 16, width: 1, label: 'Split Type', values: INTERVAL_TYPES },
+            { name: 'split_number', offset: 17, width: 1, label: 'Split Number' }
+        ]
+    },
+
+    additional_split_data: {
+        id: 0x38,
+        label: 'Additional Split Data',
+        length: 18,
+        fields: [
+            { name: 'elapsed_time', offset: 0, width: 3, scale: 0.01, unit: 's', label: 'Elapsed Time' },
+            { name: 'split_average_stroke_rate', offset: 3, width: 1, label: 'Avg Stroke Rate', ...STROKE_RATE },
+            { name: 'split_work_heart_rate', offset: 4, width: 1, label: 'Work Heart Rate', ...HEART_RATE },
+            { name: 'split_rest_heart_rate', offset: 5, width: 1, label: 'Rest Heart Rate', ...HEART_RATE },
+            { name: 'split_average_pace', offset: 6, width: 2, scale: 0.1, unit: 's/500m', label: 'Avg Pace' },
+            { name: 'split_total_calories', offset: 8, width: 2, unit: 'kcal', label: 'Calories' },
+            { name: 'split_average_calories', offset: 10, width: 2, unit: 'kcal/hr', label: 'Avg Calories' },
+            { name: 'split_speed', offset: 12, width: 2, scale: 0.001, unit: 'm/s', label: 'Speed', min: 0, max: 10 },
+            { name: 'split_power', offset: 14, width: 2, label: 'Power', ...POWER },
+            { name: 'split_average_drag_factor', offset: 16, width: 1, label: 'Avg Drag Factor' },
+            { name: 'split_number', offset: 17, width: 1, label: 'Split Number' }
+        ]
+    },
+
+    end_of_workout_summary: {
+        id: 0x39,
+        label: 'End of Workout Summary',
+        length: 20,
+        fields: [
+            // Packed date and time, see logEntryToDate()
+            { name: 'log_entry_date', offset: 0, width: 2, label: 'Log Date' },
+            { name: 'log_entry_time', offset: 2, width: 2, label: 'Log Time' },
+            { name: 'elapsed_time', offset: 4, width: 3, scale: 0.01, unit: 's', label: 'Elapsed Time' },
+            { name: 'distance', offset: 7, width: 3, scale: 0.1, unit: 'm', label: 'Distance' },
+            { name: 'average_stroke_rate', offset: 10, width: 1, label: 'Avg Stroke Rate', ...STROKE_RATE },
+            { name: 'ending_heart_rate', offset: 11, width: 1, label: 'Ending Heart Rate', ...HEART_RATE },
+            { name: 'average_heart_rate', offset: 12, width: 1, label: 'Avg Heart Rate', ...HEART_RATE },
+            { name: 'min_heart_rate', offset: 13, width: 1, label: 'Min Heart Rate', ...HEART_RATE },
+            { name: 'max_heart_rate', offset: 14, width: 1, label: 'Max Heart Rate', ...HEART_RATE },
+            { name: 'drag_factor_average', offset: 15, width: 1, label: 'Avg Drag Factor' },
+            { name: 'recovery_heart_rate', offset: 16, width: 1, label: 'Recovery Heart Rate', ...HEART_RATE },
+            { name: 'workout_type', offset: 17, width: 1, label: 'Workout Type', values: WORKOUT_TYPES, min: 0, max: 12 },
+            { name: 'average_pace', offset: 18, width: 2, scale: 0.1, unit: 's/500m', label: 'Avg Pace' }
+        ],
+        // Average pace does not fit when multiplexed; it comes with additional end of workout summary 2
+        multiplexed: {
+            length: 18,
+            fields: [
+                { name: 'log_entry_date', offset: 0, width: 2, label: 'Log Date' },
+                { name: 'log_entry_time', offset: 2, width: 2, label: 'Log Time' },
+                { name: 'elapsed_time', offset: 4, width: 3, scale: 0.01, unit: 's', label: 'Elapsed Time' },
+                { name: 'distance', offset: 7, width: 3, scale: 0.1, unit: 'm', label: 'Distance' },
+                { name: 'average_stroke_rate', offset: 10, width: 1, label: 'Avg Stroke Rate', ...STROKE_RATE },
+                { name: 'ending_heart_rate', offset: 11, width: 1, label: 'Ending Heart Rate', ...HEART_RATE },
+                { name: 'average_heart_rate', offset: 12, width: 1, label: 'Avg Heart Rate', ...HEART_RATE },
+                { name: 'min_heart_rate', offset: 13, width: 1, label: 'Min Heart Rate', ...HEART_RATE },
+                { name: 'max_heart_rate', offset: 14, width: 1, label: 'Max Heart Rate', ...HEART_RATE },
+                { name: 'drag_factor_average', offset: 15, width: 1, label: 'Avg Drag Factor' },
+                { name: 'recovery_heart_rate', offset: 16, width: 1, label: 'Recovery Heart Rate', ...HEART_RATE },
+                { name: 'workout_type', offset: 17, width: 1, label: 'Workout Type', values: WORKOUT_TYPES, min: 0, max: 12 }
+            ]
+        }
+    },
+
+    additional_end_of_workout_summary: {
+        id: 0x3A,
+        label: 'Additional End of Workout Summary',
+        length: 19,
+        fields: [
+            { name: 'log_entry_date', offset: 0, width: 2, label: 'Log Date' },
+            { name: 'log_entry_time', offset: 2, width: 2, label: 'Log Time' },
+            { name: 'split_interval_type', offset: 4, width: 1, label: 'Split Type', values: INTERVAL_TYPES },
+            // Meters or seconds, depending on split_interval_type
+            { name: 'split_interval_size', offset: 5, width: 2, unit: null, label: 'Split Size' },
+            { name: 'split_interval_count', offset: 7, width: 1, label: 'Split Count' },
+            { name: 'total_calories', offset: 8, width: 2, unit: 'kcal', label: 'Total Calories' },
+            { name: 'watts', offset: 10, width: 2, label: 'Avg Power', ...POWER },
+            { name: 'total_rest_distance', offset: 12, width: 3, unit: 'm', label: 'Total Rest Distance' },
+            { name: 'interval_rest_time', offset: 15, width: 2, unit: 's', label: 'Interval Rest Time' },
+            { name: 'average_calories', offset: 17, width: 2, unit: 'kcal/hr', label: 'Avg Calories' }
+        ]
+    },
+
+    heart_rate_belt_information: {
+        id: 0x3B,
+        label: 'Heart Rate Belt Information',
+        length: 6,
+        fields: [
+            { name: 'manufacturer_id', offset: 0, width: 1, label: 'Manufacturer ID' },
+            { name: 'device_type', offset: 1, width: 1, label: 'Device Type' },
+            { name: 'belt_id', offset: 2, width: 4, label: 'Belt ID' }
+        ]
+    },
+
+    additional_end_of_workout_summary_2: {
+        id: 0x3C,
+        label: 'Additional End of Workout Summary 2',
+        length: 10,
+        fields: [
+            { name: 'log_entry_date', offset: 0, width: 2, label: 'Log Date' },
+            { name: 'log_entry_time', offset: 2, width: 2, label: 'Log Time' },
+            { name: 'average_pace', offset: 4, width: 2, scale: 0.1, unit: 's/500m', label: 'Avg Pace' },
+            { name: 'game_identifier', offset: 6, width: 1, label: 'Game' },
+            { name: 'game_score', offset: 7, width: 2, label: 'Game Score' },
+            { name: 'erg_machine_type', offset: 9, width: 1, label: 'Machine Type', values: ERG_MACHINE_TYPES }
+        ]
+    },
+
+    // Variable length: a header byte, a sequence number and up to 15 force points.
+    // The fields are listed for labels; parseForceCurveData() is written by hand.
+    force_curve_data: {
+        id: 0x3D,
+        label: 'Force Curve Data',
+        length: 2,
+        custom: true,
+        fields: [
+            { name: 'packet_count', label: 'Packet Count' },
+            { name: 'point_count', label: 'Point Count' },
+            { name: 'sequence_number', label: 'Sequence Number' },
+            { name: 'forces', unit: 'lbf', label: 'Forces' }
+        ]
+    },
+
+    logged_workout_data: {
+        id: 0x3F,
+        label: 'Logged Workout Data',
+        length: 12,
+        fields: [
+            { name: 'logged_workout_hash', offset: 0, width: 8, type: 'hex', label: 'Workout Hash' },
+            { name: 'internal_log_address', offset: 8, width: 4, label: 'Log Address' }
+        ]
+    }
+};
+
+/**
+ * Look up a field's schema, e.g. getFieldSchema('stroke_data', 'drive_length')
+ */
+export function getFieldSchema(type, name) {
+    const record = TELEMETRY_SCHEMA[type];
+    return record ? (record.fields.find(field => field.name === name) || null) : null;
+}
+
+/**
+ * A record's { length, fields } on the direct characteristic, or on the multiplexed one
+ */
+export function recordLayout(record, isMultiplexed = false) {
+    return (isMultiplexed && record.multiplexed) || record;
+}
+
+/**
+ * True when a value lies outside the field's valid range
+ */
+export function isOutOfRange(field, value) {
+    if (field.invalid !== undefined && value === field.invalid) {
+        return false;
+    }
+    return (field.min !== undefined && value < field.min) ||
+           (field.max !== undefined && value > field.max);
+}
+
+/**
+ * General status workout_duration converted to a value and unit using workout_duration_type
+ */
+export function workoutDuration(status) {
+    switch (status.workout_duration_type) {
+        case WORKOUT_DURATION_TYPES.TIME:
+            return { value: status.workout_duration * 0.01, unit: 's' };
+        case WORKOUT_DURATION_TYPES.DISTANCE:
+            return { value: status.workout_duration, unit: 'm' };
+        case WORKOUT_DURATION_TYPES.CALORIES:
+            return { value: status.workout_duration, unit: 'kcal' };
+        case WORKOUT_DURATION_TYPES.WATTS:
+            return { value: status.workout_duration, unit: 'W·min' };
+        default:
+            return { value: status.workout_duration, unit: null };
+    }
+}
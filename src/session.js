@@ -0,0 +1,453 @@
+/**
+ * Workout session timeline
+ * Status, stroke and split notifications arrive separately, each with its own
+ * elapsed_time, and the PM5 restarts elapsed time and distance at the start of
+ * every interval. WorkoutSession puts them on one session clock and merges them
+ * into ordered per-stroke records and a fixed-rate time series.
+ */
+
+import { PM5EventTarget } from './events.js';
+import { PM5_EVENTS } from './device.js';
+import { WORKOUT_STATES } from './constants.js';
+import { getFieldSchema } from './schema.js';
+
+export const SESSION_EVENTS = {
+    STROKE: 'stroke',
+    SPLIT: 'split',
+    SAMPLE: 'sample',
+    INTERVAL: 'interval'
+};
+
+// Device events the session is built from
+const SESSION_SOURCES = [
+    PM5_EVENTS.GENERAL_STATUS,
+    PM5_EVENTS.ADDITIONAL_STATUS,
+    PM5_EVENTS.ADDITIONAL_STATUS_2,
+    PM5_EVENTS.STROKE,
+    PM5_EVENTS.ADDITIONAL_STROKE,
+    PM5_EVENTS.SPLIT,
+    PM5_EVENTS.ADDITIONAL_SPLIT
+];
+
+const NO_HEART_RATE = getFieldSchema('additional_status', 'heart_rate').invalid;
+
+/**
+ * @typedef {Object} StrokeRecord
+ * @property {number} time - Session seconds at the end of the stroke
+ * @property {number} interval - Interval number, as interval_count in additional status 2
+ * @property {number} stroke_count - Stroke count within the interval
+ * @property {number} elapsed_time - Seconds into the interval
+ * @property {number|null} distance - Session meters
+ * @property {number|null} pace - Seconds per 500m
+ * @property {number|null} stroke_rate - Strokes per minute
+ * @property {number|null} heart_rate - Beats per minute, null without a belt
+ * @property {number|null} power - Watts
+ * @property {number|null} calories - kcal per hour
+ * @property {number|null} drive_length - Meters
+ * @property {number|null} drive_time - Seconds
+ * @property {number|null} stroke_recovery_time - Seconds
+ * @property {number|null} stroke_distance - Meters
+ * @property {number|null} peak_drive_force - Pounds-force
+ * @property {number|null} average_drive_force - Pounds-force
+ * @property {number|null} work_per_stroke - Joules
+ */
+
+/**
+ * @typedef {Object} SplitRecord
+ * Split data and additional split data fields for one split, plus:
+ * @property {number} time - Session seconds at the end of the split
+ * @property {number} interval - Interval number
+ */
+
+/**
+ * @typedef {Object} Sample
+ * @property {number} time - Session seconds
+ * @property {number} interval - Interval number
+ * @property {number} distance - Session meters
+ * @property {number|null} pace - Seconds per 500m
+ * @property {number|null} stroke_rate - Strokes per minute
+ * @property {number|null} heart_rate - Beats per minute
+ * @property {number|null} power - Watts of the latest stroke
+ * @property {number|null} workout_state - See WORKOUT_STATES
+ */
+
+/**
+ * Merges a PM5Device's rowing data into one session timeline
+ *
+ * Session time runs across intervals and includes rest: each interval starts
+ * where the previous one ended plus its rest time. A new interval is detected
+ * from interval_count in additional status 2, or from elapsed time jumping back
+ * by more than resetTolerance. Packets identical to the previous one of their
+ * type are dropped as duplicates, and packets older than the previous one of
+ * their type (or from the interval that just ended) are dropped as late.
+ *
+ * Strokes are emitted once both stroke data records have arrived, or when a
+ * later stroke shows the missing one is not coming. Samples are emitted every
+ * sampleInterval seconds of session time, carrying the latest status values.
+ *
+ * Example:
+ *   const session = new WorkoutSession().attach(pm5);
+ *   session.on(SESSION_EVENTS.STROKE, (stroke) => console.log(stroke.time, stroke.pace));
+ */
+export class WorkoutSession extends PM5EventTarget {
+    /**
+     * @param {Object} options
+     * @param {number} options.sampleInterval - Seconds between samples (default 1)
+     * @param {number} options.resetTolerance - Seconds elapsed time may run backwards before it counts as a new interval (default 5)
+     */
+    constructor(options = {}) {
+        super();
+        this.sampleInterval = options.sampleInterval || 1;
+        this.resetTolerance = options.resetTolerance || 5;
+
+        this.device = null;
+        this.deviceListener = null;
+
+        this.reset();
+    }
+
+    /**
+     * Listen to a PM5Device's rowing data events
+     */
+    attach(device) {
+        this.detach();
+
+        this.device = device;
+        this.deviceListener = (data) => this.add(data);
+        for (const type of SESSION_SOURCES) {
+            device.on(type, this.deviceListener);
+        }
+        return this;
+    }
+
+    detach() {
+        if (!this.device) {
+            return;
+        }
+
+        for (const type of SESSION_SOURCES) {
+            this.device.off(type, this.deviceListener);
+        }
+        this.device = null;
+        this.deviceListener = null;
+    }
+
+    /**
+     * Discard everything recorded so far
+     */
+    reset() {
+        /** @type {StrokeRecord[]} */
+        this.strokes = [];
+        /** @type {SplitRecord[]} */
+        this.splits = [];
+        /** @type {Sample[]} */
+        this.samples = [];
+
+        this.started = false;
+        // Wall clock time at session time 0
+        this.startedAt = null;
+        this.interval = 0;
+        // Session time and distance at the start of the current interval
+        this.intervalStart = { time: 0, distance: 0 };
+        this.previousIntervalEnd = null;
+        this.elapsed = 0;
+        this.intervalDistance = 0;
+        this.restTime = 0;
+
+        this.status = {
+            pace: null,
+            stroke_rate: null,
+            heart_rate: null,
+            power: null,
+            workout_state: null
+        };
+
+        // Data type -> last accepted record in the current interval
+        this.lastRecords = {};
+        // `${interval}:${number}` -> { record, types } for merging the two parts of each stroke and split
+        this.strokeEntries = new Map();
+        this.splitEntries = new Map();
+        // Entries not emitted yet
+        this.pendingStrokes = new Set();
+        this.pendingSplits = new Set();
+
+        this.nextSample = null;
+        this.dropped = { duplicate: 0, late: 0 };
+    }
+
+    /**
+     * Session seconds of the latest data
+     */
+    get time() {
+        return this.intervalStart.time + this.elapsed + this.restTime;
+    }
+
+    /**
+     * Session meters of the latest data
+     */
+    get distance() {
+        return this.intervalStart.distance + this.intervalDistance;
+    }
+
+    /**
+     * Add a parsed rowing data record (with its type)
+     * Returns false if it was dropped as a duplicate or late packet.
+     */
+    add(data) {
+        if (!this.accept(data)) {
+            return false;
+        }
+
+        switch (data.type) {
+            case 'general_status':
+                this.intervalDistance = Math.max(this.intervalDistance, data.distance);
+                this.status.workout_state = data.workout_state;
+                if (data.workout_state === WORKOUT_STATES.END_OF_WORKOUT) {
+                    this.flush();
+                }
+                this.sample();
+                break;
+            case 'additional_status':
+                this.status.pace = data.current_pace || null;
+                this.status.stroke_rate = data.stroke_rate || null;
+                this.status.heart_rate = (data.heart_rate && data.heart_rate !== NO_HEART_RATE) ? data.heart_rate : null;
+                if (this.status.workout_state === WORKOUT_STATES.INTERVAL_REST) {
+                    this.restTime = data.rest_time;
+                }
+                this.sample();
+                break;
+            case 'stroke_data':
+            case 'additional_stroke_data':
+                this.addStroke(data);
+                break;
+            case 'split_data':
+            case 'additional_split_data':
+                this.addSplit(data);
+                break;
+        }
+        return true;
+    }
+
+    /**
+     * Detect interval changes and filter out duplicate and late packets
+     */
+    accept(data) {
+        const previous = this.lastRecords[data.type];
+        if (previous && JSON.stringify(previous) === JSON.stringify(data)) {
+            this.dropped.duplicate++;
+            return false;
+        }
+
+        const elapsed = data.elapsed_time;
+
+        if (data.type === 'additional_status_2' && data.interval_count > this.interval) {
+            this.startInterval(data.interval_count);
+        } else if (elapsed < this.elapsed - this.resetTolerance) {
+            this.startInterval(this.interval + 1);
+        } else if (this.previousIntervalEnd !== null &&
+                   this.elapsed < this.resetTolerance &&
+                   elapsed > this.elapsed + this.resetTolerance &&
+                   elapsed <= this.previousIntervalEnd + this.resetTolerance) {
+            // Straggler from the interval that just ended
+            this.dropped.late++;
+            return false;
+        }
+
+        if (this.lastRecords[data.type] && elapsed < this.lastRecords[data.type].elapsed_time) {
+            this.dropped.late++;
+            return false;
+        }
+
+        if (!this.started) {
+            this.started = true;
+            this.startedAt = new Date(Date.now() - elapsed * 1000);
+        }
+        this.lastRecords[data.type] = data;
+        this.elapsed = Math.max(this.elapsed, elapsed);
+        return true;
+    }
+
+    startInterval(interval) {
+        this.flush();
+
+        if (this.started) {
+            this.intervalStart = { time: this.time, distance: this.distance };
+            this.previousIntervalEnd = this.elapsed;
+        }
+
+        this.interval = interval;
+        this.elapsed = 0;
+        this.intervalDistance = 0;
+        this.restTime = 0;
+        this.lastRecords = {};
+
+        if (this.started) {
+            this.emit(SESSION_EVENTS.INTERVAL, { interval, time: this.intervalStart.time });
+        }
+    }
+
+    addStroke(data) {
+        const key = `${this.interval}:${data.stroke_count}`;
+        let entry = this.strokeEntries.get(key);
+
+        if (entry && entry.types.has(data.type)) {
+            this.dropped.duplicate++;
+            return;
+        }
+
+        if (!entry) {
+            entry = {
+                record: {
+                    time: this.intervalStart.time + data.elapsed_time,
+                    interval: this.interval,
+                    stroke_count: data.stroke_count,
+                    elapsed_time: data.elapsed_time,
+                    distance: null,
+                    pace: this.status.pace,
+                    stroke_rate: this.status.stroke_rate,
+                    heart_rate: this.status.heart_rate,
+                    power: null,
+                    calories: null,
+                    drive_length: null,
+                    drive_time: null,
+                    stroke_recovery_time: null,
+                    stroke_distance: null,
+                    peak_drive_force: null,
+                    average_drive_force: null,
+                    work_per_stroke: null
+                },
+                types: new Set()
+            };
+            this.strokeEntries.set(key, entry);
+            this.pendingStrokes.add(entry);
+            insertByTime(this.strokes, entry.record);
+        }
+
+        const record = entry.record;
+        entry.types.add(data.type);
+
+        if (data.type === 'stroke_data') {
+            record.distance = this.intervalStart.distance + data.distance;
+            record.drive_length = data.drive_length;
+            record.drive_time = data.drive_time;
+            record.stroke_recovery_time = data.stroke_recovery_time;
+            record.stroke_distance = data.stroke_distance;
+            record.peak_drive_force = data.peak_drive_force;
+            record.average_drive_force = data.average_drive_force;
+            // Multiplexed stroke data leaves work per stroke to additional stroke data
+            if (data.work_per_stroke !== undefined) {
+                record.work_per_stroke = data.work_per_stroke;
+            }
+            this.intervalDistance = Math.max(this.intervalDistance, data.distance);
+        } else {
+            record.power = data.stroke_power;
+            record.calories = data.stroke_calories;
+            if (record.work_per_stroke === null && data.work_per_stroke !== undefined) {
+                record.work_per_stroke = data.work_per_stroke;
+            }
+            if (record === this.strokes[this.strokes.length - 1]) {
+                this.status.power = data.stroke_power;
+            }
+        }
+
+        // Earlier strokes still missing a part are emitted as they are; a part arriving
+        // later still updates the record in place
+        this.flushEntries(this.pendingStrokes, SESSION_EVENTS.STROKE, record.time);
+
+        if (entry.types.size === 2) {
+            this.emitEntry(this.pendingStrokes, entry, SESSION_EVENTS.STROKE);
+        }
+    }
+
+    addSplit(data) {
+        const key = `${this.interval}:${data.split_number}`;
+        let entry = this.splitEntries.get(key);
+
+        if (entry && entry.types.has(data.type)) {
+            this.dropped.duplicate++;
+            return;
+        }
+
+        if (!entry) {
+            entry = {
+                record: {
+                    time: this.intervalStart.time + data.elapsed_time,
+                    interval: this.interval
+                },
+                types: new Set()
+            };
+            this.splitEntries.set(key, entry);
+            this.pendingSplits.add(entry);
+            insertByTime(this.splits, entry.record);
+        }
+
+        const { type, elapsed_time, out_of_range, ...fields } = data;
+        Object.assign(entry.record, fields);
+        entry.types.add(type);
+
+        this.flushEntries(this.pendingSplits, SESSION_EVENTS.SPLIT, entry.record.time);
+
+        if (entry.types.size === 2) {
+            this.emitEntry(this.pendingSplits, entry, SESSION_EVENTS.SPLIT);
+        }
+    }
+
+    emitEntry(pending, entry, eventType) {
+        if (pending.delete(entry)) {
+            this.emit(eventType, entry.record);
+        }
+    }
+
+    /**
+     * Emit pending strokes or splits older than time
+     */
+    flushEntries(pending, eventType, time = Infinity) {
+        for (const entry of pending) {
+            if (entry.record.time < time) {
+                this.emitEntry(pending, entry, eventType);
+            }
+        }
+    }
+
+    /**
+     * Emit strokes and splits still waiting for their second record
+     * Called automatically at the end of each interval and of the workout.
+     */
+    flush() {
+        this.flushEntries(this.pendingStrokes, SESSION_EVENTS.STROKE);
+        this.flushEntries(this.pendingSplits, SESSION_EVENTS.SPLIT);
+    }
+
+    /**
+     * Emit samples up to the current session time
+     */
+    sample() {
+        const time = this.time;
+        if (this.nextSample === null) {
+            this.nextSample = Math.ceil(time / this.sampleInterval);
+        }
+
+        while (this.nextSample * this.sampleInterval <= time) {
+            const sample = {
+                time: this.nextSample * this.sampleInterval,
+                interval: this.interval,
+                distance: this.distance,
+                ...this.status
+            };
+            this.nextSample++;
+            this.samples.push(sample);
+            this.emit(SESSION_EVENTS.SAMPLE, sample);
+        }
+    }
+}
+
+/**
+ * Insert a record keeping the array ordered by time, for parts that arrive out of order
+ */
+function insertByTime(records, record) {
+    let index = records.length;
+    while (index > 0 && records[index - 1].time > record.time) {
+        index--;
+    }
+    records.splice(index, 0, record);
+}
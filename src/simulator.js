@@ -0,0 +1,1068 @@
+/**
+ * Simulated PM5 for development without an erg
+ * Implements the transport interface (see transport.js): rows a scripted workout,
+ * sends the rowing notifications a PM5 would and answers CSAFE commands on the
+ * control characteristics. Works in the browser and in Node.
+ *
+ * Example:
+ *   const pm5 = new PM5Device(new SimulatedPM5({ speed: 10 }));
+ *   await pm5.connect();
+ */
+
+import {
+    PM5_SERVICES,
+    DEVICE_INFO_CHARACTERISTICS,
+    CONTROL_CHARACTERISTICS,
+    ROWING_CHARACTERISTICS,
+    SAMPLE_RATES,
+    WORKOUT_STATES,
+    WORKOUT_TYPES,
+    INTERVAL_TYPES,
+    WORKOUT_DURATION_TYPES,
+    WORKOUT_SCREEN_VALUES,
+    RACE_OPERATION_TYPES,
+    ROWING_STATES,
+    STROKE_STATES,
+    CSAFE_COMMANDS,
+    CSAFE_PM_COMMANDS,
+    CSAFE_PREVIOUS_FRAME_STATUS,
+    CSAFE_STATE_MACHINE_STATES,
+    CSAFE_FRAME,
+    CSAFE_MAX_WRITE_LENGTH,
+    MAX_NOTIFICATION_LENGTH
+} from './constants.js';
+
+import { parseCsafeFrame, buildCsafeResponseFrame } from './csafe.js';
+
+import {
+    encodeGeneralStatus,
+    encodeAdditionalStatus,
+    encodeAdditionalStatus2,
+    encodeStrokeData,
+    encodeAdditionalStrokeData,
+    encodeForceCurveData,
+    encodeSplitIntervalData,
+    encodeAdditionalSplitIntervalData,
+    encodeEndOfWorkoutSummary,
+    encodeAdditionalEndOfWorkoutSummary,
+    encodeAdditionalEndOfWorkoutSummary2,
+    encodeLoggedWorkoutData,
+    encodeLoggedWorkoutRecord,
+    dateToLogEntry
+} from './encoders.js';
+
+// Simulation step, in seconds of rowing time
+const STEP = 0.1;
+
+// Force curve points per stroke, and per packet: a multiplexed notification has
+// room for 8 after the ID, header and sequence number bytes
+const FORCE_CURVE_POINTS = 32;
+const FORCE_CURVE_PACKET_POINTS = 8;
+
+// Address of the first record in the simulated internal log
+const LOG_START_ADDRESS = 0x1000;
+
+// General status period in seconds for each SAMPLE_RATES value
+const SAMPLE_PERIODS = {
+    [SAMPLE_RATES['1s']]: 1,
+    [SAMPLE_RATES['500ms']]: 0.5,
+    [SAMPLE_RATES['250ms']]: 0.25,
+    [SAMPLE_RATES['100ms']]: 0.1
+};
+
+const INTERVAL_WORKOUT_TYPES = new Set([
+    WORKOUT_TYPES.FIXED_TIME_INTERVAL,
+    WORKOUT_TYPES.FIXED_DIST_INTERVAL,
+    WORKOUT_TYPES.VARIABLE_INTERVAL,
+    WORKOUT_TYPES.VARIABLE_UNDEFINED_REST_INTERVAL,
+    WORKOUT_TYPES.FIXED_CALS_INTERVAL
+]);
+
+// Fixed interval workouts repeat until terminated
+const REPEATING_WORKOUT_TYPES = new Set([
+    WORKOUT_TYPES.FIXED_TIME_INTERVAL,
+    WORKOUT_TYPES.FIXED_DIST_INTERVAL,
+    WORKOUT_TYPES.FIXED_CALS_INTERVAL
+]);
+
+/**
+ * Default script: a steady state piece, two hard 500m intervals, rest between them
+ * Each interval may set its own pace (seconds per 500m) and stroke rate
+ */
+export const DEMO_WORKOUT = {
+    workoutType: WORKOUT_TYPES.VARIABLE_INTERVAL,
+    intervals: [
+        { time: 180, rest: 60, pace: 125, strokeRate: 20 },
+        { distance: 500, rest: 60, pace: 110, strokeRate: 28 },
+        { distance: 500, pace: 108, strokeRate: 30 }
+    ]
+};
+
+/**
+ * Power in watts for a pace in seconds per 500m (Concept2 formula)
+ */
+function paceToWatts(pace) {
+    return 2.8 / Math.pow(pace / 500, 3);
+}
+
+/**
+ * Calories per hour for a power in watts (Concept2 formula)
+ */
+function wattsToCaloriesPerHour(watts) {
+    return watts * 4 * 0.8604 + 300;
+}
+
+/**
+ * Interval type matching a { distance } / { time } / { calories } piece
+ */
+function pieceIntervalType(piece) {
+    if (piece.distance !== undefined) {
+        return INTERVAL_TYPES.DIST;
+    }
+    if (piece.calories !== undefined) {
+        return INTERVAL_TYPES.CALORIE;
+    }
+    return INTERVAL_TYPES.TIME;
+}
+
+function uint32BE(value) {
+    return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+export class SimulatedPM5 extends EventTarget {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Device name (default 'PM5 430000000 Row')
+     * @param {Object} options.workout - { workoutType, intervals } script, see DEMO_WORKOUT
+     * @param {number} options.speed - Simulation speed multiplier (default 1, real time)
+     * @param {number} options.startDelay - Seconds before the athlete starts rowing (default 3)
+     * @param {Object} options.athlete - Default { pace, strokeRate, heartRate, restHeartRate, dragFactor }
+     */
+    constructor(options = {}) {
+        super();
+        this.deviceName = options.name || 'PM5 430000000 Row';
+        this.speed = options.speed || 1;
+        this.startDelay = options.startDelay !== undefined ? options.startDelay : 3;
+        this.athlete = {
+            pace: 120,
+            strokeRate: 24,
+            heartRate: 155,
+            restHeartRate: 105,
+            dragFactor: 120,
+            ...options.athlete
+        };
+
+        this.isConnected = false;
+        this.timer = null;
+        // While holding, the athlete waits at the catch instead of starting after startDelay
+        this.holding = false;
+        this.sampleRate = SAMPLE_RATES['500ms'];
+        // Characteristic UUID -> Set of listeners
+        this.listeners = new Map();
+
+        this.heartRateBelt = new Uint8Array(6);
+        this.loggedWorkout = new Uint8Array(12);
+        // Internal log: records stored back to back from LOG_START_ADDRESS
+        this.logMemory = new Uint8Array(0);
+        this.logEntryCount = 0;
+        this.forceCurveSequence = 0;
+
+        // CSAFE state
+        this.txBuffer = [];
+        this.frameToggle = 0;
+        this.pendingConfig = null;
+
+        this.loadWorkout(options.workout || DEMO_WORKOUT);
+    }
+
+    get name() {
+        return this.deviceName;
+    }
+
+    get connected() {
+        return this.isConnected;
+    }
+
+    async connect() {
+        this.isConnected = true;
+        this.startTimer();
+    }
+
+    async disconnect() {
+        this.dropConnection();
+    }
+
+    /**
+     * Drop the link as if the erg went out of range; the workout keeps going
+     */
+    dropConnection() {
+        if (!this.isConnected) {
+            return;
+        }
+
+        this.isConnected = false;
+        this.stopTimer();
+        this.listeners.clear();
+        this.txBuffer = [];
+        this.dispatchEvent(new Event('disconnected'));
+    }
+
+    async readValue(serviceUuid, uuid) {
+        this.requireConnected();
+
+        const infoValues = {
+            [DEVICE_INFO_CHARACTERISTICS.MODEL]: 'PM5',
+            [DEVICE_INFO_CHARACTERISTICS.SERIAL_NUMBER]: '430000000',
+            [DEVICE_INFO_CHARACTERISTICS.HARDWARE_REVISION]: 'SIM',
+            [DEVICE_INFO_CHARACTERISTICS.FIRMWARE_VERSION]: 'SIM-1.0',
+            [DEVICE_INFO_CHARACTERISTICS.MANUFACTURER_NAME]: 'Concept2',
+            [DEVICE_INFO_CHARACTERISTICS.CONNECTED_MACHINE_TYPE]: 'Rower'
+        };
+
+        let bytes;
+        if (uuid in infoValues) {
+            bytes = new TextEncoder().encode(infoValues[uuid]);
+        } else if (uuid === ROWING_CHARACTERISTICS.GENERAL_STATUS_RATE) {
+            bytes = new Uint8Array([this.sampleRate]);
+        } else if (uuid === ROWING_CHARACTERISTICS.HEART_RATE_BELT_INFORMATION) {
+            bytes = this.heartRateBelt.slice();
+        } else if (uuid === ROWING_CHARACTERISTICS.LOGGED_WORKOUT_DATA) {
+            bytes = this.loggedWorkout.slice();
+        } else {
+            throw new Error(`Characteristic ${uuid} is not readable`);
+        }
+
+        return new DataView(bytes.buffer);
+    }
+
+    async writeValue(serviceUuid, uuid, bytes) {
+        this.requireConnected();
+        const data = Uint8Array.from(bytes);
+
+        if (uuid === ROWING_CHARACTERISTICS.GENERAL_STATUS_RATE) {
+            if (!(data[0] in SAMPLE_PERIODS)) {
+                throw new Error(`Invalid sample rate: ${data[0]}`);
+            }
+            this.sampleRate = data[0];
+        } else if (uuid === ROWING_CHARACTERISTICS.HEART_RATE_BELT_INFORMATION) {
+            this.heartRateBelt = data.slice(0, 6);
+        } else if (uuid === CONTROL_CHARACTERISTICS.TRANSMIT) {
+            this.handleTransmit(data);
+        } else {
+            throw new Error(`Characteristic ${uuid} is not writable`);
+        }
+    }
+
+    async startNotifications(serviceUuid, uuid, listener) {
+        this.requireConnected();
+        if (!this.listeners.has(uuid)) {
+            this.listeners.set(uuid, new Set());
+        }
+        this.listeners.get(uuid).add(listener);
+    }
+
+    async stopNotifications(serviceUuid, uuid, listener) {
+        const listeners = this.listeners.get(uuid);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    async getNotifyCharacteristics() {
+        const rowing = Object.values(ROWING_CHARACTERISTICS)
+            .filter(uuid => uuid !== ROWING_CHARACTERISTICS.GENERAL_STATUS_RATE)
+            .map(uuid => ({ uuid, serviceUuid: PM5_SERVICES.ROWING }));
+
+        return [
+            { uuid: CONTROL_CHARACTERISTICS.RECEIVE, serviceUuid: PM5_SERVICES.CONTROL },
+            ...rowing
+        ];
+    }
+
+    requireConnected() {
+        if (!this.isConnected) {
+            throw new Error('Simulated PM5 is not connected');
+        }
+    }
+
+    /**
+     * Send a rowing notification, and the same data in its multiplexed layout
+     * on the multiplexed characteristic
+     *
+     * @param {string} uuid
+     * @param {function(Object, boolean): Uint8Array} encode - Encoder from encoders.js
+     * @param {Object} data
+     */
+    notify(uuid, encode, data) {
+        this.send(uuid, encode(data));
+        if (this.listeners.has(ROWING_CHARACTERISTICS.MULTIPLEXED_INFORMATION)) {
+            this.send(ROWING_CHARACTERISTICS.MULTIPLEXED_INFORMATION, encode(data, true));
+        }
+    }
+
+    send(uuid, bytes) {
+        if (bytes.length > MAX_NOTIFICATION_LENGTH) {
+            throw new Error(`Notification on ${uuid} is ${bytes.length} bytes, more than a PM5 sends`);
+        }
+
+        const listeners = this.listeners.get(uuid);
+        if (!listeners) {
+            return;
+        }
+        for (const listener of listeners) {
+            listener(new DataView(bytes.slice().buffer));
+        }
+    }
+
+    startTimer() {
+        this.stopTimer();
+        this.timer = setInterval(() => this.step(), (STEP * 1000) / this.speed);
+    }
+
+    stopTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Load a workout script and wait startDelay seconds before rowing it
+     */
+    loadWorkout(workout) {
+        if (!workout.intervals || workout.intervals.length === 0) {
+            throw new Error('Simulated workout needs at least one interval');
+        }
+
+        this.workout = {
+            workoutType: workout.workoutType,
+            intervals: workout.intervals,
+            isInterval: INTERVAL_WORKOUT_TYPES.has(workout.workoutType),
+            repeat: REPEATING_WORKOUT_TYPES.has(workout.workoutType)
+        };
+
+        this.state = {
+            phase: 'waiting',
+            waitRemaining: this.startDelay,
+            intervalIndex: 0,
+            interval: this.workout.intervals[0],
+            elapsed: 0,
+            distance: 0,
+            intervalCalories: 0,
+            restElapsed: 0,
+            totalTime: 0,
+            totalDistance: 0,
+            totalWorkDistance: 0,
+            totalCalories: 0,
+            totalRest: 0,
+            strokeCount: 0,
+            totalStrokes: 0,
+            strokeClock: 0,
+            pace: this.athlete.pace,
+            heartRate: this.athlete.restHeartRate,
+            heartRates: { sum: 0, samples: 0, min: null, max: 0 },
+            splitNumber: 0,
+            split: null,
+            lastSplit: { time: 0, distance: 0 },
+            // Split and additional split data sent so far, for the log record
+            splits: [],
+            sinceStatus: 0
+        };
+        this.state.split = this.splitStart();
+    }
+
+    /**
+     * Stop the current workout; the monitor waits for a new one
+     */
+    terminateWorkout() {
+        this.state.phase = 'idle';
+    }
+
+    /**
+     * Keep the athlete waiting until startRowing() is called, e.g. for a race start
+     */
+    hold() {
+        this.holding = true;
+    }
+
+    /**
+     * Start rowing the loaded workout after delay seconds
+     */
+    startRowing(delay = 0) {
+        this.holding = false;
+        if (this.state.phase === 'waiting') {
+            this.state.waitRemaining = delay;
+        }
+    }
+
+    splitStart() {
+        return {
+            elapsed: this.state.elapsed,
+            distance: this.state.distance,
+            calories: this.state.intervalCalories,
+            strokes: this.state.strokeCount,
+            heartRateSum: 0,
+            samples: 0
+        };
+    }
+
+    /**
+     * Advance the simulation by one step
+     */
+    step() {
+        const state = this.state;
+
+        switch (state.phase) {
+            case 'waiting':
+                if (this.holding) {
+                    break;
+                }
+                state.waitRemaining -= STEP;
+                if (state.waitRemaining <= 0) {
+                    state.phase = 'work';
+                }
+                break;
+            case 'work':
+                this.stepWork();
+                break;
+            case 'rest':
+                this.stepRest();
+                break;
+        }
+
+        state.sinceStatus += STEP;
+        if (state.sinceStatus + 1e-9 >= SAMPLE_PERIODS[this.sampleRate]) {
+            state.sinceStatus = 0;
+            this.sendStatus();
+        }
+    }
+
+    stepWork() {
+        const state = this.state;
+        const interval = state.interval;
+        const basePace = interval.pace || this.athlete.pace;
+        const strokeRate = interval.strokeRate || this.athlete.strokeRate;
+
+        // Pace drifts a little from stroke to stroke
+        state.pace = basePace + 1.5 * Math.sin(state.totalStrokes / 3);
+        const speed = 500 / state.pace;
+        const calories = wattsToCaloriesPerHour(paceToWatts(state.pace)) * STEP / 3600;
+
+        state.elapsed += STEP;
+        state.distance += speed * STEP;
+        state.intervalCalories += calories;
+        state.totalTime += STEP;
+        state.totalDistance += speed * STEP;
+        state.totalCalories += calories;
+        this.updateHeartRate(interval.heartRate || this.athlete.heartRate);
+        state.split.heartRateSum += state.heartRate;
+        state.split.samples++;
+
+        state.strokeClock += STEP;
+        const strokePeriod = 60 / strokeRate;
+        if (state.strokeClock >= strokePeriod) {
+            state.strokeClock -= strokePeriod;
+            state.strokeCount++;
+            state.totalStrokes++;
+            this.sendStroke(strokePeriod, speed);
+        }
+
+        // Single pieces split every split size; intervals split once at the end of the work
+        if (!this.workout.isInterval && interval.split && this.pieceProgress(interval.split) >= state.splitNumber + 1) {
+            this.sendSplit();
+        }
+
+        if (this.pieceProgress(interval) >= 1) {
+            this.endInterval();
+        }
+    }
+
+    stepRest() {
+        const state = this.state;
+        state.restElapsed += STEP;
+        this.updateHeartRate(this.athlete.restHeartRate);
+
+        if (state.restElapsed >= (state.interval.rest || 0)) {
+            this.nextInterval();
+        }
+    }
+
+    updateHeartRate(target) {
+        const state = this.state;
+        state.heartRate += (target - state.heartRate) * STEP / 20;
+
+        const heartRates = state.heartRates;
+        heartRates.sum += state.heartRate;
+        heartRates.samples++;
+        heartRates.min = heartRates.min === null ? state.heartRate : Math.min(heartRates.min, state.heartRate);
+        heartRates.max = Math.max(heartRates.max, state.heartRate);
+    }
+
+    /**
+     * Fraction of a { distance } / { time } / { calories } piece completed in the current interval
+     */
+    pieceProgress(piece) {
+        const state = this.state;
+        if (piece.distance !== undefined) {
+            return state.distance / piece.distance;
+        }
+        if (piece.calories !== undefined) {
+            return state.intervalCalories / piece.calories;
+        }
+        return state.elapsed / piece.time;
+    }
+
+    endInterval() {
+        const state = this.state;
+
+        if (this.workout.isInterval || state.distance - state.split.distance > 0.5) {
+            this.sendSplit();
+        }
+        state.totalWorkDistance += state.distance;
+
+        if (this.workout.isInterval && state.interval.rest > 0) {
+            state.phase = 'rest';
+            state.restElapsed = 0;
+        } else {
+            this.nextInterval();
+        }
+    }
+
+    nextInterval() {
+        const state = this.state;
+        state.totalRest += state.restElapsed;
+        state.restElapsed = 0;
+
+        const intervals = this.workout.intervals;
+        if (state.intervalIndex + 1 >= intervals.length && !this.workout.repeat) {
+            this.finishWorkout();
+            return;
+        }
+
+        state.intervalIndex++;
+        state.interval = intervals[Math.min(state.intervalIndex, intervals.length - 1)];
+        state.elapsed = 0;
+        state.distance = 0;
+        state.intervalCalories = 0;
+        state.strokeCount = 0;
+        state.strokeClock = 0;
+        state.split = this.splitStart();
+        state.phase = 'work';
+    }
+
+    finishWorkout() {
+        this.state.phase = 'finished';
+        this.sendStatus();
+        this.sendSummary();
+    }
+
+    workoutState() {
+        switch (this.state.phase) {
+            case 'work':
+                return (this.workout.isInterval && this.state.interval.time !== undefined)
+                    ? WORKOUT_STATES.WORK_TIME_INTERVAL
+                    : WORKOUT_STATES.WORKOUT_ROW;
+            case 'rest':
+                return WORKOUT_STATES.INTERVAL_REST;
+            case 'finished':
+                return WORKOUT_STATES.END_OF_WORKOUT;
+            default:
+                return WORKOUT_STATES.WAITING_TO_BEGIN;
+        }
+    }
+
+    intervalType() {
+        if (!this.workout.isInterval) {
+            return INTERVAL_TYPES.NONE;
+        }
+        return this.state.phase === 'rest' ? INTERVAL_TYPES.REST : pieceIntervalType(this.state.interval);
+    }
+
+    /**
+     * Duration and duration type of the current piece, as reported in general status
+     */
+    workoutDuration() {
+        const interval = this.state.interval;
+        if (interval.distance !== undefined) {
+            return { type: WORKOUT_DURATION_TYPES.DISTANCE, value: interval.distance };
+        }
+        if (interval.calories !== undefined) {
+            return { type: WORKOUT_DURATION_TYPES.CALORIES, value: interval.calories };
+        }
+        return { type: WORKOUT_DURATION_TYPES.TIME, value: interval.time * 100 };
+    }
+
+    isRowing() {
+        return this.state.phase === 'work';
+    }
+
+    averagePace() {
+        const state = this.state;
+        return state.distance > 0 ? state.elapsed / state.distance * 500 : 0;
+    }
+
+    sendStatus() {
+        const state = this.state;
+        const rowing = this.isRowing();
+        const duration = this.workoutDuration();
+        const strokeRate = state.interval.strokeRate || this.athlete.strokeRate;
+        const driveTime = Math.min(0.9, 60 / strokeRate * 0.35);
+        const averagePace = this.averagePace();
+        const splitTime = state.elapsed - state.split.elapsed;
+        const splitDistance = state.distance - state.split.distance;
+        const splitPace = splitDistance > 0 ? splitTime / splitDistance * 500 : 0;
+        const splitWatts = splitPace > 0 ? paceToWatts(splitPace) : 0;
+
+        this.notify(ROWING_CHARACTERISTICS.GENERAL_STATUS, encodeGeneralStatus, {
+            elapsed_time: state.elapsed,
+            distance: state.distance,
+            workout_type: this.workout.workoutType,
+            interval_type: this.intervalType(),
+            workout_state: this.workoutState(),
+            rowing_state: rowing ? ROWING_STATES.ACTIVE : ROWING_STATES.INACTIVE,
+            stroke_state: !rowing
+                ? STROKE_STATES.WAITING_FOR_WHEEL_TO_REACH_MIN_SPEED
+                : (state.strokeClock < driveTime ? STROKE_STATES.DRIVING : STROKE_STATES.RECOVERING),
+            total_work_distance: state.totalWorkDistance + (rowing ? state.distance : 0),
+            workout_duration: duration.value,
+            workout_duration_type: duration.type,
+            drag_factor: this.athlete.dragFactor
+        });
+
+        this.notify(ROWING_CHARACTERISTICS.ADDITIONAL_STATUS, encodeAdditionalStatus, {
+            elapsed_time: state.elapsed,
+            speed: rowing ? 500 / state.pace : 0,
+            stroke_rate: rowing ? strokeRate : 0,
+            heart_rate: state.heartRate,
+            current_pace: rowing ? state.pace : 0,
+            average_pace: averagePace,
+            rest_distance: 0,
+            rest_time: state.restElapsed
+        });
+
+        this.notify(ROWING_CHARACTERISTICS.ADDITIONAL_STATUS_2, encodeAdditionalStatus2, {
+            elapsed_time: state.elapsed,
+            interval_count: state.intervalIndex,
+            average_power: averagePace > 0 ? paceToWatts(averagePace) : 0,
+            total_calories: state.totalCalories,
+            split_average_pace: splitPace,
+            split_average_power: splitWatts,
+            split_average_calories: splitWatts > 0 ? wattsToCaloriesPerHour(splitWatts) : 0,
+            last_split_time: state.lastSplit.time,
+            last_split_distance: state.lastSplit.distance
+        });
+    }
+
+    sendStroke(strokePeriod, speed) {
+        const state = this.state;
+        const watts = paceToWatts(state.pace);
+        const driveLength = 1.4;
+        const driveTime = Math.min(0.9, strokePeriod * 0.35);
+        const workPerStroke = watts * strokePeriod;
+        const averageForce = workPerStroke / driveLength;
+        const projection = this.projectWork(speed);
+
+        this.sendForceCurve(averageForce);
+
+        this.notify(ROWING_CHARACTERISTICS.STROKE_DATA, encodeStrokeData, {
+            elapsed_time: state.elapsed,
+            distance: state.distance,
+            drive_length: driveLength,
+            drive_time: driveTime,
+            stroke_recovery_time: strokePeriod - driveTime,
+            stroke_distance: speed * strokePeriod,
+            peak_drive_force: averageForce * 1.6,
+            average_drive_force: averageForce,
+            work_per_stroke: workPerStroke,
+            stroke_count: state.strokeCount
+        });
+
+        this.notify(ROWING_CHARACTERISTICS.ADDITIONAL_STROKE_DATA, encodeAdditionalStrokeData, {
+            elapsed_time: state.elapsed,
+            stroke_power: watts,
+            stroke_calories: wattsToCaloriesPerHour(watts),
+            stroke_count: state.strokeCount,
+            projected_work_time: projection.time,
+            projected_work_distance: projection.distance,
+            work_per_stroke: workPerStroke
+        });
+    }
+
+    /**
+     * Send the stroke's force curve as a burst of packets ahead of its stroke data
+     * A half sine with its peak drifting between strokes, scaled to the stroke's average force
+     */
+    sendForceCurve(averageForce) {
+        const strokes = this.state.totalStrokes;
+        const skew = 0.8 + 0.1 * Math.sin(strokes / 5);
+        const scale = averageForce * (Math.PI / 2) * (1 + 0.04 * Math.sin(strokes / 2));
+        const forces = [];
+        for (let i = 0; i < FORCE_CURVE_POINTS; i++) {
+            const x = Math.pow(i / (FORCE_CURVE_POINTS - 1), skew);
+            forces.push(Math.round(scale * Math.sin(Math.PI * x)));
+        }
+
+        const packetCount = Math.ceil(forces.length / FORCE_CURVE_PACKET_POINTS);
+        for (let packet = 0; packet < packetCount; packet++) {
+            this.notify(ROWING_CHARACTERISTICS.FORCE_CURVE_DATA, encodeForceCurveData, {
+                packet_count: packetCount,
+                sequence_number: this.forceCurveSequence,
+                forces: forces.slice(packet * FORCE_CURVE_PACKET_POINTS, (packet + 1) * FORCE_CURVE_PACKET_POINTS)
+            });
+            this.forceCurveSequence = (this.forceCurveSequence + 1) & 0xFF;
+        }
+    }
+
+    /**
+     * Projected finish time and distance for the current piece at the current speed
+     */
+    projectWork(speed) {
+        const state = this.state;
+        const interval = state.interval;
+
+        if (interval.distance !== undefined) {
+            return {
+                time: state.elapsed + Math.max(0, interval.distance - state.distance) / speed,
+                distance: interval.distance
+            };
+        }
+        if (interval.time !== undefined) {
+            return {
+                time: interval.time,
+                distance: state.distance + Math.max(0, interval.time - state.elapsed) * speed
+            };
+        }
+        return { time: 0, distance: 0 };
+    }
+
+    sendSplit() {
+        const state = this.state;
+        const split = state.split;
+        const time = state.elapsed - split.elapsed;
+        const distance = state.distance - split.distance;
+        const calories = state.intervalCalories - split.calories;
+        const pace = distance > 0 ? time / distance * 500 : 0;
+        const watts = pace > 0 ? paceToWatts(pace) : 0;
+
+        state.splitNumber++;
+        state.lastSplit = { time, distance };
+
+        const splitData = {
+            elapsed_time: state.elapsed,
+            distance: state.distance,
+            split_time: time,
+            split_distance: distance,
+            rest_time: this.workout.isInterval ? (state.interval.rest || 0) : 0,
+            rest_distance: 0,
+            split_type: pieceIntervalType(this.workout.isInterval ? state.interval : state.interval.split || state.interval),
+            split_number: state.splitNumber
+        };
+
+        const additionalSplitData = {
+            elapsed_time: state.elapsed,
+            split_average_stroke_rate: time > 0 ? (state.strokeCount - split.strokes) / time * 60 : 0,
+            split_work_heart_rate: split.samples > 0 ? split.heartRateSum / split.samples : 0,
+            split_rest_heart_rate: 0,
+            split_average_pace: pace,
+            split_total_calories: calories,
+            split_average_calories: time > 0 ? calories / time * 3600 : 0,
+            split_speed: time > 0 ? distance / time : 0,
+            split_power: watts,
+            split_average_drag_factor: this.athlete.dragFactor,
+            split_number: state.splitNumber
+        };
+
+        state.splits.push({ ...splitData, ...additionalSplitData });
+        this.notify(ROWING_CHARACTERISTICS.SPLIT_INTERVAL_DATA, encodeSplitIntervalData, splitData);
+        this.notify(ROWING_CHARACTERISTICS.ADDITIONAL_SPLIT_INTERVAL_DATA, encodeAdditionalSplitIntervalData, additionalSplitData);
+
+        state.split = this.splitStart();
+    }
+
+    sendSummary() {
+        const state = this.state;
+        const logEntry = dateToLogEntry(new Date());
+        const averagePace = state.totalDistance > 0 ? state.totalTime / state.totalDistance * 500 : 0;
+        const watts = averagePace > 0 ? paceToWatts(averagePace) : 0;
+        const heartRates = state.heartRates;
+        const firstInterval = this.workout.intervals[0];
+        const splitPiece = this.workout.isInterval ? firstInterval : (firstInterval.split || firstInterval);
+
+        const summary = {
+            ...logEntry,
+            elapsed_time: state.totalTime,
+            distance: state.totalDistance,
+            average_stroke_rate: state.totalTime > 0 ? state.totalStrokes / state.totalTime * 60 : 0,
+            ending_heart_rate: state.heartRate,
+            average_heart_rate: heartRates.samples > 0 ? heartRates.sum / heartRates.samples : 0,
+            min_heart_rate: heartRates.min || 0,
+            max_heart_rate: heartRates.max,
+            drag_factor_average: this.athlete.dragFactor,
+            recovery_heart_rate: 0,
+            workout_type: this.workout.workoutType,
+            average_pace: averagePace
+        };
+
+        const additional = {
+            ...logEntry,
+            split_interval_type: pieceIntervalType(splitPiece),
+            split_interval_size: splitPiece.distance !== undefined ? splitPiece.distance : (splitPiece.calories || splitPiece.time),
+            split_interval_count: state.splitNumber,
+            total_calories: state.totalCalories,
+            watts: watts,
+            total_rest_distance: 0,
+            interval_rest_time: state.totalRest,
+            average_calories: state.totalTime > 0 ? state.totalCalories / state.totalTime * 3600 : 0
+        };
+
+        const additional2 = {
+            ...logEntry,
+            average_pace: averagePace,
+            game_identifier: 0,
+            game_score: 0,
+            erg_machine_type: 0
+        };
+
+        // Append the workout to the internal log; the hash only needs to be unique
+        const loggedWorkout = {
+            logged_workout_hash: (Date.now() * 0x100 + (this.logEntryCount & 0xFF)).toString(16).padStart(16, '0'),
+            internal_log_address: LOG_START_ADDRESS + this.logMemory.length
+        };
+        const record = encodeLoggedWorkoutRecord({
+            ...loggedWorkout,
+            summary,
+            additional_summary: additional,
+            additional_summary_2: additional2,
+            splits: state.splits
+        });
+        this.logMemory = new Uint8Array([...this.logMemory, ...record]);
+        this.logEntryCount++;
+        this.loggedWorkout = encodeLoggedWorkoutData(loggedWorkout);
+
+        this.notify(ROWING_CHARACTERISTICS.END_OF_WORKOUT_SUMMARY_DATA, encodeEndOfWorkoutSummary, summary);
+        this.notify(ROWING_CHARACTERISTICS.ADDITIONAL_END_OF_WORKOUT_SUMMARY_DATA, encodeAdditionalEndOfWorkoutSummary, additional);
+        this.notify(ROWING_CHARACTERISTICS.ADDITIONAL_END_OF_WORKOUT_SUMMARY_DATA_2, encodeAdditionalEndOfWorkoutSummary2, additional2);
+        this.notify(ROWING_CHARACTERISTICS.LOGGED_WORKOUT_DATA, encodeLoggedWorkoutData, loggedWorkout);
+    }
+
+    /**
+     * Collect TX writes into frames and answer each complete frame on RX
+     */
+    handleTransmit(bytes) {
+        for (const byte of bytes) {
+            if (byte === CSAFE_FRAME.STANDARD_START) {
+                this.txBuffer = [];
+            }
+            this.txBuffer.push(byte);
+
+            if (byte === CSAFE_FRAME.STOP) {
+                const frame = this.txBuffer;
+                this.txBuffer = [];
+                this.respond(frame);
+            }
+        }
+    }
+
+    respond(frame) {
+        let frameStatus = CSAFE_PREVIOUS_FRAME_STATUS.OK;
+        const responses = [];
+
+        try {
+            for (const command of parseCsafeFrame(frame)) {
+                const response = this.handleCsafeCommand(command);
+                if (!response) {
+                    frameStatus = CSAFE_PREVIOUS_FRAME_STATUS.REJECT;
+                    break;
+                }
+                responses.push(response);
+            }
+        } catch (error) {
+            console.warn('Simulated PM5 received a bad CSAFE frame:', error.message);
+            frameStatus = CSAFE_PREVIOUS_FRAME_STATUS.BAD;
+        }
+
+        this.frameToggle ^= 1;
+        const status = (this.frameToggle << 7) | (frameStatus << 4) | this.csafeState();
+        const reply = buildCsafeResponseFrame(status, frameStatus === CSAFE_PREVIOUS_FRAME_STATUS.OK ? responses : []);
+
+        // Answer after the write completes, in notification-sized pieces
+        setTimeout(() => {
+            for (let offset = 0; offset < reply.length; offset += CSAFE_MAX_WRITE_LENGTH) {
+                this.send(CONTROL_CHARACTERISTICS.RECEIVE, reply.slice(offset, offset + CSAFE_MAX_WRITE_LENGTH));
+            }
+        }, 0);
+    }
+
+    csafeState() {
+        switch (this.state.phase) {
+            case 'work':
+            case 'rest':
+                return CSAFE_STATE_MACHINE_STATES.IN_USE;
+            case 'finished':
+                return CSAFE_STATE_MACHINE_STATES.FINISHED;
+            default:
+                return CSAFE_STATE_MACHINE_STATES.READY;
+        }
+    }
+
+    /**
+     * Answer one command; null rejects the frame
+     */
+    handleCsafeCommand(command) {
+        switch (command.command) {
+            case CSAFE_COMMANDS.GET_STATUS:
+                return { command: command.command };
+            case CSAFE_COMMANDS.GET_PM_CFG:
+            case CSAFE_COMMANDS.GET_PM_DATA:
+            case CSAFE_COMMANDS.SET_PM_CFG:
+            case CSAFE_COMMANDS.SET_PM_DATA: {
+                const responses = [];
+                for (const pmCommand of command.commands) {
+                    const data = this.handlePmCommand(pmCommand);
+                    if (!data) {
+                        return null;
+                    }
+                    responses.push({ command: pmCommand.command, data });
+                }
+                return { command: command.command, commands: responses };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Answer one PM-specific command with its response data; null if unsupported
+     */
+    handlePmCommand({ command, data }) {
+        const state = this.state;
+
+        switch (command) {
+            case CSAFE_PM_COMMANDS.GET_FW_VERSION:
+                return Array.from(new TextEncoder().encode('SIM-1.0'));
+            case CSAFE_PM_COMMANDS.GET_WORKOUT_TYPE:
+                return [this.workout.workoutType];
+            case CSAFE_PM_COMMANDS.GET_WORKOUT_STATE:
+                return [this.workoutState()];
+            case CSAFE_PM_COMMANDS.GET_INTERVAL_TYPE:
+                return [this.intervalType()];
+            case CSAFE_PM_COMMANDS.GET_ROWING_STATE:
+                return [this.isRowing() ? ROWING_STATES.ACTIVE : ROWING_STATES.INACTIVE];
+            case CSAFE_PM_COMMANDS.GET_WORKOUT_INTERVAL_COUNT:
+                return [state.intervalIndex];
+            case CSAFE_PM_COMMANDS.GET_WORK_TIME:
+                return [...uint32BE(Math.round(state.elapsed * 100)), 0];
+            case CSAFE_PM_COMMANDS.GET_WORK_DISTANCE:
+                return [...uint32BE(Math.round(state.distance * 10)), 0];
+            case CSAFE_PM_COMMANDS.GET_DRAG_FACTOR:
+                return [this.athlete.dragFactor];
+            case CSAFE_PM_COMMANDS.GET_INTERNAL_LOG_PARAMS:
+                return [...uint32BE(LOG_START_ADDRESS), (this.logEntryCount >> 8) & 0xFF, this.logEntryCount & 0xFF];
+            case CSAFE_PM_COMMANDS.GET_INTERNAL_LOG_MEMORY: {
+                const address = ((data[0] << 24) | (data[1] << 16) | (data[2] << 8) | data[3]) >>> 0;
+                const start = address - LOG_START_ADDRESS;
+                if (start < 0 || start >= this.logMemory.length) {
+                    return [0];
+                }
+                // Memory past the last record reads back as zeros
+                const block = new Uint8Array(data[4]);
+                block.set(this.logMemory.slice(start, start + data[4]));
+                return [block.length, ...block];
+            }
+            default:
+                return this.applyPmConfig(command, data) ? [] : null;
+        }
+    }
+
+    /**
+     * Apply a SET_PM_CFG command to the workout being programmed
+     */
+    applyPmConfig(command, data) {
+        const config = this.pendingConfig;
+        const current = () => {
+            config.intervals[config.index] = config.intervals[config.index] || {};
+            return config.intervals[config.index];
+        };
+        const piece = (bytes) => {
+            const value = ((bytes[1] << 24) | (bytes[2] << 16) | (bytes[3] << 8) | bytes[4]) >>> 0;
+            switch (bytes[0]) {
+                case WORKOUT_DURATION_TYPES.DISTANCE:
+                    return { distance: value };
+                case WORKOUT_DURATION_TYPES.CALORIES:
+                    return { calories: value };
+                default:
+                    return { time: value / 100 };
+            }
+        };
+
+        // Durations only make sense once a workout type has been set
+        const needsWorkoutType = [
+            CSAFE_PM_COMMANDS.SET_WORKOUT_INTERVAL_COUNT,
+            CSAFE_PM_COMMANDS.SET_WORKOUT_DURATION,
+            CSAFE_PM_COMMANDS.SET_SPLIT_DURATION,
+            CSAFE_PM_COMMANDS.SET_REST_DURATION
+        ];
+        if (!config && needsWorkoutType.includes(command)) {
+            return false;
+        }
+
+        switch (command) {
+            case CSAFE_PM_COMMANDS.SET_WORKOUT_TYPE:
+                this.pendingConfig = { workoutType: data[0], intervals: [], index: 0 };
+                return true;
+            case CSAFE_PM_COMMANDS.SET_WORKOUT_INTERVAL_COUNT:
+                current();
+                config.index = data[0];
+                return true;
+            case CSAFE_PM_COMMANDS.SET_WORKOUT_DURATION:
+                Object.assign(current(), piece(data));
+                return true;
+            case CSAFE_PM_COMMANDS.SET_SPLIT_DURATION:
+                current().split = piece(data);
+                return true;
+            case CSAFE_PM_COMMANDS.SET_REST_DURATION:
+                current().rest = (data[0] << 8) | data[1];
+                return true;
+            case CSAFE_PM_COMMANDS.SET_INTERVAL_TYPE:
+            case CSAFE_PM_COMMANDS.CONFIGURE_WORKOUT:
+            case CSAFE_PM_COMMANDS.SET_TARGET_PACE_TIME:
+                return true;
+            case CSAFE_PM_COMMANDS.SET_SCREEN_STATE:
+                if (data[1] === WORKOUT_SCREEN_VALUES.TERMINATE_WORKOUT) {
+                    this.terminateWorkout();
+                } else if (data[1] === WORKOUT_SCREEN_VALUES.PREPARE_TO_ROW_WORKOUT && config) {
+                    this.pendingConfig = null;
+                    this.loadWorkout({
+                        workoutType: config.workoutType,
+                        intervals: config.intervals.filter(Boolean)
+                    });
+                }
+                return true;
+            case CSAFE_PM_COMMANDS.SET_RACE_OPERATION_TYPE:
+                this.setRaceOperation(data[0]);
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Hold the athlete at the start, release them with a human reaction time on
+     * START, or let them start on their own again when race mode is left
+     */
+    setRaceOperation(operation) {
+        switch (operation) {
+            case RACE_OPERATION_TYPES.RACE_WAIT_TO_START:
+                this.hold();
+                break;
+            case RACE_OPERATION_TYPES.START:
+                this.startRowing(0.2 + Math.random() * 0.4);
+                break;
+            case RACE_OPERATION_TYPES.DISABLE:
+            case RACE_OPERATION_TYPES.IDLE:
+            case RACE_OPERATION_TYPES.TERMINATE:
+                if (this.holding) {
+                    this.startRowing(this.startDelay);
+                }
+                break;
+        }
+    }
+}
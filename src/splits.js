@@ -0,0 +1,291 @@
+/**
+ * Split and interval history
+ * Keeps every split of the workout instead of only the latest one, merges
+ * split data and additional split data by split_number, and records the rest
+ * that follows each work interval from workout_state.
+ */
+
+import { PM5EventTarget } from './events.js';
+import { PM5_EVENTS } from './device.js';
+import { WORKOUT_STATES } from './constants.js';
+import { getFieldSchema } from './schema.js';
+
+/**
+ * Events emitted by SplitHistory
+ *
+ * change  SplitRow that was added or updated
+ * reset   no detail; the history was cleared for a new workout
+ */
+export const SPLIT_HISTORY_EVENTS = {
+    CHANGE: 'change',
+    RESET: 'reset'
+};
+
+// Device events the history is built from
+const SPLIT_HISTORY_SOURCES = [
+    PM5_EVENTS.GENERAL_STATUS,
+    PM5_EVENTS.ADDITIONAL_STATUS,
+    PM5_EVENTS.SPLIT,
+    PM5_EVENTS.ADDITIONAL_SPLIT
+];
+
+const NO_HEART_RATE = getFieldSchema('additional_split_data', 'split_work_heart_rate').invalid;
+
+/**
+ * @typedef {Object} SplitRow
+ * @property {number} split_number
+ * @property {number|null} time - Split seconds
+ * @property {number|null} distance - Split meters
+ * @property {number|null} pace - Seconds per 500m
+ * @property {number|null} stroke_rate - Average strokes per minute
+ * @property {number|null} heart_rate - Average work heart rate
+ * @property {number|null} power - Average watts
+ * @property {number|null} calories - Split kcal
+ * @property {number|null} split_type - See INTERVAL_TYPES
+ * @property {number|null} rest_time - Rest seconds reported with the split
+ * @property {number|null} rest_distance - Rest meters reported with the split
+ * @property {Object|null} rest - Rest rowed after this split, measured while workout_state was INTERVAL_REST
+ * @property {number} rest.time - Seconds
+ * @property {number} rest.distance - Meters
+ * @property {number|null} rest.heart_rate - Heart rate at the end of the rest
+ * @property {boolean} rest.complete - The next work interval has started
+ * @property {string[]} out_of_range - Fields the schema flagged as out of range
+ */
+
+/**
+ * Accumulates a PM5Device's splits for the current workout
+ *
+ * A new workout (the PM5 returning to WAITING_TO_BEGIN after splits were
+ * recorded) clears the history before its first split.
+ *
+ * Example:
+ *   const history = new SplitHistory().attach(pm5);
+ *   history.on(SPLIT_HISTORY_EVENTS.CHANGE, () => render(history.rows(), history.summary()));
+ */
+export class SplitHistory extends PM5EventTarget {
+    constructor() {
+        super();
+        this.device = null;
+        this.deviceListener = null;
+
+        this.reset();
+    }
+
+    /**
+     * Listen to a PM5Device's split and status events
+     */
+    attach(device) {
+        this.detach();
+
+        this.device = device;
+        this.deviceListener = (data) => this.add(data);
+        for (const type of SPLIT_HISTORY_SOURCES) {
+            device.on(type, this.deviceListener);
+        }
+        return this;
+    }
+
+    detach() {
+        if (!this.device) {
+            return;
+        }
+
+        for (const type of SPLIT_HISTORY_SOURCES) {
+            this.device.off(type, this.deviceListener);
+        }
+        this.device = null;
+        this.deviceListener = null;
+    }
+
+    reset() {
+        // split_number -> SplitRow
+        this.splits = new Map();
+        this.workoutState = null;
+        // Set when the PM5 waits for a new workout after splits were recorded
+        this.newWorkout = false;
+        this.emit(SPLIT_HISTORY_EVENTS.RESET);
+    }
+
+    /**
+     * Rows in split order
+     * @returns {SplitRow[]}
+     */
+    rows() {
+        return [...this.splits.values()].sort((a, b) => a.split_number - b.split_number);
+    }
+
+    /**
+     * Merge one parsed record into the history
+     */
+    add(data) {
+        switch (data.type) {
+            case 'general_status':
+                this.updateWorkoutState(data.workout_state);
+                break;
+            case 'additional_status':
+                this.updateRest(data);
+                break;
+            case 'split_data':
+                this.startNewWorkout();
+                this.mergeSplit(data.split_number, data, {
+                    time: data.split_time,
+                    distance: data.split_distance,
+                    split_type: data.split_type,
+                    rest_time: data.rest_time,
+                    rest_distance: data.rest_distance
+                });
+                break;
+            case 'additional_split_data':
+                this.startNewWorkout();
+                this.mergeSplit(data.split_number, data, {
+                    pace: data.split_average_pace > 0 ? data.split_average_pace : null,
+                    stroke_rate: data.split_average_stroke_rate,
+                    heart_rate: data.split_work_heart_rate === NO_HEART_RATE || data.split_work_heart_rate === 0 ? null : data.split_work_heart_rate,
+                    power: data.split_power,
+                    calories: data.split_total_calories
+                });
+                break;
+        }
+    }
+
+    startNewWorkout() {
+        if (this.newWorkout) {
+            this.reset();
+        }
+    }
+
+    mergeSplit(splitNumber, data, values) {
+        let row = this.splits.get(splitNumber);
+        if (!row) {
+            row = {
+                split_number: splitNumber,
+                time: null,
+                distance: null,
+                pace: null,
+                stroke_rate: null,
+                heart_rate: null,
+                power: null,
+                calories: null,
+                split_type: null,
+                rest_time: null,
+                rest_distance: null,
+                rest: null,
+                out_of_range: []
+            };
+            this.splits.set(splitNumber, row);
+        }
+
+        Object.assign(row, values);
+        if (row.pace === null && row.time > 0 && row.distance > 0) {
+            row.pace = row.time / row.distance * 500;
+        }
+        if (data.out_of_range) {
+            row.out_of_range = [...new Set([...row.out_of_range, ...data.out_of_range])];
+        }
+
+        this.emit(SPLIT_HISTORY_EVENTS.CHANGE, row);
+    }
+
+    updateWorkoutState(state) {
+        const previous = this.workoutState;
+        this.workoutState = state;
+
+        if (state === WORKOUT_STATES.WAITING_TO_BEGIN && this.splits.size > 0) {
+            this.newWorkout = true;
+        }
+
+        // Leaving rest closes it on the last split
+        if (previous === WORKOUT_STATES.INTERVAL_REST && state !== WORKOUT_STATES.INTERVAL_REST) {
+            const row = this.lastRow();
+            if (row && row.rest && !row.rest.complete) {
+                row.rest.complete = true;
+                this.emit(SPLIT_HISTORY_EVENTS.CHANGE, row);
+            }
+        }
+    }
+
+    /**
+     * Track the rest after the last split while the PM5 is in INTERVAL_REST
+     */
+    updateRest(status) {
+        if (this.workoutState !== WORKOUT_STATES.INTERVAL_REST) {
+            return;
+        }
+
+        const row = this.lastRow();
+        if (!row || (row.rest && row.rest.complete)) {
+            return;
+        }
+
+        row.rest = {
+            time: status.rest_time,
+            distance: status.rest_distance,
+            heart_rate: status.heart_rate === NO_HEART_RATE ? null : status.heart_rate,
+            complete: false
+        };
+        this.emit(SPLIT_HISTORY_EVENTS.CHANGE, row);
+    }
+
+    lastRow() {
+        let last = null;
+        for (const row of this.splits.values()) {
+            if (!last || row.split_number > last.split_number) {
+                last = row;
+            }
+        }
+        return last;
+    }
+
+    /**
+     * Averages over the work splits, and the fastest and slowest by pace
+     * Pace is total time over total distance; stroke rate, heart rate and
+     * power are weighted by split time.
+     *
+     * @returns {{ count: number, average: Object|null, fastest: number|null, slowest: number|null }}
+     *   fastest and slowest are split numbers, null with fewer than two splits
+     */
+    summary() {
+        const rows = this.rows().filter(row => row.time > 0 && row.distance > 0);
+        if (rows.length === 0) {
+            return { count: 0, average: null, fastest: null, slowest: null };
+        }
+
+        let time = 0;
+        let distance = 0;
+        let calories = 0;
+        const weighted = { stroke_rate: [0, 0], heart_rate: [0, 0], power: [0, 0] };
+        for (const row of rows) {
+            time += row.time;
+            distance += row.distance;
+            calories += row.calories || 0;
+            for (const name of Object.keys(weighted)) {
+                if (row[name] !== null) {
+                    weighted[name][0] += row[name] * row.time;
+                    weighted[name][1] += row.time;
+                }
+            }
+        }
+
+        const average = {
+            time: time / rows.length,
+            distance: distance / rows.length,
+            pace: time / distance * 500,
+            calories: calories / rows.length
+        };
+        for (const [name, [sum, weight]] of Object.entries(weighted)) {
+            average[name] = weight > 0 ? sum / weight : null;
+        }
+
+        let fastest = null;
+        let slowest = null;
+        if (rows.length > 1) {
+            const byPace = rows.filter(row => row.pace > 0).sort((a, b) => a.pace - b.pace);
+            if (byPace.length > 1) {
+                fastest = byPace[0].split_number;
+                slowest = byPace[byPace.length - 1].split_number;
+            }
+        }
+
+        return { count: rows.length, average, fastest, slowest };
+    }
+}
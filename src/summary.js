@@ -0,0 +1,130 @@
+/**
+ * End-of-workout summary assembly
+ * The PM5 reports a finished workout across up to three characteristics;
+ * these are merged into a single WorkoutSummary record
+ */
+
+import { logEntryToDate } from './parsers.js';
+
+/**
+ * @typedef {Object} WorkoutSummary
+ * @property {Date} date - Date and time the workout was logged on the PM5
+ * @property {number} total_time - Seconds
+ * @property {number} total_distance - Meters
+ * @property {number} average_stroke_rate - Strokes per minute
+ * @property {number} average_pace - Seconds per 500m
+ * @property {Object} heart_rate - { ending, average, min, max, recovery } in beats per minute
+ * @property {number} workout_type - See WORKOUT_TYPES
+ * @property {number} split_type - See INTERVAL_TYPES
+ * @property {number} split_size - Meters or seconds, depending on split_type
+ * @property {number} interval_count - Number of splits or intervals
+ * @property {number} total_calories - kcal
+ * @property {number} average_calories - kcal per hour
+ * @property {number} watts - Average power
+ * @property {number} drag_factor - Average drag factor
+ * @property {number} total_rest_distance - Meters
+ * @property {number} interval_rest_time - Seconds
+ * @property {number|null} erg_machine_type - Only reported by newer firmware
+ * @property {number|null} game_identifier - Only reported by newer firmware
+ * @property {number|null} game_score - Only reported by newer firmware
+ */
+
+/**
+ * Merge the three summary records into a WorkoutSummary
+ */
+export function buildWorkoutSummary(summary, additional, additional2 = null) {
+    return {
+        date: logEntryToDate(summary.log_entry_date, summary.log_entry_time),
+        total_time: summary.elapsed_time,
+        total_distance: summary.distance,
+        average_stroke_rate: summary.average_stroke_rate,
+        // Multiplexed summaries carry the average pace in the third record only
+        average_pace: summary.average_pace !== undefined ? summary.average_pace : (additional2 ? additional2.average_pace : null),
+        heart_rate: {
+            ending: summary.ending_heart_rate,
+            average: summary.average_heart_rate,
+            min: summary.min_heart_rate,
+            max: summary.max_heart_rate,
+            recovery: summary.recovery_heart_rate
+        },
+        workout_type: summary.workout_type,
+        split_type: additional.split_interval_type,
+        split_size: additional.split_interval_size,
+        interval_count: additional.split_interval_count,
+        total_calories: additional.total_calories,
+        average_calories: additional.average_calories,
+        watts: additional.watts,
+        drag_factor: summary.drag_factor_average,
+        total_rest_distance: additional.total_rest_distance,
+        interval_rest_time: additional.interval_rest_time,
+        erg_machine_type: additional2 ? additional2.erg_machine_type : null,
+        game_identifier: additional2 ? additional2.game_identifier : null,
+        game_score: additional2 ? additional2.game_score : null
+    };
+}
+
+/**
+ * Collects summary notifications and calls onComplete once per finished workout
+ * The records are matched on their log entry date/time. The third record is
+ * optional, so the summary is completed after a short wait if it never arrives.
+ */
+export class WorkoutSummaryAssembler {
+    /**
+     * @param {function(WorkoutSummary)} onComplete
+     * @param {Object} options
+     * @param {number} options.timeout - Milliseconds to wait for the optional third record
+     */
+    constructor(onComplete, options = {}) {
+        this.onComplete = onComplete;
+        this.timeout = options.timeout || 1000;
+        this.parts = null;
+        this.timer = null;
+    }
+
+    /**
+     * Add a parsed summary record by its data type
+     */
+    add(type, data) {
+        const key = `${data.log_entry_date}:${data.log_entry_time}`;
+
+        if (!this.parts || this.parts.key !== key) {
+            this.reset();
+            this.parts = { key, summary: null, additional: null, additional2: null };
+        }
+
+        switch (type) {
+            case 'end_of_workout_summary':
+                this.parts.summary = data;
+                break;
+            case 'additional_end_of_workout_summary':
+                this.parts.additional = data;
+                break;
+            case 'additional_end_of_workout_summary_2':
+                this.parts.additional2 = data;
+                break;
+            default:
+                throw new Error(`Unknown workout summary type: ${type}`);
+        }
+
+        const { summary, additional, additional2 } = this.parts;
+        if (summary && additional) {
+            if (additional2) {
+                this.complete();
+            } else if (!this.timer) {
+                this.timer = setTimeout(() => this.complete(), this.timeout);
+            }
+        }
+    }
+
+    complete() {
+        const { summary, additional, additional2 } = this.parts;
+        this.reset();
+        this.onComplete(buildWorkoutSummary(summary, additional, additional2));
+    }
+
+    reset() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.parts = null;
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * Normalized telemetry
+ * The values an erg's display shows, gathered from the separate status and
+ * stroke notifications into one flat record that is cheap to send and render.
+ */
+
+import { PM5_EVENTS } from './device.js';
+import { getFieldSchema } from './schema.js';
+
+// Device events that carry rowing data
+export const TELEMETRY_SOURCES = [
+    PM5_EVENTS.GENERAL_STATUS,
+    PM5_EVENTS.ADDITIONAL_STATUS,
+    PM5_EVENTS.ADDITIONAL_STATUS_2,
+    PM5_EVENTS.STROKE,
+    PM5_EVENTS.ADDITIONAL_STROKE,
+    PM5_EVENTS.SPLIT,
+    PM5_EVENTS.ADDITIONAL_SPLIT
+];
+
+const NO_HEART_RATE = getFieldSchema('additional_status', 'heart_rate').invalid;
+
+/**
+ * @typedef {Object} Telemetry
+ * Every value is null until the PM5 has sent it
+ * @property {number|null} elapsed_time - Seconds into the interval
+ * @property {number|null} distance - Meters into the interval
+ * @property {number|null} pace - Current seconds per 500m
+ * @property {number|null} average_pace - Seconds per 500m over the interval
+ * @property {number|null} stroke_rate - Strokes per minute
+ * @property {number|null} heart_rate - Beats per minute, null without a belt
+ * @property {number|null} power - Watts of the latest stroke
+ * @property {number|null} calories - Total kcal
+ * @property {number|null} stroke_count - Strokes in the interval
+ * @property {number|null} interval - Interval number, as interval_count in additional status 2
+ * @property {number|null} workout_state - See WORKOUT_STATES
+ * @property {number|null} rowing_state - See ROWING_STATES
+ */
+
+/**
+ * @returns {Telemetry}
+ */
+export function createTelemetry() {
+    return {
+        elapsed_time: null,
+        distance: null,
+        pace: null,
+        average_pace: null,
+        stroke_rate: null,
+        heart_rate: null,
+        power: null,
+        calories: null,
+        stroke_count: null,
+        interval: null,
+        workout_state: null,
+        rowing_state: null
+    };
+}
+
+/**
+ * Copy the values of one parsed record into a Telemetry record
+ * @returns {boolean} Whether the record carried any telemetry
+ */
+export function applyTelemetry(telemetry, data) {
+    switch (data.type) {
+        case 'general_status':
+            telemetry.elapsed_time = data.elapsed_time;
+            telemetry.distance = data.distance;
+            telemetry.workout_state = data.workout_state;
+            telemetry.rowing_state = data.rowing_state;
+            return true;
+        case 'additional_status':
+            telemetry.pace = data.current_pace;
+            telemetry.average_pace = data.average_pace;
+            telemetry.stroke_rate = data.stroke_rate;
+            telemetry.heart_rate = data.heart_rate === NO_HEART_RATE ? null : data.heart_rate;
+            return true;
+        case 'additional_status_2':
+            telemetry.interval = data.interval_count;
+            telemetry.calories = data.total_calories;
+            return true;
+        case 'stroke_data':
+            telemetry.stroke_count = data.stroke_count;
+            return true;
+        case 'additional_stroke_data':
+            telemetry.power = data.stroke_power;
+            telemetry.stroke_count = data.stroke_count;
+            return true;
+        default:
+            return false;
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Transports carry GATT traffic between PM5Device and a PM5
+ *
+ * A transport is an EventTarget with:
+ *   name                                           Device name
+ *   connected                                      True while the link is up
+ *   connect()                                      Open the link and discover services
+ *   disconnect()                                   Close the link
+ *   readValue(serviceUuid, uuid)                   Resolve with a DataView
+ *   writeValue(serviceUuid, uuid, bytes)           Write a Uint8Array
+ *   startNotifications(serviceUuid, uuid, listener) Call listener(DataView) for each notification
+ *   stopNotifications(serviceUuid, uuid, listener)
+ *   getNotifyCharacteristics()                     Resolve with [{ uuid, serviceUuid }]
+ * and dispatches a 'disconnected' event when the link drops.
+ */
+
+import { PM5_SERVICES } from './constants.js';
+
+/**
+ * Transport for a Web Bluetooth BluetoothDevice
+ */
+export class WebBluetoothTransport extends EventTarget {
+    constructor(bluetoothDevice) {
+        super();
+        this.device = bluetoothDevice;
+        this.server = null;
+        this.services = {};
+        this.characteristics = {};
+        // Characteristic UUID -> Map(listener -> characteristicvaluechanged handler)
+        this.listeners = {};
+
+        this.device.addEventListener('gattserverdisconnected', () => {
+            this.server = null;
+            this.services = {};
+            this.characteristics = {};
+            this.listeners = {};
+            this.dispatchEvent(new Event('disconnected'));
+        });
+    }
+
+    get name() {
+        return this.device.name;
+    }
+
+    get connected() {
+        return this.server !== null && this.server.connected;
+    }
+
+    async connect() {
+        this.server = await this.device.gatt.connect();
+
+        for (const serviceUuid of [PM5_SERVICES.INFORMATION, PM5_SERVICES.CONTROL, PM5_SERVICES.ROWING]) {
+            this.services[serviceUuid] = await this.server.getPrimaryService(serviceUuid);
+        }
+        console.log('All services obtained');
+    }
+
+    async disconnect() {
+        if (this.device.gatt.connected) {
+            this.device.gatt.disconnect();
+        }
+    }
+
+    async getCharacteristic(serviceUuid, uuid) {
+        if (!this.characteristics[uuid]) {
+            const service = this.services[serviceUuid];
+            if (!service) {
+                throw new Error(`Service ${serviceUuid} not available`);
+            }
+            this.characteristics[uuid] = await service.getCharacteristic(uuid);
+        }
+        return this.characteristics[uuid];
+    }
+
+    async readValue(serviceUuid, uuid) {
+        const characteristic = await this.getCharacteristic(serviceUuid, uuid);
+        return characteristic.readValue();
+    }
+
+    async writeValue(serviceUuid, uuid, bytes) {
+        const characteristic = await this.getCharacteristic(serviceUuid, uuid);
+        await characteristic.writeValue(bytes);
+    }
+
+    async startNotifications(serviceUuid, uuid, listener) {
+        const characteristic = await this.getCharacteristic(serviceUuid, uuid);
+        await characteristic.startNotifications();
+
+        const handler = (event) => listener(event.target.value);
+        if (!this.listeners[uuid]) {
+            this.listeners[uuid] = new Map();
+        }
+        this.listeners[uuid].set(listener, handler);
+        characteristic.addEventListener('characteristicvaluechanged', handler);
+    }
+
+    async stopNotifications(serviceUuid, uuid, listener) {
+        const characteristic = await this.getCharacteristic(serviceUuid, uuid);
+        const handlers = this.listeners[uuid];
+
+        if (handlers && handlers.has(listener)) {
+            characteristic.removeEventListener('characteristicvaluechanged', handlers.get(listener));
+            handlers.delete(listener);
+        }
+
+        if (!handlers || handlers.size === 0) {
+            await characteristic.stopNotifications();
+        }
+    }
+
+    async getNotifyCharacteristics() {
+        const notifyChars = [];
+        const services = await this.server.getPrimaryServices();
+
+        for (const service of services) {
+            try {
+                const characteristics = await service.getCharacteristics();
+
+                for (const char of characteristics) {
+                    if (char.properties.notify) {
+                        this.characteristics[char.uuid] = char;
+                        this.services[service.uuid] = service;
+                        notifyChars.push({
+                            uuid: char.uuid,
+                            serviceUuid: service.uuid
+                        });
+                        console.log(`Found notify-capable: ${char.uuid} in service ${service.uuid}`);
+                    }
+                }
+            } catch (error) {
+                console.warn(`Could not get characteristics for service ${service.uuid}:`, error);
+            }
+        }
+
+        return notifyChars;
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Spectator view: follows a telemetry relay room without a Bluetooth connection
+ * Open viewer.html?room=erg-room (optionally &erg=seat-1) on a coach laptop or TV.
+ */
+
+import { TelemetrySubscriber, RELAY_EVENTS, relayId } from './relay.js';
+import { WORKOUT_STATES } from './constants.js';
+
+// An erg that has not published for this long is shown as stale
+const STALE_AFTER = 5000;
+
+class PM5Viewer {
+    constructor() {
+        this.subscriber = null;
+        // erg -> { card, fields }
+        this.cards = new Map();
+        this.frame = null;
+
+        document.getElementById('watchBtn').addEventListener('click', this.handleWatch.bind(this));
+
+        // Re-check staleness even when nothing arrives
+        setInterval(() => this.scheduleRender(), 1000);
+
+        const params = new URLSearchParams(location.search);
+        if (params.get('room')) {
+            document.getElementById('roomInput').value = params.get('room');
+            document.getElementById('ergInput').value = params.get('erg') || '';
+            this.handleWatch();
+        }
+    }
+
+    handleWatch() {
+        const room = relayId(document.getElementById('roomInput').value);
+        const erg = relayId(document.getElementById('ergInput').value);
+        if (!room) {
+            this.updateStatus('Enter a room to watch');
+            return;
+        }
+
+        if (this.subscriber) {
+            this.subscriber.close();
+        }
+
+        const params = new URLSearchParams({ room });
+        if (erg) {
+            params.set('erg', erg);
+        }
+        history.replaceState(null, '', `?${params}`);
+
+        this.subscriber = new TelemetrySubscriber({ room, erg })
+            .on(RELAY_EVENTS.SNAPSHOT, ({ ergs }) => {
+                this.updateStatus(`Watching ${erg ? `erg ${erg} in ` : ''}room ${room} - ${ergs.length} erg(s)`);
+                this.scheduleRender();
+            })
+            .on(RELAY_EVENTS.TELEMETRY, () => this.scheduleRender())
+            .on(RELAY_EVENTS.LEAVE, ({ erg: left }) => this.updateStatus(`${left} left the room`))
+            .on(RELAY_EVENTS.LEAVE, () => this.scheduleRender())
+            .on(RELAY_EVENTS.ERROR, ({ error }) => this.updateStatus(error.message))
+            .connect();
+
+        this.updateStatus(`Connecting to room ${room}...`);
+    }
+
+    scheduleRender() {
+        if (this.frame) {
+            return;
+        }
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+
+    render() {
+        const ergs = this.subscriber ? this.subscriber.ergs : new Map();
+
+        for (const [erg, entry] of this.cards) {
+            if (!ergs.has(erg)) {
+                entry.card.remove();
+                this.cards.delete(erg);
+            }
+        }
+
+        for (const entry of ergs.values()) {
+            this.renderCard(entry);
+        }
+    }
+
+    renderCard({ erg, athlete, telemetry, received_at }) {
+        let entry = this.cards.get(erg);
+        if (!entry) {
+            const card = document.createElement('div');
+            card.innerHTML = `
+                <h4 data-field="name"></h4>
+                <p class="fleet-metrics"><span data-field="time"></span> &nbsp; <span data-field="distance"></span></p>
+                <p class="fleet-metrics"><span data-field="pace"></span> &nbsp; <span data-field="strokeRate"></span></p>
+                <p><span data-field="power"></span> &nbsp; <span data-field="heartRate"></span> &nbsp; <span data-field="state"></span></p>
+            `;
+
+            const fields = {};
+            for (const element of card.querySelectorAll('[data-field]')) {
+                fields[element.dataset.field] = element;
+            }
+
+            entry = { card, fields };
+            this.cards.set(erg, entry);
+            document.getElementById('ergGrid').appendChild(card);
+        }
+
+        const { fields } = entry;
+        const stale = Date.now() - received_at > STALE_AFTER;
+        entry.card.className = stale ? 'fleet-card stale' : 'fleet-card';
+        fields.name.textContent = athlete ? `${athlete} (${erg})` : erg;
+        fields.time.textContent = this.formatTime(telemetry.elapsed_time);
+        fields.distance.textContent = telemetry.distance !== null ? `${Math.floor(telemetry.distance)} m` : '-- m';
+        fields.pace.textContent = `${this.formatPace(telemetry.pace)} /500m`;
+        fields.strokeRate.textContent = `${telemetry.stroke_rate || '--'} spm`;
+        fields.power.textContent = `${telemetry.power !== null ? telemetry.power : '--'} W`;
+        fields.heartRate.textContent = `${telemetry.heart_rate || '--'} bpm`;
+        fields.state.textContent = stale ? 'no data' : this.getWorkoutStateString(telemetry.workout_state);
+    }
+
+    getWorkoutStateString(state) {
+        for (const [name, value] of Object.entries(WORKOUT_STATES)) {
+            if (value === state) {
+                return name.toLowerCase().replace(/_/g, ' ');
+            }
+        }
+        return '';
+    }
+
+    updateStatus(message) {
+        document.getElementById('status').textContent = message;
+    }
+
+    formatTime(seconds) {
+        if (!seconds || seconds < 0) return '00:00';
+
+        const minutes = Math.floor(seconds / 60);
+        const remainingSeconds = Math.floor(seconds % 60);
+
+        return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+    }
+
+    formatPace(paceInSeconds) {
+        if (!paceInSeconds || paceInSeconds <= 0) return '--:--';
+
+        const minutes = Math.floor(paceInSeconds / 60);
+        const seconds = Math.floor(paceInSeconds % 60);
+
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+    new PM5Viewer();
+});
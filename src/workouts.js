@@ -0,0 +1,236 @@
+/**
+ * CSAFE command sequences for programming workouts on the PM5
+ * Each builder returns a list of frames (each a list of CSAFE commands) to send in order
+ */
+
+import {
+    WORKOUT_TYPES,
+    INTERVAL_TYPES,
+    WORKOUT_DURATION_TYPES,
+    SCREEN_TYPES,
+    WORKOUT_SCREEN_VALUES
+} from './constants.js';
+
+/**
+ * Encode an unsigned integer as big-endian bytes (PM-specific commands are MSB first)
+ */
+function uint32BE(value) {
+    return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+function uint16BE(value) {
+    return [(value >>> 8) & 0xFF, value & 0xFF];
+}
+
+function requirePositiveInteger(value, name) {
+    if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return Math.round(value);
+}
+
+/**
+ * Convert a { distance } / { time } / { calories } piece into a PM duration
+ * Distance is in meters, time in seconds, calories in kcal
+ */
+function toDuration(piece) {
+    if (piece.distance !== undefined) {
+        return {
+            type: WORKOUT_DURATION_TYPES.DISTANCE,
+            value: requirePositiveInteger(piece.distance, 'distance'),
+            intervalType: INTERVAL_TYPES.DIST
+        };
+    }
+
+    if (piece.time !== undefined) {
+        return {
+            type: WORKOUT_DURATION_TYPES.TIME,
+            value: requirePositiveInteger(piece.time * 100, 'time'), // seconds to centiseconds
+            intervalType: INTERVAL_TYPES.TIME
+        };
+    }
+
+    if (piece.calories !== undefined) {
+        return {
+            type: WORKOUT_DURATION_TYPES.CALORIES,
+            value: requirePositiveInteger(piece.calories, 'calories'),
+            intervalType: INTERVAL_TYPES.CALORIE
+        };
+    }
+
+    throw new Error('Workout piece must specify distance, time or calories');
+}
+
+function setWorkoutType(workoutType) {
+    return { command: 'SET_WORKOUT_TYPE', data: [workoutType] };
+}
+
+function setDuration(command, duration) {
+    return { command, data: [duration.type, ...uint32BE(duration.value)] };
+}
+
+function setRestDuration(seconds) {
+    const rest = Math.round(seconds || 0);
+    if (rest < 0 || rest > 0xFFFF) {
+        throw new Error(`Invalid rest duration: ${seconds}`);
+    }
+    return { command: 'SET_REST_DURATION', data: uint16BE(rest) };
+}
+
+function setScreenState(value) {
+    return { command: 'SET_SCREEN_STATE', data: [SCREEN_TYPES.WORKOUT, value] };
+}
+
+function pmConfig(commands) {
+    return [{ command: 'SET_PM_CFG', commands }];
+}
+
+/**
+ * Frame that ends whatever workout is currently on the monitor
+ */
+function terminateWorkoutFrame() {
+    return pmConfig([setScreenState(WORKOUT_SCREEN_VALUES.TERMINATE_WORKOUT)]);
+}
+
+/**
+ * Single piece (distance, time or calories) with splits
+ */
+function buildSinglePieceWorkout(workoutType, piece, split) {
+    const duration = toDuration(piece);
+    const splitDuration = split ? toDuration(split) : {
+        // Default to five splits, which the PM accepts for any valid piece length
+        type: duration.type,
+        value: Math.ceil(duration.value / 5)
+    };
+
+    if (splitDuration.type !== duration.type) {
+        throw new Error('Split must use the same unit as the workout');
+    }
+
+    return [
+        terminateWorkoutFrame(),
+        pmConfig([
+            setWorkoutType(workoutType),
+            setDuration('SET_WORKOUT_DURATION', duration),
+            setDuration('SET_SPLIT_DURATION', splitDuration),
+            { command: 'CONFIGURE_WORKOUT', data: [1] },
+            setScreenState(WORKOUT_SCREEN_VALUES.PREPARE_TO_ROW_WORKOUT)
+        ])
+    ];
+}
+
+/**
+ * Fixed distance piece, e.g. buildFixedDistanceWorkout(2000, 500)
+ */
+export function buildFixedDistanceWorkout(meters, splitMeters = undefined) {
+    return buildSinglePieceWorkout(
+        WORKOUT_TYPES.FIXED_DIST_SPLITS,
+        { distance: meters },
+        splitMeters ? { distance: splitMeters } : null
+    );
+}
+
+/**
+ * Fixed time piece, e.g. buildFixedTimeWorkout(30 * 60, 5 * 60)
+ */
+export function buildFixedTimeWorkout(seconds, splitSeconds = undefined) {
+    return buildSinglePieceWorkout(
+        WORKOUT_TYPES.FIXED_TIME_SPLITS,
+        { time: seconds },
+        splitSeconds ? { time: splitSeconds } : null
+    );
+}
+
+/**
+ * Fixed calorie piece, e.g. buildFixedCalorieWorkout(100, 20)
+ */
+export function buildFixedCalorieWorkout(calories, splitCalories = undefined) {
+    return buildSinglePieceWorkout(
+        WORKOUT_TYPES.FIXED_CALORIE,
+        { calories },
+        splitCalories ? { calories: splitCalories } : null
+    );
+}
+
+/**
+ * Repeated intervals with the same work and rest
+ * Without a count the PM repeats the interval until the athlete stops;
+ * with a count the workout is programmed as that many variable intervals
+ *
+ * @param {Object} options
+ * @param {Object} options.work - { distance } meters, { time } seconds or { calories }
+ * @param {number} options.rest - Rest between intervals in seconds
+ * @param {number} [options.count] - Number of intervals
+ */
+export function buildIntervalWorkout({ work, rest, count }) {
+    if (count !== undefined) {
+        const intervals = Array.from({ length: requirePositiveInteger(count, 'interval count') }, () => ({
+            ...work,
+            rest
+        }));
+        return buildVariableIntervalWorkout(intervals);
+    }
+
+    const duration = toDuration(work);
+    const workoutTypes = {
+        [WORKOUT_DURATION_TYPES.DISTANCE]: WORKOUT_TYPES.FIXED_DIST_INTERVAL,
+        [WORKOUT_DURATION_TYPES.TIME]: WORKOUT_TYPES.FIXED_TIME_INTERVAL,
+        [WORKOUT_DURATION_TYPES.CALORIES]: WORKOUT_TYPES.FIXED_CALS_INTERVAL
+    };
+
+    return [
+        terminateWorkoutFrame(),
+        pmConfig([
+            setWorkoutType(workoutTypes[duration.type]),
+            setDuration('SET_WORKOUT_DURATION', duration),
+            setRestDuration(rest),
+            { command: 'CONFIGURE_WORKOUT', data: [1] },
+            setScreenState(WORKOUT_SCREEN_VALUES.PREPARE_TO_ROW_WORKOUT)
+        ])
+    ];
+}
+
+/**
+ * Variable intervals, each with its own work and rest
+ * Example: [{ distance: 1000, rest: 120 }, { time: 240, rest: 60 }]
+ * Each interval is sent in its own frame to stay under the frame size limit
+ */
+export function buildVariableIntervalWorkout(intervals) {
+    if (!Array.isArray(intervals) || intervals.length === 0) {
+        throw new Error('Variable interval workout needs at least one interval');
+    }
+
+    const frames = [
+        terminateWorkoutFrame(),
+        pmConfig([setWorkoutType(WORKOUT_TYPES.VARIABLE_INTERVAL)])
+    ];
+
+    intervals.forEach((interval, index) => {
+        const duration = toDuration(interval);
+        frames.push(pmConfig([
+            { command: 'SET_WORKOUT_INTERVAL_COUNT', data: [index] },
+            { command: 'SET_INTERVAL_TYPE', data: [duration.intervalType] },
+            setDuration('SET_WORKOUT_DURATION', duration),
+            setRestDuration(interval.rest),
+            { command: 'CONFIGURE_WORKOUT', data: [1] }
+        ]));
+    });
+
+    frames.push(pmConfig([setScreenState(WORKOUT_SCREEN_VALUES.PREPARE_TO_ROW_WORKOUT)]));
+    return frames;
+}
+
+/**
+ * Workout type the PM should report once the frames have been accepted
+ */
+export function expectedWorkoutType(frames) {
+    for (const frame of frames) {
+        for (const command of frame) {
+            const setType = (command.commands || []).find(c => c.command === 'SET_WORKOUT_TYPE');
+            if (setType) {
+                return setType.data[0];
+            }
+        }
+    }
+    return null;
+}
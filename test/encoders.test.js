@@ -0,0 +1,128 @@
+/**
+ * Round trips through the encoders and parsers: known values are encoded,
+ * parsed back and compared, for every record in TELEMETRY_SCHEMA on its own
+ * characteristic and on the multiplexed one.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TELEMETRY_SCHEMA, recordLayout } from '../src/schema.js';
+import { MAX_NOTIFICATION_LENGTH } from '../src/constants.js';
+import {
+    createParser,
+    parseMultiplexedData,
+    parseForceCurveData,
+    parseLoggedWorkoutRecord
+} from '../src/parsers.js';
+import {
+    createEncoder,
+    encodeMultiplexedData,
+    encodeForceCurveData,
+    encodeLoggedWorkoutRecord
+} from '../src/encoders.js';
+
+function view(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * A value on the field's wire resolution, inside its valid range, and
+ * spanning every byte of wider fields so byte order mistakes show up
+ */
+function knownValue(field) {
+    if (field.type === 'hex') {
+        return '0123456789abcdef'.slice(0, field.width * 2);
+    }
+
+    const scale = field.scale || 1;
+    let raw;
+    if (field.max !== undefined) {
+        raw = Math.round((field.min + field.max) / 2 / scale);
+    } else {
+        raw = 0;
+        for (let i = 0; i < field.width; i++) {
+            raw += ((field.offset + i * 0x31 + 0x12) & 0x7F) * 2 ** (8 * i);
+        }
+    }
+    return field.scale ? raw * field.scale : raw;
+}
+
+function knownData(fields) {
+    return Object.fromEntries(fields.map(field => [field.name, knownValue(field)]));
+}
+
+const GENERATED = Object.entries(TELEMETRY_SCHEMA).filter(([, record]) => !record.custom);
+
+for (const [type, record] of GENERATED) {
+    test(`${type} round trips on its own characteristic`, () => {
+        const data = knownData(record.fields);
+        const bytes = createEncoder(record)(data);
+
+        assert.equal(bytes.length, Math.max(record.length, ...record.fields.map(field => field.offset + field.width)));
+        assert.deepEqual(createParser(record)(view(bytes)), data);
+    });
+
+    test(`${type} round trips on the multiplexed characteristic`, () => {
+        const layout = recordLayout(record, true);
+        const data = knownData(layout.fields);
+        const bytes = encodeMultiplexedData({ type, data });
+
+        assert.equal(bytes[0], record.id);
+        assert.ok(bytes.length <= MAX_NOTIFICATION_LENGTH, `${bytes.length} bytes`);
+        assert.deepEqual(parseMultiplexedData(view(bytes)), { type, data });
+    });
+}
+
+test('optional fields are left out when absent', () => {
+    const record = TELEMETRY_SCHEMA.additional_stroke_data;
+    const data = knownData(record.fields.filter(field => !field.optional));
+    const bytes = createEncoder(record)(data);
+
+    assert.equal(bytes.length, record.length);
+    assert.deepEqual(createParser(record)(view(bytes)), data);
+});
+
+test('force curve data round trips', () => {
+    const data = { packet_count: 4, point_count: 8, sequence_number: 201, forces: [0, 35, 96, 180, 262, 311, 4660, 65535] };
+
+    assert.deepEqual(parseForceCurveData(view(encodeForceCurveData(data))), data);
+
+    const bytes = encodeMultiplexedData({ type: 'force_curve_data', data });
+    assert.ok(bytes.length <= MAX_NOTIFICATION_LENGTH, `${bytes.length} bytes`);
+    assert.deepEqual(parseMultiplexedData(view(bytes)), { type: 'force_curve_data', data });
+});
+
+test('force curve data rejects more points than a packet holds', () => {
+    assert.throws(() => encodeForceCurveData({ packet_count: 1, sequence_number: 0, forces: new Array(16).fill(1) }), /Too many/);
+});
+
+test('logged workout records round trip', () => {
+    const split = {
+        ...knownData(TELEMETRY_SCHEMA.split_data.fields),
+        ...knownData(TELEMETRY_SCHEMA.additional_split_data.fields)
+    };
+    const splits = [split, { ...split, split_number: split.split_number + 1 }];
+    const data = {
+        ...knownData(TELEMETRY_SCHEMA.logged_workout_data.fields),
+        summary: knownData(TELEMETRY_SCHEMA.end_of_workout_summary.fields),
+        additional_summary: knownData(TELEMETRY_SCHEMA.additional_end_of_workout_summary.fields),
+        additional_summary_2: knownData(TELEMETRY_SCHEMA.additional_end_of_workout_summary_2.fields),
+        splits
+    };
+
+    const bytes = encodeLoggedWorkoutRecord(data);
+    assert.deepEqual(parseLoggedWorkoutRecord(view(bytes)), {
+        ...data,
+        record_length: bytes.length,
+        split_count: splits.length
+    });
+});
+
+test('encoders reject values that do not fit their field', () => {
+    const record = TELEMETRY_SCHEMA.general_status;
+    const data = knownData(record.fields);
+
+    assert.throws(() => createEncoder(record)({ ...data, drag_factor: 256 }), /drag_factor/);
+    assert.throws(() => createEncoder(record)({ ...data, distance: -1 }), /distance/);
+});